@@ -0,0 +1,22 @@
+// Digits after the decimal point in each supported currency (ISO 4217). Money is stored as an
+// integer number of minor units, e.g. 1999 is 19.99 USD and 1999 is 1999 JPY.
+const CURRENCY_EXPONENTS = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CAD: 2,
+  AUD: 2,
+  CHF: 2,
+  JPY: 0,
+  KRW: 0,
+  BHD: 3,
+  KWD: 3,
+};
+
+/**
+ * Get the currency used when a product or coupon does not name one
+ * @returns {string} - DEFAULT_CURRENCY, or USD
+ */
+const getDefaultCurrency = () => (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+module.exports = { CURRENCY_EXPONENTS, getDefaultCurrency };
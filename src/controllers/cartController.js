@@ -1,12 +1,16 @@
 const cartService = require('../services/cartService');
 const { validationResult } = require('express-validator');
+const PurchaseLimitError = require('../errors/PurchaseLimitError');
+const QueueAdmissionError = require('../errors/QueueAdmissionError');
+const CouponError = require('../errors/CouponError');
 
 class CartController {
 
   /**
    * Reserve items in cart for a user
    * Supports multiple SKUs in a single transaction
-   * @param {object} req.body - Request body containing userId and items
+   * @param {object} req.user - Authenticated user (set by the auth middleware)
+   * @param {object} req.body - Request body containing items
    * @param {object} res - Response object
    * @returns {object} - Response object with success, data, and message
    * @throws {Error} - Error if validation fails or service throws an error
@@ -21,16 +25,72 @@ class CartController {
         });
       }
 
-      const { userId } = req.body;
+      const userId = req.user.id;
       const { items } = req.body;
+      const { admissionToken } = req.body;
       const ttlSeconds = parseInt(process.env.RESERVATION_TTL_SECONDS) || 600;
 
-      const result = await cartService.reserveItems(userId, items, ttlSeconds);
+      const result = await cartService.reserveItems(userId, items, ttlSeconds, admissionToken);
       
       res.status(201).json({
         success: true,
         data: result,
       });
+    } catch (error) {
+      if (error instanceof PurchaseLimitError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          sku: error.sku,
+          limit: error.limit,
+          remainingAllowance: error.remainingAllowance,
+        });
+      }
+      if (error instanceof QueueAdmissionError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          sku: error.sku,
+          saleId: error.saleId,
+        });
+      }
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Extend reservations for a user
+   * Refreshes the hold on all or selected SKUs, bounded by each product's reservation policy
+   * @param {object} req.user - Authenticated user (set by the auth middleware)
+   * @param {object} req.body - Request body containing optional items
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async extendReservations(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const userId = req.user.id;
+      const { items } = req.body;
+      const ttlSeconds = parseInt(process.env.RESERVATION_TTL_SECONDS) || 600;
+
+      const result = await cartService.extendReservations(userId, items, ttlSeconds);
+
+      res.json({
+        success: true,
+        data: result,
+      });
     } catch (error) {
       res.status(400).json({
         success: false,
@@ -42,16 +102,25 @@ class CartController {
 
   /**
    * Get user's cart (all reservations)
-   * @param {object} req.params - Request parameters containing userId
+   * @param {object} req.user - Authenticated user, matching the userId path parameter
+   * @param {object} req.query - Query parameters containing optional region to price tax for
    * @param {object} res - Response object
    * @returns {object} - Response object with success, data, and message
    * @throws {Error} - Error if service throws an error
    */
   async getUserCart(req, res) {
     try {
-      const { userId } = req.params;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const userId = req.user.id;
       
-      const cart = await cartService.getUserCart(userId);
+      const cart = await cartService.getUserCart(userId, { region: req.query.region });
       
       res.json({
         success: true,
@@ -65,10 +134,89 @@ class CartController {
     }
   }
 
+  /**
+   * Apply a coupon to a user's cart
+   * @param {object} req.user - Authenticated user, matching the userId path parameter
+   * @param {object} req.body - Request body containing code
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success and the cart including its discount lines
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async applyCoupon(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const userId = req.user.id;
+      const { code } = req.body;
+
+      const cart = await cartService.applyCoupon(userId, code, { region: req.query.region });
+
+      res.json({
+        success: true,
+        data: cart,
+        message: 'Coupon applied successfully',
+      });
+    } catch (error) {
+      if (error instanceof CouponError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.couponCode,
+          reason: error.reason,
+        });
+      }
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Remove the coupon applied to a user's cart
+   * @param {object} req.user - Authenticated user, matching the userId path parameter
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success and the cart
+   * @throws {Error} - Error if no coupon is applied or service throws an error
+   */
+  async removeCoupon(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const userId = req.user.id;
+
+      const cart = await cartService.removeCoupon(userId, { region: req.query.region });
+
+      res.json({
+        success: true,
+        data: cart,
+        message: 'Coupon removed successfully',
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
   /**
    * Cancel reservations for a user
    * Supports multiple SKUs in a single transaction
-   * @param {object} req.body - Request body containing userId and items
+   * @param {object} req.user - Authenticated user (set by the auth middleware)
+   * @param {object} req.body - Request body containing items
    * @param {object} res - Response object
    * @returns {object} - Response object with success, data, and message
    * @throws {Error} - Error if validation fails or service throws an error
@@ -83,7 +231,7 @@ class CartController {
         });
       }
 
-      const { userId } = req.body;
+      const userId = req.user.id;
       const { items } = req.body;
 
       const result = await cartService.cancelReservation(userId, items);
@@ -1,12 +1,16 @@
 const checkoutService = require('../services/checkoutService');
 const { validationResult } = require('express-validator');
+const InsufficientStockError = require('../errors/InsufficientStockError');
+const PaymentError = require('../errors/PaymentError');
+const CouponError = require('../errors/CouponError');
 
 class CheckoutController {
  
 /**
  * Process checkout for a user
- * Validates reservations, reduces stock, creates order, and releases reservations
- * @param {object} req.body - Request body containing userId
+ * Validates reservations, takes payment, reduces stock, creates order, and releases reservations
+ * @param {object} req.user - Authenticated user (set by the auth middleware)
+ * @param {object} req.body - Request body containing optional items to buy (defaults to the whole cart) and tax region
  * @param {object} res - Response object
  * @returns {object} - Response object with success, data, and message
  * @throws {Error} - Error if service throws an error
@@ -21,10 +25,18 @@ class CheckoutController {
         });
       }
 
-      const { userId } = req.body;
+      const userId = req.user.id;
+
+      const result = await checkoutService.processCheckout(userId, req.body.items, { region: req.body.region });
+
+      if (result.status === 'pending') {
+        return res.status(202).json({
+          success: true,
+          data: result,
+          message: 'Payment is processing',
+        });
+      }
 
-      const result = await checkoutService.processCheckout(userId);
-      
       res.json({
         success: true,
         data: result,
@@ -32,6 +44,28 @@ class CheckoutController {
       });
     } catch (error) {
       console.error('Checkout error:', error);
+      if (error instanceof InsufficientStockError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          outOfStock: error.items,
+        });
+      }
+      if (error instanceof PaymentError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          paymentError: error.reason,
+        });
+      }
+      if (error instanceof CouponError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.couponCode,
+          reason: error.reason,
+        });
+      }
       res.status(400).json({
         success: false,
         message: error.message,
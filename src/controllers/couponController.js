@@ -0,0 +1,96 @@
+const couponService = require('../services/couponService');
+const { validationResult } = require('express-validator');
+
+class CouponController {
+
+  /**
+   * Create a new coupon
+   * @param {object} req.body - Request body containing coupon data
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async createCoupon(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const coupon = await couponService.createCoupon(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: coupon,
+        message: 'Coupon created successfully',
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Get all active coupons
+   * @param {object} req - Request object
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if service throws an error
+   */
+  async getCoupons(req, res) {
+    try {
+      const coupons = await couponService.getCoupons();
+
+      res.json({
+        success: true,
+        data: coupons,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Deactivate a coupon
+   * @param {object} req.params - Request parameters containing code
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if validation fails or the coupon is not found
+   */
+  async deactivateCoupon(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const coupon = await couponService.deactivateCoupon(req.params.code);
+
+      res.json({
+        success: true,
+        data: coupon,
+        message: 'Coupon deactivated successfully',
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new CouponController();
@@ -0,0 +1,161 @@
+const flashSaleService = require('../services/flashSaleService');
+const { validationResult } = require('express-validator');
+
+class FlashSaleController {
+
+  /**
+   * Create a new flash sale
+   * @param {object} req.body - Request body containing sale data
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async createSale(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const sale = await flashSaleService.createSale(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: sale,
+        message: 'Flash sale created successfully',
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Get all flash sales
+   * @param {object} req - Request object
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if service throws an error
+   */
+  async getSales(req, res) {
+    try {
+      const sales = await flashSaleService.getSales();
+
+      res.json({
+        success: true,
+        data: sales,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Get flash sale by ID
+   * @param {object} req.params - Request parameters containing saleId
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if service throws an error
+   */
+  async getSale(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const sale = await flashSaleService.getSaleById(req.params.saleId);
+
+      res.json({
+        success: true,
+        data: sale,
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Update a flash sale
+   * @param {object} req.params - Request parameters containing saleId
+   * @param {object} req.body - Request body containing fields to update
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async updateSale(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const sale = await flashSaleService.updateSale(req.params.saleId, req.body);
+
+      res.json({
+        success: true,
+        data: sale,
+        message: 'Flash sale updated successfully',
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Delete a flash sale
+   * @param {object} req.params - Request parameters containing saleId
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if service throws an error
+   */
+  async deleteSale(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      await flashSaleService.deleteSale(req.params.saleId);
+
+      res.json({
+        success: true,
+        message: 'Flash sale deleted successfully',
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new FlashSaleController();
@@ -0,0 +1,127 @@
+const orderService = require('../services/orderService');
+const OrderTransitionError = require('../errors/OrderTransitionError');
+const PaymentError = require('../errors/PaymentError');
+const { validationResult } = require('express-validator');
+
+class OrderController {
+
+  /**
+   * Get the authenticated user's order history
+   * @param {object} req.user - Authenticated user (set by the auth middleware)
+   * @param {object} req.query - Query parameters containing optional page, limit, status, from and to
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success and data
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async getUserOrders(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { page, limit, status, from, to } = req.query;
+      const orders = await orderService.getUserOrders(req.user.id, { page, limit, status, from, to });
+
+      res.json({
+        success: true,
+        data: orders,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Get one of the authenticated user's orders
+   * @param {object} req.params - Request parameters containing orderId
+   * @param {object} req.user - Authenticated user (set by the auth middleware)
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success and data
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async getOrder(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const order = await orderService.getOrderById(req.params.orderId, req.user.id);
+
+      res.json({
+        success: true,
+        data: order,
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Cancel an order (its owner or an admin)
+   * @param {object} req.params - Request parameters containing orderId
+   * @param {object} req.body - Request body containing an optional reason
+   * @param {object} req.user - Authenticated user (set by the auth middleware)
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async cancelOrder(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const order = await orderService.cancelOrder(req.params.orderId, req.user.id, {
+        reason: req.body.reason,
+      });
+
+      res.json({
+        success: true,
+        data: order,
+        message: 'Order cancelled successfully',
+      });
+    } catch (error) {
+      if (error instanceof OrderTransitionError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          status: error.from,
+        });
+      }
+      if (error instanceof PaymentError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          paymentError: error.reason,
+        });
+      }
+
+      res.status(error.message === 'Order not found' ? 404 : 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new OrderController();
@@ -1,5 +1,7 @@
 const productService = require('../services/productService');
+const stockStreamService = require('../services/stockStreamService');
 const { validationResult } = require('express-validator');
+const StockBelowReservedError = require('../errors/StockBelowReservedError');
 
 class ProductController {
  
@@ -20,7 +22,7 @@ class ProductController {
         });
       }
 
-      const product = await productService.createProduct(req.body);
+      const product = await productService.createProduct(req.body, req.user.id);
       
       res.status(201).json({
         success: true,
@@ -61,7 +63,76 @@ class ProductController {
     }
   }
 
- 
+
+  /**
+   * Stream a product's stock and flash sale state as Server-Sent Events
+   * Sends the current snapshot as a 'stock' event, then a new one whenever the stock changes.
+   * @param {object} req.params - Request parameters containing sku
+   * @param {object} res - Response object, held open as an event stream
+   * @returns {void}
+   * @throws {Error} - Error if validation fails or product not found
+   */
+  async streamStatus(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { sku } = req.params;
+
+    let snapshot;
+    try {
+      snapshot = await stockStreamService.getSnapshot(sku);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const send = (data) => {
+      res.write(`event: stock\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, parseInt(process.env.STOCK_STREAM_HEARTBEAT_MS) || 15000);
+
+    let closed = false;
+    let unsubscribe = null;
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    });
+
+    send(snapshot);
+    try {
+      const stop = await stockStreamService.subscribe(sku, send);
+      if (closed) {
+        stop();
+      } else {
+        unsubscribe = stop;
+      }
+    } catch (error) {
+      console.error(`Error subscribing to stock updates for SKU ${sku}:`, error);
+      res.end();
+    }
+  }
+
+
   /**
    * Get all active products with stock information
    * @param {object} req - Request object
@@ -88,6 +159,7 @@ class ProductController {
               reservedStock: 0,
               availableStock: product.totalStock,
               price: product.price,
+              currency: product.currency,
               isActive: product.isActive,
             };
           }
@@ -105,6 +177,151 @@ class ProductController {
       });
     }
   }
+
+
+  /**
+   * Update a product (admin only)
+   * @param {object} req.params - Request parameters containing sku
+   * @param {object} req.body - Request body containing fields to update
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async updateProduct(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const product = await productService.updateProduct(req.params.sku, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        data: product,
+        message: 'Product updated successfully',
+      });
+    } catch (error) {
+      if (error instanceof StockBelowReservedError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          reservedStock: error.reservedStock,
+        });
+      }
+      res.status(error.message === 'Product not found' ? 404 : 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Add stock to a product (admin only)
+   * @param {object} req.params - Request parameters containing sku
+   * @param {object} req.body - Request body containing quantity
+   * @param {object} res - Response object
+   * @param {Function} next - Next middleware, given any error other than a missing product
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async restockProduct(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const product = await productService.restockProduct(req.params.sku, req.body.quantity, req.user.id);
+
+      res.json({
+        success: true,
+        data: product,
+        message: 'Product restocked successfully',
+      });
+    } catch (error) {
+      if (error.message !== 'Product not found') {
+        return next(error);
+      }
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Deactivate a product (admin only)
+   * @param {object} req.params - Request parameters containing sku
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if service throws an error
+   */
+  async deactivateProduct(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      await productService.deactivateProduct(req.params.sku);
+
+      res.json({
+        success: true,
+        message: 'Product deactivated successfully',
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Get a product's inventory ledger (admin only)
+   * @param {object} req.params - Request parameters containing sku
+   * @param {object} req.query - Query parameters containing optional page and limit
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success and data
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async getLedger(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { page, limit } = req.query;
+      const ledger = await productService.getLedger(req.params.sku, { page, limit });
+
+      res.json({
+        success: true,
+        data: ledger,
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
 }
 
 module.exports = new ProductController();
@@ -0,0 +1,74 @@
+const queueService = require('../services/queueService');
+const { validationResult } = require('express-validator');
+
+class QueueController {
+
+  /**
+   * Join a flash sale's waiting room
+   * @param {object} req.user - Authenticated user (set by the auth middleware)
+   * @param {object} req.body - Request body containing saleId
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async joinQueue(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const ticket = await queueService.joinQueue(req.user.id, req.body.saleId);
+
+      res.status(201).json({
+        success: true,
+        data: ticket,
+        message: 'Joined the waiting room',
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Get a waiting room ticket's status
+   * Only the ticket's owner can see it, since an admitted ticket carries the admission token.
+   * @param {object} req.user - Authenticated user (set by the auth middleware)
+   * @param {object} req.params - Request parameters containing ticket
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if service throws an error
+   */
+  async getStatus(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const status = await queueService.getTicketStatus(req.params.ticket, req.user.id);
+
+      res.json({
+        success: true,
+        data: status,
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new QueueController();
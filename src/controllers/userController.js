@@ -59,6 +59,40 @@ class UserController {
       });
     }
   }
+
+
+  /**
+   * Log a user in and issue an access token
+   * @param {object} req.body - Request body containing email and password
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if validation fails or the credentials are wrong
+   */
+  async login(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { email, password } = req.body;
+      const result = await userService.login(email, password);
+
+      res.json({
+        success: true,
+        data: result,
+        message: 'Logged in successfully',
+      });
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
 }
 
 module.exports = new UserController();
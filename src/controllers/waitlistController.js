@@ -0,0 +1,90 @@
+const waitlistService = require('../services/waitlistService');
+const QueueAdmissionError = require('../errors/QueueAdmissionError');
+const { validationResult } = require('express-validator');
+
+class WaitlistController {
+
+  /**
+   * Join a product's waitlist
+   * @param {object} req.user - Authenticated user (set by the auth middleware)
+   * @param {object} req.params - Request parameters containing sku
+   * @param {object} req.body - Request body containing optional quantity and admissionToken
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async joinWaitlist(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { quantity, admissionToken } = req.body;
+
+      const entry = await waitlistService.joinWaitlist(
+        req.user.id,
+        req.params.sku,
+        parseInt(quantity) || 1,
+        admissionToken
+      );
+
+      res.status(201).json({
+        success: true,
+        data: entry,
+        message: 'Joined the waitlist',
+      });
+    } catch (error) {
+      if (error instanceof QueueAdmissionError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          sku: error.sku,
+          saleId: error.saleId,
+        });
+      }
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+
+  /**
+   * Leave a product's waitlist
+   * @param {object} req.user - Authenticated user (set by the auth middleware)
+   * @param {object} req.params - Request parameters containing sku
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success and message
+   * @throws {Error} - Error if the user is not on the waitlist
+   */
+  async leaveWaitlist(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      await waitlistService.leaveWaitlist(req.user.id, req.params.sku);
+
+      res.json({
+        success: true,
+        message: 'Left the waitlist',
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new WaitlistController();
@@ -0,0 +1,41 @@
+const webhookService = require('../services/webhookService');
+const { validationResult } = require('express-validator');
+const OrderTransitionError = require('../errors/OrderTransitionError');
+
+class WebhookController {
+
+  /**
+   * Receive a signed payment event from the payment provider
+   * @param {object} req.body - Request body containing id, type and data
+   * @param {object} res - Response object
+   * @returns {object} - Response object with success, data, and message
+   * @throws {Error} - Error if validation fails or service throws an error
+   */
+  async handlePaymentEvent(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const result = await webhookService.handlePaymentEvent(req.body);
+
+      res.json({
+        success: true,
+        data: result,
+        message: result.duplicate ? 'Event already processed' : 'Event processed',
+      });
+    } catch (error) {
+      console.error('Payment webhook error:', error);
+      res.status(error instanceof OrderTransitionError ? error.statusCode : 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new WebhookController();
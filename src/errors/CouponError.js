@@ -0,0 +1,32 @@
+/**
+ * Thrown when a coupon does not exist or cannot be applied to the cart
+ * @property {string} couponCode - Coupon code
+ * @property {string} reason - 'not_found', 'inactive', 'not_started', 'expired', 'exhausted', 'user_limit',
+ * 'currency', 'not_applicable' or 'min_spend'
+ * @property {number} statusCode - HTTP status code (404 Not Found for unknown codes, otherwise 422 Unprocessable Entity)
+ */
+class CouponError extends Error {
+  /**
+   * @param {object} details - {code, reason, minSpend}
+   */
+  constructor({ code, reason, minSpend }) {
+    const descriptions = {
+      not_found: 'does not exist',
+      inactive: 'is no longer available',
+      not_started: 'is not valid yet',
+      expired: 'has expired',
+      exhausted: 'has been fully redeemed',
+      user_limit: 'has already been used the maximum number of times',
+      not_applicable: 'does not apply to any item being bought',
+      currency: 'is not valid in this currency',
+      min_spend: `requires a minimum spend of ${minSpend}`,
+    };
+    super(`Coupon ${code} ${descriptions[reason]}`);
+    this.name = 'CouponError';
+    this.couponCode = code;
+    this.reason = reason;
+    this.statusCode = reason === 'not_found' ? 404 : 422;
+  }
+}
+
+module.exports = CouponError;
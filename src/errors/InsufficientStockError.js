@@ -0,0 +1,22 @@
+/**
+ * Thrown when a conditional stock decrement finds less stock than requested
+ * @property {object[]} items - Array of {sku, requested, available} objects, one per short SKU
+ * @property {number} statusCode - HTTP status code (409 Conflict)
+ */
+class InsufficientStockError extends Error {
+  /**
+   * @param {object[]} items - Array of {sku, requested, available} objects
+   */
+  constructor(items) {
+    super(
+      items
+        .map((item) => `Insufficient stock for SKU ${item.sku}. Available: ${item.available}, Requested: ${item.requested}`)
+        .join('; ')
+    );
+    this.name = 'InsufficientStockError';
+    this.items = items;
+    this.statusCode = 409;
+  }
+}
+
+module.exports = InsufficientStockError;
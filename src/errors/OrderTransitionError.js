@@ -0,0 +1,22 @@
+/**
+ * Thrown when an order cannot move to the requested status from its current one
+ * @property {string} orderId - Order ID
+ * @property {string} from - Current status
+ * @property {string} to - Requested status
+ * @property {number} statusCode - HTTP status code (409 Conflict)
+ */
+class OrderTransitionError extends Error {
+  /**
+   * @param {object} details - {orderId, from, to}
+   */
+  constructor({ orderId, from, to }) {
+    super(`Cannot change order ${orderId} from ${from} to ${to}`);
+    this.name = 'OrderTransitionError';
+    this.orderId = orderId;
+    this.from = from;
+    this.to = to;
+    this.statusCode = 409;
+  }
+}
+
+module.exports = OrderTransitionError;
@@ -0,0 +1,20 @@
+/**
+ * Thrown when a payment provider declines, fails or does not answer in time
+ * @property {string} reason - 'declined', 'timeout' or 'failed'
+ * @property {string} operation - Provider operation that failed (authorize, capture, void or refund)
+ * @property {number} statusCode - HTTP status code (402 Payment Required when declined, otherwise 502 Bad Gateway)
+ */
+class PaymentError extends Error {
+  /**
+   * @param {object} details - {reason, operation, message}
+   */
+  constructor({ reason, operation, message }) {
+    super(message || `Payment ${operation} ${reason === 'timeout' ? 'timed out' : reason}`);
+    this.name = 'PaymentError';
+    this.reason = reason;
+    this.operation = operation;
+    this.statusCode = reason === 'declined' ? 402 : 502;
+  }
+}
+
+module.exports = PaymentError;
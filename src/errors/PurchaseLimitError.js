@@ -0,0 +1,29 @@
+/**
+ * Thrown when a reservation would take a user past a per-user purchase limit
+ * @property {string} sku - SKU that hit the limit
+ * @property {string} limit - Which limit was hit: 'per_sku', 'per_window' or 'per_sale'
+ * @property {number} remainingAllowance - Units the user can still reserve under that limit
+ * @property {number} statusCode - HTTP status code (422 Unprocessable Entity)
+ */
+class PurchaseLimitError extends Error {
+  /**
+   * @param {object} details - {sku, limit, remainingAllowance, requested}
+   */
+  constructor({ sku, limit, remainingAllowance, requested }) {
+    const descriptions = {
+      per_sku: `the per-customer limit for SKU ${sku}`,
+      per_window: `the rolling purchase limit for SKU ${sku}`,
+      per_sale: `the per-customer limit for the flash sale containing SKU ${sku}`,
+    };
+    super(
+      `Reservation exceeds ${descriptions[limit]}. Remaining allowance: ${remainingAllowance}, Requested: ${requested}`
+    );
+    this.name = 'PurchaseLimitError';
+    this.sku = sku;
+    this.limit = limit;
+    this.remainingAllowance = remainingAllowance;
+    this.statusCode = 422;
+  }
+}
+
+module.exports = PurchaseLimitError;
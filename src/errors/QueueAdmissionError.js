@@ -0,0 +1,22 @@
+/**
+ * Thrown when a flash sale SKU is reserved without a valid waiting room admission token
+ * @property {string} sku - SKU that needs admission
+ * @property {string} saleId - Flash sale whose waiting room the user must join
+ * @property {number} statusCode - HTTP status code (403 Forbidden)
+ */
+class QueueAdmissionError extends Error {
+  /**
+   * @param {object} details - {sku, saleId}
+   */
+  constructor({ sku, saleId }) {
+    super(
+      `SKU ${sku} is in flash sale ${saleId}. Join the waiting room and reserve with the admission token you are given`
+    );
+    this.name = 'QueueAdmissionError';
+    this.sku = sku;
+    this.saleId = saleId;
+    this.statusCode = 403;
+  }
+}
+
+module.exports = QueueAdmissionError;
@@ -0,0 +1,22 @@
+/**
+ * Thrown when a stock change would leave a product with fewer units than are currently reserved
+ * @property {string} sku - Product SKU
+ * @property {number} reservedStock - Units currently held in reservations
+ * @property {number} statusCode - HTTP status code (409 Conflict)
+ */
+class StockBelowReservedError extends Error {
+  /**
+   * @param {object} details - {sku, requestedStock, reservedStock}
+   */
+  constructor({ sku, requestedStock, reservedStock }) {
+    super(
+      `Cannot set stock for SKU ${sku} to ${requestedStock}: ${reservedStock} units are currently reserved`
+    );
+    this.name = 'StockBelowReservedError';
+    this.sku = sku;
+    this.reservedStock = reservedStock;
+    this.statusCode = 409;
+  }
+}
+
+module.exports = StockBelowReservedError;
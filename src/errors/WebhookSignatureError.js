@@ -0,0 +1,16 @@
+/**
+ * Thrown when a webhook's signature header is missing, malformed, stale or does not match its body
+ * @property {number} statusCode - HTTP status code (401 Unauthorized)
+ */
+class WebhookSignatureError extends Error {
+  /**
+   * @param {string} message - Why the signature was rejected
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookSignatureError';
+    this.statusCode = 401;
+  }
+}
+
+module.exports = WebhookSignatureError;
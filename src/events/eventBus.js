@@ -0,0 +1,26 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Names of internal events emitted on the event bus
+ */
+const EVENTS = {
+  RESERVATION_EXPIRED: 'reservation.expired',
+  // Units became available again: {sku, quantity, reason}, reason being 'cancelled', 'restocked' or 'order_cancelled'
+  STOCK_RELEASED: 'stock.released',
+  // A user put units on hold: {userId, sku, quantity}
+  STOCK_RESERVED: 'stock.reserved',
+  // Held units were bought and taken off stock: {userId, sku, quantity}
+  STOCK_SOLD: 'stock.sold',
+};
+
+/**
+ * In-process event bus other modules can subscribe to
+ * @example
+ * eventBus.on(EVENTS.RESERVATION_EXPIRED, ({ userId, sku, quantity }) => { ... });
+ */
+class EventBus extends EventEmitter {}
+
+module.exports = {
+  eventBus: new EventBus(),
+  EVENTS,
+};
@@ -0,0 +1,60 @@
+const tokenService = require('../services/tokenService');
+
+/**
+ * Authentication middleware
+ * Verifies the Bearer token in the Authorization header and sets req.user = { id } from its subject.
+ * A userId sent in the path or body must match the token, otherwise the request is rejected with 403.
+ * With AUTH_LEGACY_MODE=true, requests without an Authorization header fall back to the userId
+ * in the path or body, as before tokens were required.
+ * @param {import('express').Request} req - The Express request object
+ * @param {import('express').Response} res - The Express response object
+ * @param {import('express').NextFunction} next - The next middleware function
+ * @returns {undefined}
+ * @example
+ * router.post('/', authenticate, checkoutValidations.checkout, checkoutController.checkout);
+ */
+const authenticate = (req, res, next) => {
+  const claimedUserId = req.params.userId || (req.body && req.body.userId);
+  const header = req.get('Authorization');
+
+  if (!header) {
+    if (process.env.AUTH_LEGACY_MODE === 'true' && claimedUserId) {
+      req.user = { id: claimedUserId.toString(), legacy: true };
+      return next();
+    }
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+    });
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authorization header must use the Bearer scheme',
+    });
+  }
+
+  let claims;
+  try {
+    claims = tokenService.verifyToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (claimedUserId && claimedUserId.toString() !== claims.sub) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only access your own cart and orders',
+    });
+  }
+
+  req.user = { id: claims.sub };
+  next();
+};
+
+module.exports = authenticate;
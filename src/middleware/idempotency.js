@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+/**
+ * Idempotency middleware
+ * When the request carries an Idempotency-Key header, the first response for that
+ * user and key is stored in Redis and replayed for retries. A key reused with a
+ * different payload is rejected with 422, and a retry that arrives while the
+ * original request is still running gets 409, even if the original client has disconnected.
+ * Server errors (5xx) are not stored, so the client can retry with the same key.
+ * @param {import('express').Request} req - The Express request object
+ * @param {import('express').Response} res - The Express response object
+ * @param {import('express').NextFunction} next - The next middleware function
+ * @returns {Promise<undefined>}
+ * @example
+ * router.post('/', authenticate, checkoutValidations.checkout, idempotency, checkoutController.checkout);
+ */
+const idempotency = async (req, res, next) => {
+  const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+  if (!idempotencyKey) {
+    return next();
+  }
+
+  const ttlSeconds = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 86400;
+  const userId = req.user ? req.user.id : req.body.userId;
+  const redisKey = `idempotency:${userId}:${idempotencyKey}`;
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${req.method}:${req.baseUrl}${req.path}:${JSON.stringify(req.body)}`)
+    .digest('hex');
+
+  try {
+    const client = getRedisClient();
+    const claimed = await client.set(
+      redisKey,
+      JSON.stringify({ state: 'in_progress', fingerprint }),
+      { NX: true, EX: ttlSeconds }
+    );
+
+    if (!claimed) {
+      const stored = JSON.parse(await client.get(redisKey));
+
+      if (!stored) {
+        // The stored entry expired between SET and GET; treat this as a new request
+        return idempotency(req, res, next);
+      }
+      if (stored.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          message: `${IDEMPOTENCY_HEADER} has already been used with a different request payload`,
+        });
+      }
+      if (stored.state === 'in_progress') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed',
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.statusCode).json(stored.body);
+    }
+
+    // Capture the response body so it can be stored once the response is sent
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.idempotentBody = body;
+      return json(body);
+    };
+
+    // Store the response once it has been sent, or drop the key so a failed request can be retried
+    let settled = false;
+    const settle = () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+
+      const completed = res.locals.idempotentBody !== undefined && res.statusCode < 500;
+      const store = !completed
+        ? client.del(redisKey)
+        : client.set(
+          redisKey,
+          JSON.stringify({
+            state: 'completed',
+            fingerprint,
+            statusCode: res.statusCode,
+            body: res.locals.idempotentBody,
+          }),
+          { EX: ttlSeconds }
+        );
+
+      store.catch((error) => {
+        console.error('Error storing idempotent response:', error);
+      });
+    };
+    res.on('finish', settle);
+
+    // A client that disconnects early gets no 'finish', so settle when the handler ends the response
+    // instead; until then retries keep getting 409
+    let disconnected = false;
+    res.on('close', () => {
+      disconnected = !res.writableFinished;
+    });
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+      const result = end(...args);
+      if (disconnected) {
+        settle();
+      }
+      return result;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = idempotency;
@@ -24,8 +24,21 @@ const reservationLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Waiting room status is polled while users wait, so it allows more frequent requests
+const queueStatusLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 60,
+  message: {
+    success: false,
+    message: 'Too many queue status requests, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 module.exports = {
   apiLimiter,
   reservationLimiter,
+  queueStatusLimiter,
 };
 
@@ -0,0 +1,38 @@
+const userService = require('../services/userService');
+
+/**
+ * Role check middleware, used after authenticate
+ * The role is read from the database on every request, so revoking it takes effect immediately.
+ * Users identified through AUTH_LEGACY_MODE are always rejected.
+ * @param {string} role - Role the authenticated user must have
+ * @returns {Function} - Express middleware that rejects other users with 403
+ * @example
+ * router.post('/', authenticate, requireRole('admin'), productController.createProduct);
+ */
+const requireRole = (role) => async (req, res, next) => {
+  // Legacy mode trusts the userId in the request, which must never grant a role
+  if (req.user.legacy) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+    });
+  }
+
+  try {
+    const user = await userService.getUserById(req.user.id);
+    if (user.role !== role) {
+      return res.status(403).json({
+        success: false,
+        message: `This action requires the ${role} role`,
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+module.exports = requireRole;
@@ -1,5 +1,6 @@
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const mongoose = require('mongoose');
+const { CURRENCY_EXPONENTS } = require('../config/currencies');
 
 const productValidations = {
   createProduct: [
@@ -9,21 +10,99 @@ const productValidations = {
       .isInt({ min: 0 })
       .withMessage('Total stock must be a non-negative integer'),
     body('price')
-      .isFloat({ min: 0 })
-      .withMessage('Price must be a non-negative number'),
+      .isInt({ min: 0 })
+      .withMessage('Price must be a non-negative integer in minor units (e.g. 1999 for 19.99)'),
+    body('currency')
+      .optional()
+      .isIn(Object.keys(CURRENCY_EXPONENTS))
+      .withMessage(`Currency must be one of ${Object.keys(CURRENCY_EXPONENTS).join(', ')}`),
     body('description').optional().trim(),
+    body('reservationPolicy.maxExtensions')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Max extensions must be a non-negative integer'),
+    body('reservationPolicy.maxHoldSeconds')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Max hold time must be a positive integer (seconds)'),
+    body('purchaseLimit.perUser')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Per-user limit must be a positive integer'),
+    body('purchaseLimit.perWindow')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Per-window limit must be a positive integer'),
+    body('purchaseLimit.windowSeconds')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Limit window must be a positive integer (seconds)'),
   ],
   getProductStatus: [
     param('sku').trim().notEmpty().withMessage('SKU is required'),
   ],
+  updateProduct: [
+    param('sku').trim().notEmpty().withMessage('SKU is required'),
+    body('sku').not().exists().withMessage('SKU cannot be changed'),
+    body('currency').not().exists().withMessage('Currency cannot be changed'),
+    body('name').optional().trim().notEmpty().withMessage('Product name cannot be empty'),
+    body('totalStock')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Total stock must be a non-negative integer'),
+    body('price')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Price must be a non-negative integer in minor units (e.g. 1999 for 19.99)'),
+    body('description').optional().trim(),
+    body('reservationPolicy.maxExtensions')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Max extensions must be a non-negative integer'),
+    body('reservationPolicy.maxHoldSeconds')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Max hold time must be a positive integer (seconds)'),
+    body('purchaseLimit.perUser')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Per-user limit must be a positive integer'),
+    body('purchaseLimit.perWindow')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Per-window limit must be a positive integer'),
+    body('purchaseLimit.windowSeconds')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Limit window must be a positive integer (seconds)'),
+  ],
+  restockProduct: [
+    param('sku').trim().notEmpty().withMessage('SKU is required'),
+    body('quantity')
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be a positive integer')
+      .toInt(),
+  ],
+  getLedger: [
+    param('sku').trim().notEmpty().withMessage('SKU is required'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+  ],
 };
 
 const cartValidations = {
   reserveItems: [
     body('userId')
+      .optional()
       .trim()
-      .notEmpty()
-      .withMessage('User ID is required')
       .custom((value) => {
         if (!mongoose.Types.ObjectId.isValid(value)) {
           throw new Error('Invalid user ID format. Must be a valid MongoDB ObjectId');
@@ -39,7 +118,12 @@ const cartValidations = {
       .withMessage('SKU is required for each item'),
     body('items.*.quantity')
       .isInt({ min: 1 })
-      .withMessage('Quantity must be a positive integer for each item'),
+      .withMessage('Quantity must be a positive integer for each item')
+      .toInt(),
+    body('admissionToken')
+      .optional()
+      .isString()
+      .withMessage('Admission token must be a string'),
   ],
   getUserCart: [
     param('userId')
@@ -52,12 +136,17 @@ const cartValidations = {
         }
         return true;
       }),
+    query('region')
+      .optional()
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/)
+      .withMessage('Region must be an ISO 3166 country or subdivision code, e.g. GB or US-CA'),
   ],
   cancelReservation: [
     body('userId')
+      .optional()
       .trim()
-      .notEmpty()
-      .withMessage('User ID is required')
       .custom((value) => {
         if (!mongoose.Types.ObjectId.isValid(value)) {
           throw new Error('Invalid user ID format. Must be a valid MongoDB ObjectId');
@@ -74,22 +163,101 @@ const cartValidations = {
     body('items.*.quantity')
       .optional()
       .isInt({ min: 1 })
-      .withMessage('Quantity must be a positive integer if provided'),
+      .withMessage('Quantity must be a positive integer if provided')
+      .toInt(),
+  ],
+  extendReservations: [
+    body('userId')
+      .optional()
+      .trim()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid user ID format. Must be a valid MongoDB ObjectId');
+        }
+        return true;
+      }),
+    body('items')
+      .optional()
+      .isArray()
+      .withMessage('Items must be an array'),
+    body('items.*.sku')
+      .trim()
+      .notEmpty()
+      .withMessage('SKU is required for each item'),
+  ],
+  applyCoupon: [
+    param('userId')
+      .trim()
+      .notEmpty()
+      .withMessage('User ID is required')
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid user ID format. Must be a valid MongoDB ObjectId');
+        }
+        return true;
+      }),
+    body('code')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Coupon code is required'),
+    query('region')
+      .optional()
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/)
+      .withMessage('Region must be an ISO 3166 country or subdivision code, e.g. GB or US-CA'),
+  ],
+  removeCoupon: [
+    param('userId')
+      .trim()
+      .notEmpty()
+      .withMessage('User ID is required')
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid user ID format. Must be a valid MongoDB ObjectId');
+        }
+        return true;
+      }),
+    query('region')
+      .optional()
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/)
+      .withMessage('Region must be an ISO 3166 country or subdivision code, e.g. GB or US-CA'),
   ],
 };
 
 const checkoutValidations = {
   checkout: [
     body('userId')
+      .optional()
       .trim()
-      .notEmpty()
-      .withMessage('User ID is required')
       .custom((value) => {
         if (!mongoose.Types.ObjectId.isValid(value)) {
           throw new Error('Invalid user ID format. Must be a valid MongoDB ObjectId');
         }
         return true;
       }),
+    body('items')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Items must be a non-empty array if provided'),
+    body('items.*.sku')
+      .trim()
+      .notEmpty()
+      .withMessage('SKU is required for each item'),
+    body('items.*.quantity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be a positive integer if provided')
+      .toInt(),
+    body('region')
+      .optional()
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/)
+      .withMessage('Region must be an ISO 3166 country or subdivision code, e.g. GB or US-CA'),
   ],
 };
 
@@ -97,6 +265,15 @@ const userValidations = {
   createUser: [
     body('email').optional().isEmail().withMessage('Invalid email format'),
     body('name').optional().trim(),
+    body('password')
+      .optional()
+      .isString()
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters'),
+  ],
+  login: [
+    body('email').trim().toLowerCase().isEmail().withMessage('A valid email is required'),
+    body('password').notEmpty().withMessage('Password is required'),
   ],
   getUser: [
     param('userId')
@@ -112,10 +289,306 @@ const userValidations = {
   ],
 };
 
+const flashSaleValidations = {
+  createSale: [
+    body('name').trim().notEmpty().withMessage('Sale name is required'),
+    body('startTime')
+      .isISO8601()
+      .withMessage('Start time must be an ISO 8601 date'),
+    body('endTime')
+      .isISO8601()
+      .withMessage('End time must be an ISO 8601 date'),
+    body('items')
+      .isArray({ min: 1 })
+      .withMessage('Items must be a non-empty array'),
+    body('items.*.sku')
+      .trim()
+      .notEmpty()
+      .withMessage('SKU is required for each item'),
+    body('items.*.dealPrice')
+      .isInt({ min: 0 })
+      .withMessage('Deal price must be a non-negative integer in minor units for each item'),
+    body('items.*.allocatedQuantity')
+      .isInt({ min: 1 })
+      .withMessage('Allocated quantity must be a positive integer for each item'),
+    body('maxPerUser')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Per-user limit must be a positive integer'),
+  ],
+  updateSale: [
+    param('saleId')
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid sale ID format. Must be a valid MongoDB ObjectId');
+        }
+        return true;
+      }),
+    body('name').optional().trim().notEmpty().withMessage('Sale name cannot be empty'),
+    body('startTime')
+      .optional()
+      .isISO8601()
+      .withMessage('Start time must be an ISO 8601 date'),
+    body('endTime')
+      .optional()
+      .isISO8601()
+      .withMessage('End time must be an ISO 8601 date'),
+    body('items')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Items must be a non-empty array'),
+    body('items.*.sku')
+      .trim()
+      .notEmpty()
+      .withMessage('SKU is required for each item'),
+    body('items.*.dealPrice')
+      .isInt({ min: 0 })
+      .withMessage('Deal price must be a non-negative integer in minor units for each item'),
+    body('items.*.allocatedQuantity')
+      .isInt({ min: 1 })
+      .withMessage('Allocated quantity must be a positive integer for each item'),
+    body('maxPerUser')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Per-user limit must be a positive integer'),
+  ],
+  getSale: [
+    param('saleId')
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid sale ID format. Must be a valid MongoDB ObjectId');
+        }
+        return true;
+      }),
+  ],
+};
+
+const waitlistValidations = {
+  joinWaitlist: [
+    param('sku').trim().notEmpty().withMessage('SKU is required'),
+    body('userId')
+      .optional()
+      .trim()
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid user ID format. Must be a valid MongoDB ObjectId');
+        }
+        return true;
+      }),
+    body('quantity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be a positive integer')
+      .toInt(),
+    body('admissionToken')
+      .optional()
+      .isString()
+      .withMessage('Admission token must be a string'),
+  ],
+  leaveWaitlist: [
+    param('sku').trim().notEmpty().withMessage('SKU is required'),
+  ],
+};
+
+const queueValidations = {
+  joinQueue: [
+    body('saleId')
+      .trim()
+      .notEmpty()
+      .withMessage('Sale ID is required')
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid sale ID format. Must be a valid MongoDB ObjectId');
+        }
+        return true;
+      }),
+  ],
+  getStatus: [
+    param('ticket')
+      .isUUID()
+      .withMessage('Invalid ticket format'),
+  ],
+};
+
+const orderValidations = {
+  getUserOrders: [
+    param('userId')
+      .trim()
+      .notEmpty()
+      .withMessage('User ID is required')
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid user ID format. Must be a valid MongoDB ObjectId');
+        }
+        return true;
+      }),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+    query('status')
+      .optional()
+      .isIn(['pending', 'paid', 'cancelling', 'fulfilled', 'cancelled', 'refunded', 'failed'])
+      .withMessage('Status must be one of pending, paid, cancelling, fulfilled, cancelled, refunded, failed'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid ISO 8601 date')
+      .toDate(),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid ISO 8601 date')
+      .toDate()
+      .custom((value, { req }) => {
+        if (req.query.from && value < req.query.from) {
+          throw new Error('To must not be before from');
+        }
+        return true;
+      }),
+  ],
+  getOrder: [
+    param('orderId')
+      .trim()
+      .notEmpty()
+      .withMessage('Order ID is required')
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid order ID format. Must be a valid MongoDB ObjectId');
+        }
+        return true;
+      }),
+  ],
+  cancelOrder: [
+    param('orderId')
+      .trim()
+      .notEmpty()
+      .withMessage('Order ID is required')
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid order ID format. Must be a valid MongoDB ObjectId');
+        }
+        return true;
+      }),
+    body('reason')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be a string of at most 500 characters'),
+  ],
+};
+
+const webhookValidations = {
+  paymentEvent: [
+    body('id')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Event ID is required'),
+    body('type')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Event type is required'),
+    body('data.reference')
+      .optional()
+      .isString()
+      .withMessage('Payment reference must be a string'),
+    body('data.reason')
+      .optional()
+      .isString()
+      .withMessage('Failure reason must be a string'),
+  ],
+};
+
+const couponValidations = {
+  createCoupon: [
+    body('code')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Coupon code is required'),
+    body('description').optional().isString().trim(),
+    body('type')
+      .isIn(['percentage', 'fixed'])
+      .withMessage("Coupon type must be 'percentage' or 'fixed'"),
+    body('value')
+      .isFloat({ min: 0 })
+      .withMessage('Coupon value must be a non-negative number'),
+    body('value')
+      .if(body('type').equals('percentage'))
+      .isFloat({ max: 100 })
+      .withMessage('A percentage coupon cannot exceed 100'),
+    body('value')
+      .if(body('type').equals('fixed'))
+      .isInt()
+      .withMessage('A fixed coupon value must be an integer in minor units'),
+    body('minSpend')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Minimum spend must be a non-negative integer in minor units'),
+    body('currency')
+      .optional()
+      .isIn(Object.keys(CURRENCY_EXPONENTS))
+      .withMessage(`Currency must be one of ${Object.keys(CURRENCY_EXPONENTS).join(', ')}`),
+    body('scope.skus')
+      .optional()
+      .isArray()
+      .withMessage('Scope SKUs must be an array'),
+    body('scope.skus.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Each scope SKU must be a non-empty string'),
+    body('scope.saleId')
+      .optional({ values: 'null' })
+      .custom((value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('Invalid sale ID format. Must be a valid MongoDB ObjectId');
+        }
+        return true;
+      }),
+    body('maxRedemptions')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Redemption limit must be a positive integer'),
+    body('maxRedemptionsPerUser')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Per-user redemption limit must be a positive integer'),
+    body('startTime')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Start time must be an ISO 8601 date'),
+    body('endTime')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('End time must be an ISO 8601 date'),
+  ],
+  deactivateCoupon: [
+    param('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Coupon code is required'),
+  ],
+};
+
 module.exports = {
   productValidations,
   cartValidations,
   checkoutValidations,
   userValidations,
+  flashSaleValidations,
+  queueValidations,
+  orderValidations,
+  webhookValidations,
+  couponValidations,
+  waitlistValidations,
 };
-
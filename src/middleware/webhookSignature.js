@@ -0,0 +1,27 @@
+const webhookService = require('../services/webhookService');
+const WebhookSignatureError = require('../errors/WebhookSignatureError');
+
+/**
+ * Payment webhook signature middleware
+ * Verifies the X-Payment-Signature header against the raw request body (kept by the JSON parser
+ * in server.js) and rejects the request with 401 if it does not match.
+ * @param {import('express').Request} req - The Express request object
+ * @param {import('express').Response} res - The Express response object
+ * @param {import('express').NextFunction} next - The next middleware function
+ * @returns {undefined}
+ * @example
+ * router.post('/payments', verifyWebhookSignature, webhookValidations.paymentEvent, webhookController.handlePaymentEvent);
+ */
+const verifyWebhookSignature = (req, res, next) => {
+  try {
+    webhookService.verifySignature(req.rawBody, req.get('X-Payment-Signature'));
+    next();
+  } catch (error) {
+    res.status(error instanceof WebhookSignatureError ? error.statusCode : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+module.exports = verifyWebhookSignature;
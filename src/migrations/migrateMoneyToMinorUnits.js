@@ -0,0 +1,80 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Product = require('../models/Product');
+const FlashSale = require('../models/FlashSale');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const moneyService = require('../services/moneyService');
+const { getDefaultCurrency } = require('../config/currencies');
+
+/**
+ * Convert decimal amounts to integer minor units in DEFAULT_CURRENCY
+ * Run once with `npm run migrate:money` after upgrading to currency-aware money handling, with the API
+ * stopped. Documents without a currency are the ones still in decimal amounts; each is converted and
+ * given the currency in one update, so re-running the migration skips what is already done.
+ */
+const migrate = async () => {
+  try {
+    await connectDB();
+    const currency = getDefaultCurrency();
+    const toMinor = (amount) => moneyService.toMinorUnits(amount, currency);
+
+    const converters = [
+      [Product, (product) => ({ price: toMinor(product.price) })],
+      [FlashSale, (sale) => ({
+        items: sale.items.map((item) => ({ ...item, dealPrice: toMinor(item.dealPrice) })),
+      })],
+      [Order, (order) => {
+        const items = order.items.map((item) => ({ ...item, price: toMinor(item.price) }));
+        const subtotals = items.map((item) => item.price * item.quantity);
+        const discountAmount = toMinor(order.discountAmount || 0);
+        // Old orders did not record which lines a discount applied to, so it is spread over all of them
+        const discounts = moneyService.allocate(discountAmount, subtotals);
+
+        return {
+          items: items.map((item, index) => ({
+            ...item,
+            subtotal: subtotals[index],
+            discountAmount: discounts[index],
+            taxRate: 0,
+            taxAmount: 0,
+            total: subtotals[index] - discounts[index],
+          })),
+          subtotal: subtotals.reduce((sum, subtotal) => sum + subtotal, 0),
+          discountAmount,
+          taxAmount: 0,
+          taxRegion: null,
+          totalAmount: toMinor(order.totalAmount),
+          ...(order.payment && { 'payment.amount': toMinor(order.payment.amount) }),
+        };
+      }],
+      [Coupon, (coupon) => ({
+        value: coupon.type === 'fixed' ? toMinor(coupon.value) : coupon.value,
+        minSpend: toMinor(coupon.minSpend || 0),
+      })],
+      [CouponRedemption, (redemption) => ({ discountAmount: toMinor(redemption.discountAmount) })],
+    ];
+
+    for (const [Model, convert] of converters) {
+      let migrated = 0;
+      const cursor = Model.find({ currency: { $exists: false } }).lean().cursor();
+      for await (const doc of cursor) {
+        const result = await Model.collection.updateOne(
+          { _id: doc._id, currency: { $exists: false } },
+          { $set: { ...convert(doc), currency } }
+        );
+        migrated += result.modifiedCount;
+      }
+      console.log(`Migrated ${migrated} ${Model.modelName} documents to ${currency} minor units`);
+    }
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Failed to migrate money to minor units:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
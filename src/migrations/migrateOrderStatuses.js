@@ -0,0 +1,32 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Order = require('../models/Order');
+
+/**
+ * Move orders written with the old `completed` status to `paid`
+ * Run once with `npm run migrate:order-status` after upgrading to the order state machine
+ */
+const migrate = async () => {
+  try {
+    await connectDB();
+
+    const result = await Order.updateMany(
+      { status: 'completed' },
+      {
+        $set: { status: 'paid' },
+        $push: {
+          statusHistory: { from: 'completed', to: 'paid', changedBy: null, changedAt: new Date(), reason: 'Migrated' },
+        },
+      }
+    );
+    console.log(`Migrated ${result.modifiedCount} orders`);
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Failed to migrate order statuses:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
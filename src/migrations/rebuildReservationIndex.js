@@ -0,0 +1,23 @@
+require('dotenv').config();
+const { connectRedis, getRedisClient } = require('../config/redis');
+const redisService = require('../services/redisService');
+
+/**
+ * Rebuild user_reservations:{userId} indexes from existing reservation keys
+ * Run once with `npm run migrate:reservation-index` after upgrading from KEYS-based cart reads
+ */
+const migrate = async () => {
+  try {
+    await connectRedis();
+
+    const indexed = await redisService.rebuildUserReservationIndex();
+    console.log(`Indexed ${indexed} reservations`);
+
+    await getRedisClient().quit();
+  } catch (error) {
+    console.error('Failed to rebuild reservation index:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
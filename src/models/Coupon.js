@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { CURRENCY_EXPONENTS } = require('../config/currencies');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Coupon type is required'],
+  },
+  // Percent off for percentage coupons; integer minor units of currency for fixed coupons
+  value: {
+    type: Number,
+    required: [true, 'Coupon value is required'],
+    min: [0, 'Coupon value cannot be negative'],
+    validate: {
+      validator: function (value) {
+        return this.type === 'percentage' ? value <= 100 : Number.isInteger(value);
+      },
+      message: 'A percentage coupon cannot exceed 100, and a fixed coupon must be a whole number of minor units',
+    },
+  },
+  // Minimum subtotal of the lines being bought before the coupon applies, in integer minor units of currency
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum spend cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Minimum spend must be a whole number of minor units',
+    },
+  },
+  // Currency of value and minSpend; a coupon with either only applies to purchases in this currency
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    enum: Object.keys(CURRENCY_EXPONENTS),
+  },
+  // Without a scope the coupon discounts every line; with one, only matching lines
+  scope: {
+    skus: {
+      type: [String],
+      default: [],
+    },
+    saleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FlashSale',
+      default: null,
+    },
+  },
+  maxRedemptions: {
+    type: Number,
+    default: null,
+    min: [1, 'Redemption limit must be at least 1'],
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: null,
+    min: [1, 'Per-user redemption limit must be at least 1'],
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Redemption count cannot be negative'],
+  },
+  startTime: {
+    type: Date,
+    default: null,
+  },
+  endTime: {
+    type: Date,
+    default: null,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { CURRENCY_EXPONENTS } = require('../config/currencies');
+
+// One document per order that used a coupon; removed again if the order is cancelled or its payment fails
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Coupon',
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User',
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Order',
+    unique: true,
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative'],
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    enum: Object.keys(CURRENCY_EXPONENTS),
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { CURRENCY_EXPONENTS } = require('../config/currencies');
+
+const flashSaleItemSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+    trim: true,
+  },
+  dealPrice: {
+    type: Number,
+    required: [true, 'Deal price is required'],
+    min: [0, 'Deal price cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Deal price must be a whole number of minor units',
+    },
+  },
+  allocatedQuantity: {
+    type: Number,
+    required: [true, 'Allocated quantity is required'],
+    min: [1, 'Allocated quantity must be at least 1'],
+  },
+  soldQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sold quantity cannot be negative'],
+  },
+});
+
+
+const flashSaleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Sale name is required'],
+    trim: true,
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required'],
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required'],
+  },
+  items: {
+    type: [flashSaleItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'A flash sale must include at least one SKU',
+    },
+  },
+  // Currency of every product in the sale; deal prices are integer minor units of it
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    enum: Object.keys(CURRENCY_EXPONENTS),
+  },
+  maxPerUser: {
+    type: Number,
+    default: null,
+    min: [1, 'Per-user limit must be at least 1'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+flashSaleSchema.index({ 'items.sku': 1, startTime: 1, endTime: 1 });
+flashSaleSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('FlashSale', flashSaleSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const inventoryMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Product ID is required'],
+    ref: 'Product',
+  },
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+  },
+  type: {
+    type: String,
+    enum: ['creation', 'restock', 'adjustment', 'checkout', 'cancellation'],
+    required: true,
+  },
+  delta: {
+    type: Number,
+    required: true,
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: [0, 'Balance cannot be negative'],
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// The ledger is append-only: movements are never edited or removed
+const rejectChange = function () {
+  throw new Error('Inventory movements are append-only');
+};
+inventoryMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+inventoryMovementSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Inventory movements are append-only'));
+  }
+  next();
+});
+
+inventoryMovementSchema.index({ sku: 1, createdAt: -1 });
+inventoryMovementSchema.index({ orderId: 1 });
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
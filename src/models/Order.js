@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CURRENCY_EXPONENTS } = require('../config/currencies');
 
 const orderItemSchema = new mongoose.Schema({
   productId: {
@@ -10,15 +11,118 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  name: {
+    type: String,
+    default: null,
+  },
   quantity: {
     type: Number,
     required: true,
     min: [1, 'Quantity must be at least 1'],
   },
+  // Unit price in integer minor units of the order's currency
   price: {
     type: Number,
     required: true,
   },
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlashSale',
+    default: null,
+  },
+  // Line breakdown in minor units: subtotal is price * quantity, total is subtotal - discountAmount + taxAmount.
+  // Null for orders placed before taxes were recorded.
+  subtotal: {
+    type: Number,
+    default: null,
+  },
+  discountAmount: {
+    type: Number,
+    default: null,
+  },
+  taxRate: {
+    type: Number,
+    default: null,
+  },
+  taxAmount: {
+    type: Number,
+    default: null,
+  },
+  total: {
+    type: Number,
+    default: null,
+  },
+});
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  reason: {
+    type: String,
+    default: null,
+  },
+}, {
+  _id: false,
+});
+
+const paymentSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['authorized', 'processing', 'captured', 'voided', 'refunded', 'failed'],
+    required: true,
+  },
+  reference: {
+    type: String,
+    default: null,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Payment amount cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Payment amount must be a whole number of minor units',
+    },
+  },
+  failureReason: {
+    type: String,
+    default: null,
+  },
+}, {
+  _id: false,
+});
+
+const orderCouponSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true,
+  },
+  code: {
+    type: String,
+    required: true,
+  },
+}, {
+  _id: false,
 });
 
 
@@ -30,21 +134,66 @@ const orderSchema = new mongoose.Schema({
     index: true,
   },
   items: [orderItemSchema],
+  // Amounts below are integer minor units of currency
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    enum: Object.keys(CURRENCY_EXPONENTS),
+  },
+  // Sum of the line subtotals before discounts; null for orders placed before coupons existed
+  subtotal: {
+    type: Number,
+    default: null,
+    min: [0, 'Subtotal cannot be negative'],
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount amount cannot be negative'],
+  },
+  coupon: {
+    type: orderCouponSchema,
+    default: null,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax amount cannot be negative'],
+  },
+  // Region the tax was worked out for; null when none was given and no tax was charged
+  taxRegion: {
+    type: String,
+    default: null,
+  },
+  // Amount charged: subtotal - discountAmount + taxAmount
   totalAmount: {
     type: Number,
     required: true,
     min: [0, 'Total amount cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Total amount must be a whole number of minor units',
+    },
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'cancelled'],
+    enum: ['pending', 'paid', 'cancelling', 'fulfilled', 'cancelled', 'refunded', 'failed'],
     default: 'pending',
   },
+  // Null for orders placed before checkout took payments
+  payment: {
+    type: paymentSchema,
+    default: null,
+  },
+  // Every status change, oldest first; changedBy is null for changes made by the system
+  statusHistory: [statusChangeSchema],
 }, {
   timestamps: true,
 });
 
 orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ 'payment.reference': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Order', orderSchema);
 
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One document per payment webhook event received; the unique eventId deduplicates provider retries
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    unique: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  reference: {
+    type: String,
+    default: null,
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+  },
+  outcome: {
+    type: String,
+    enum: ['paid', 'failed', 'ignored'],
+    required: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CURRENCY_EXPONENTS } = require('../config/currencies');
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -17,10 +18,21 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Total stock is required'],
     min: [0, 'Stock cannot be negative'],
   },
+  // Integer minor units of currency, e.g. 1999 for 19.99 USD
   price: {
     type: Number,
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Price must be a whole number of minor units',
+    },
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    enum: Object.keys(CURRENCY_EXPONENTS),
   },
   description: {
     type: String,
@@ -30,6 +42,35 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  reservationPolicy: {
+    maxExtensions: {
+      type: Number,
+      default: 2,
+      min: [0, 'Max extensions cannot be negative'],
+    },
+    maxHoldSeconds: {
+      type: Number,
+      default: 1800,
+      min: [1, 'Max hold time must be at least 1 second'],
+    },
+  },
+  purchaseLimit: {
+    perUser: {
+      type: Number,
+      default: null,
+      min: [1, 'Per-user limit must be at least 1'],
+    },
+    perWindow: {
+      type: Number,
+      default: null,
+      min: [1, 'Per-window limit must be at least 1'],
+    },
+    windowSeconds: {
+      type: Number,
+      default: 86400,
+      min: [1, 'Limit window must be at least 1 second'],
+    },
+  },
 }, {
   timestamps: true,
 });
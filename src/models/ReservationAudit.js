@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const reservationAuditSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required'],
+    ref: 'User',
+  },
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+  },
+  event: {
+    type: String,
+    enum: ['expired'],
+    required: true,
+  },
+  occurredAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+reservationAuditSchema.index({ sku: 1, occurredAt: -1 });
+reservationAuditSchema.index({ userId: 1, occurredAt: -1 });
+
+module.exports = mongoose.model('ReservationAudit', reservationAuditSchema);
@@ -12,12 +12,27 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  password: {
+    type: String,
+    select: false,
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'admin'],
+    default: 'customer',
+  },
   isActive: {
     type: Boolean,
     default: true,
   },
 }, {
   timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.password;
+      return ret;
+    },
+  },
 });
 
 // Index for faster queries
@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const cartController = require('../controllers/cartController');
 const { cartValidations } = require('../middleware/validation');
-const { reservationLimiter } = require('../middleware/rateLimiter');
+const { reservationLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const idempotency = require('../middleware/idempotency');
+const authenticate = require('../middleware/auth');
 
 /**
  * @swagger
@@ -10,6 +12,15 @@ const { reservationLimiter } = require('../middleware/rateLimiter');
  *   post:
  *     summary: Reserve items in cart (temporary lock for 10 minutes)
  *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key replay the first response
  *     requestBody:
  *       required: true
  *       content:
@@ -17,11 +28,11 @@ const { reservationLimiter } = require('../middleware/rateLimiter');
  *           schema:
  *             type: object
  *             required:
- *               - userId
  *               - items
  *             properties:
  *               userId:
  *                 type: string
+ *                 description: Optional; must match the authenticated user (required in legacy mode)
  *               items:
  *                 type: array
  *                 items:
@@ -35,47 +46,227 @@ const { reservationLimiter } = require('../middleware/rateLimiter');
  *                     quantity:
  *                       type: integer
  *                       minimum: 1
+ *               admissionToken:
+ *                 type: string
+ *                 description: Waiting room admission token, required for SKUs in a running flash sale
  *     responses:
  *       201:
  *         description: Items reserved successfully
  *       400:
  *         description: Validation error or insufficient stock
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: userId does not match the access token, or a flash sale SKU was reserved without a valid admission token
+ *       409:
+ *         description: A request with the same Idempotency-Key is still in progress
+ *       422:
+ *         description: Purchase limit exceeded (response includes limit and remainingAllowance), or Idempotency-Key reused with a different payload
  */
 router.post(
   '/reserve',
   reservationLimiter,
+  authenticate,
   cartValidations.reserveItems,
+  idempotency,
   cartController.reserveItems.bind(cartController)
 );
 
+/**
+ * @swagger
+ * /api/cart/extend:
+ *   post:
+ *     summary: Extend reservation holds, bounded by each product's reservation policy
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key replay the first response
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Optional; must match the authenticated user (required in legacy mode)
+ *               items:
+ *                 type: array
+ *                 description: Optional, omit to extend every reserved SKU
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - sku
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: New expiry timestamp per item
+ *       400:
+ *         description: Validation error or no active reservations
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: userId does not match the access token
+ */
+router.post(
+  '/extend',
+  reservationLimiter,
+  authenticate,
+  cartValidations.extendReservations,
+  idempotency,
+  cartController.extendReservations.bind(cartController)
+);
+
 /**
  * @swagger
  * /api/cart/{userId}:
  *   get:
  *     summary: Get user's cart with all reservations
+ *     description: Amounts are integer minor units of the cart's currency, broken down per line into subtotal, discount, tax and total.
  *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: region
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: US-CA
+ *         description: Tax region (ISO 3166 country or subdivision); defaults to TAX_DEFAULT_REGION
  *     responses:
  *       200:
  *         description: User's cart with reserved items
+ *       400:
+ *         description: Invalid region
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: userId does not match the access token
  */
 router.get(
   '/:userId',
+  authenticate,
   cartValidations.getUserCart,
   cartController.getUserCart.bind(cartController)
 );
 
+/**
+ * @swagger
+ * /api/cart/{userId}/coupon:
+ *   post:
+ *     summary: Apply a coupon to the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: region
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Tax region to price the returned cart for
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The cart with the coupon's discount line
+ *       400:
+ *         description: Validation error or empty cart
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: userId does not match the access token
+ *       404:
+ *         description: Coupon not found
+ *       422:
+ *         description: Coupon cannot be applied (response includes reason)
+ *   delete:
+ *     summary: Remove the coupon from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: region
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Tax region to price the returned cart for
+ *     responses:
+ *       200:
+ *         description: The cart without a coupon
+ *       400:
+ *         description: No coupon applied
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: userId does not match the access token
+ */
+router.post(
+  '/:userId/coupon',
+  apiLimiter,
+  authenticate,
+  cartValidations.applyCoupon,
+  cartController.applyCoupon.bind(cartController)
+);
+
+router.delete(
+  '/:userId/coupon',
+  apiLimiter,
+  authenticate,
+  cartValidations.removeCoupon,
+  cartController.removeCoupon.bind(cartController)
+);
+
 /**
  * @swagger
  * /api/cart/cancel:
  *   post:
  *     summary: Cancel reservations
  *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key replay the first response
  *     requestBody:
  *       required: true
  *       content:
@@ -83,11 +274,11 @@ router.get(
  *           schema:
  *             type: object
  *             required:
- *               - userId
  *               - items
  *             properties:
  *               userId:
  *                 type: string
+ *                 description: Optional; must match the authenticated user (required in legacy mode)
  *               items:
  *                 type: array
  *                 items:
@@ -106,11 +297,17 @@ router.get(
  *         description: Reservations cancelled successfully
  *       400:
  *         description: Validation error
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: userId does not match the access token
  */
 router.post(
   '/cancel',
   reservationLimiter,
+  authenticate,
   cartValidations.cancelReservation,
+  idempotency,
   cartController.cancelReservation.bind(cartController)
 );
 
@@ -3,6 +3,8 @@ const router = express.Router();
 const checkoutController = require('../controllers/checkoutController');
 const { checkoutValidations } = require('../middleware/validation');
 const { reservationLimiter } = require('../middleware/rateLimiter');
+const idempotency = require('../middleware/idempotency');
+const authenticate = require('../middleware/auth');
 
 /**
  * @swagger
@@ -10,27 +12,69 @@ const { reservationLimiter } = require('../middleware/rateLimiter');
  *   post:
  *     summary: Process checkout and finalize purchase
  *     tags: [Checkout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key replay the first response
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - userId
  *             properties:
  *               userId:
  *                 type: string
+ *                 description: Optional; must match the authenticated user (required in legacy mode)
+ *               items:
+ *                 type: array
+ *                 description: Optional; buy only these cart lines and keep the rest held. Omit to buy the whole cart.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - sku
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                       description: Defaults to the whole hold for the SKU
+ *               region:
+ *                 type: string
+ *                 example: US-CA
+ *                 description: Optional tax region (ISO 3166 country or subdivision); defaults to TAX_DEFAULT_REGION
  *     responses:
  *       200:
  *         description: Checkout completed successfully
+ *       202:
+ *         description: Payment is processing asynchronously, or its capture timed out; the order stays pending until the payment webhook settles it
  *       400:
- *         description: Validation error, empty cart, or insufficient stock
+ *         description: Validation error, empty cart, an item without a reservation or with more than is reserved, or insufficient stock
+ *       401:
+ *         description: Missing or invalid access token
+ *       402:
+ *         description: Payment declined (paymentError is declined); the reservations are kept
+ *       403:
+ *         description: userId does not match the access token
+ *       409:
+ *         description: A request with the same Idempotency-Key is still in progress, or a SKU ran out of stock (listed in outOfStock)
+ *       422:
+ *         description: Idempotency-Key reused with a different payload, or the cart's coupon no longer applies to the items bought (response includes reason)
+ *       502:
+ *         description: Payment provider failed or timed out (paymentError is failed or timeout); the reservations are kept
  */
 router.post(
   '/',
   reservationLimiter,
+  authenticate,
   checkoutValidations.checkout,
+  idempotency,
   checkoutController.checkout.bind(checkoutController)
 );
 
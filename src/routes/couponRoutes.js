@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const { couponValidations } = require('../middleware/validation');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const authenticate = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   post:
+ *     summary: Create a coupon (admin only)
+ *     description: Without a scope the coupon discounts every line being bought; with one, only lines for the listed SKUs and/or held under the given flash sale.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - type
+ *               - value
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Stored upper-case; codes are matched case-insensitively
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Percent off the eligible lines, or a fixed amount off them in integer minor units
+ *               minSpend:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Minimum subtotal of the lines being bought, in integer minor units
+ *               currency:
+ *                 type: string
+ *                 description: Currency of a fixed value and minSpend; defaults to DEFAULT_CURRENCY
+ *               scope:
+ *                 type: object
+ *                 properties:
+ *                   skus:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   saleId:
+ *                     type: string
+ *                     nullable: true
+ *               maxRedemptions:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               maxRedemptionsPerUser:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *       400:
+ *         description: Validation error, duplicate code, or unknown SKU or sale in the scope
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: User is not an admin
+ */
+router.post(
+  '/',
+  apiLimiter,
+  authenticate,
+  requireRole('admin'),
+  couponValidations.createCoupon,
+  couponController.createCoupon.bind(couponController)
+);
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: Get all active coupons (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of active coupons with their redemption counts
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: User is not an admin
+ */
+router.get(
+  '/',
+  apiLimiter,
+  authenticate,
+  requireRole('admin'),
+  couponController.getCoupons.bind(couponController)
+);
+
+/**
+ * @swagger
+ * /api/coupons/{code}:
+ *   delete:
+ *     summary: Deactivate a coupon (admin only)
+ *     description: Carts the coupon was applied to stop getting the discount. Past redemptions are kept.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deactivated successfully
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: User is not an admin
+ *       404:
+ *         description: Coupon not found
+ */
+router.delete(
+  '/:code',
+  apiLimiter,
+  authenticate,
+  requireRole('admin'),
+  couponValidations.deactivateCoupon,
+  couponController.deactivateCoupon.bind(couponController)
+);
+
+module.exports = router;
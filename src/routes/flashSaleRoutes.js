@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const flashSaleController = require('../controllers/flashSaleController');
+const { flashSaleValidations } = require('../middleware/validation');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const authenticate = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+
+/**
+ * @swagger
+ * /api/flash-sales:
+ *   post:
+ *     summary: Create a flash sale (admin only)
+ *     description: SKUs in a sale can only be reserved between startTime and endTime, at the deal price, up to the allocated quantity.
+ *     tags: [Flash Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - startTime
+ *               - endTime
+ *               - items
+ *             properties:
+ *               name:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *               maxPerUser:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Units one user may buy across every SKU in the sale
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - sku
+ *                     - dealPrice
+ *                     - allocatedQuantity
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *                     dealPrice:
+ *                       type: integer
+ *                       minimum: 0
+ *                       description: Integer minor units of the product's currency
+ *                     allocatedQuantity:
+ *                       type: integer
+ *                       minimum: 1
+ *     responses:
+ *       201:
+ *         description: Flash sale created successfully
+ *       400:
+ *         description: Validation error, unknown SKU, products priced in different currencies, or SKU already in an overlapping sale
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: User is not an admin
+ */
+router.post(
+  '/',
+  apiLimiter,
+  authenticate,
+  requireRole('admin'),
+  flashSaleValidations.createSale,
+  flashSaleController.createSale.bind(flashSaleController)
+);
+
+/**
+ * @swagger
+ * /api/flash-sales:
+ *   get:
+ *     summary: Get all flash sales
+ *     tags: [Flash Sales]
+ *     responses:
+ *       200:
+ *         description: List of flash sales sorted by start time
+ */
+router.get(
+  '/',
+  apiLimiter,
+  flashSaleController.getSales.bind(flashSaleController)
+);
+
+/**
+ * @swagger
+ * /api/flash-sales/{saleId}:
+ *   get:
+ *     summary: Get flash sale by ID
+ *     tags: [Flash Sales]
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Flash sale details including sold quantities
+ *       404:
+ *         description: Flash sale not found
+ */
+router.get(
+  '/:saleId',
+  apiLimiter,
+  flashSaleValidations.getSale,
+  flashSaleController.getSale.bind(flashSaleController)
+);
+
+/**
+ * @swagger
+ * /api/flash-sales/{saleId}:
+ *   patch:
+ *     summary: Update a flash sale (admin only)
+ *     description: Any field may be omitted. Replacing items keeps the sold quantity of SKUs that stay in the sale.
+ *     tags: [Flash Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *               maxPerUser:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Units one user may buy across every SKU in the sale
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *                     dealPrice:
+ *                       type: integer
+ *                     allocatedQuantity:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Flash sale updated successfully
+ *       400:
+ *         description: Validation error or flash sale not found
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: User is not an admin
+ */
+router.patch(
+  '/:saleId',
+  apiLimiter,
+  authenticate,
+  requireRole('admin'),
+  flashSaleValidations.updateSale,
+  flashSaleController.updateSale.bind(flashSaleController)
+);
+
+/**
+ * @swagger
+ * /api/flash-sales/{saleId}:
+ *   delete:
+ *     summary: Delete a flash sale (admin only)
+ *     tags: [Flash Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Flash sale deleted successfully
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: User is not an admin
+ *       404:
+ *         description: Flash sale not found
+ */
+router.delete(
+  '/:saleId',
+  apiLimiter,
+  authenticate,
+  requireRole('admin'),
+  flashSaleValidations.getSale,
+  flashSaleController.deleteSale.bind(flashSaleController)
+);
+
+module.exports = router;
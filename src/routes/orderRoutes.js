@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/orderController');
+const authenticate = require('../middleware/auth');
+const { orderValidations } = require('../middleware/validation');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+/**
+ * @swagger
+ * /api/orders/{orderId}:
+ *   get:
+ *     summary: Get one of the authenticated user's orders
+ *     description: Line items carry the product name and the prices captured at purchase time.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectid
+ *     responses:
+ *       200:
+ *         description: Order details
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid access token
+ *       404:
+ *         description: Order not found (or it belongs to another user)
+ */
+router.get(
+  '/:orderId',
+  apiLimiter,
+  authenticate,
+  orderValidations.getOrder,
+  orderController.getOrder.bind(orderController)
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/cancel:
+ *   post:
+ *     summary: Cancel an order and restore its stock
+ *     description: Allowed for the order's owner or an admin while the order is pending or paid. Paid orders are refunded first; pending and paid orders have their units returned to totalStock and to their flash sale allocation.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectid
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Order cancelled successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid access token
+ *       404:
+ *         description: Order not found (or it belongs to another user)
+ *       409:
+ *         description: The order's current status cannot move to cancelled, or its payment is still being captured
+ *       502:
+ *         description: The refund failed; the order is left unchanged
+ */
+router.post(
+  '/:orderId/cancel',
+  apiLimiter,
+  authenticate,
+  orderValidations.cancelOrder,
+  orderController.cancelOrder.bind(orderController)
+);
+
+module.exports = router;
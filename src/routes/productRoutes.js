@@ -1,15 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
-const { productValidations } = require('../middleware/validation');
+const waitlistController = require('../controllers/waitlistController');
+const { productValidations, waitlistValidations } = require('../middleware/validation');
 const { apiLimiter } = require('../middleware/rateLimiter');
+const authenticate = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
 
 /**
  * @swagger
  * /api/products:
  *   post:
- *     summary: Create a new product
+ *     summary: Create a new product (admin only)
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -30,19 +35,58 @@ const { apiLimiter } = require('../middleware/rateLimiter');
  *                 type: integer
  *                 minimum: 0
  *               price:
- *                 type: number
+ *                 type: integer
  *                 minimum: 0
+ *                 description: Integer minor units of currency, e.g. 1999 for 19.99 USD
+ *               currency:
+ *                 type: string
+ *                 example: USD
+ *                 description: ISO 4217 code; defaults to DEFAULT_CURRENCY and cannot be changed later
  *               description:
  *                 type: string
+ *               reservationPolicy:
+ *                 type: object
+ *                 properties:
+ *                   maxExtensions:
+ *                     type: integer
+ *                     minimum: 0
+ *                     default: 2
+ *                   maxHoldSeconds:
+ *                     type: integer
+ *                     minimum: 1
+ *                     default: 1800
+ *               purchaseLimit:
+ *                 type: object
+ *                 properties:
+ *                   perUser:
+ *                     type: integer
+ *                     minimum: 1
+ *                     nullable: true
+ *                     description: Units one user may buy of this SKU in total
+ *                   perWindow:
+ *                     type: integer
+ *                     minimum: 1
+ *                     nullable: true
+ *                     description: Units one user may buy of this SKU within windowSeconds
+ *                   windowSeconds:
+ *                     type: integer
+ *                     minimum: 1
+ *                     default: 86400
  *     responses:
  *       201:
  *         description: Product created successfully
  *       400:
  *         description: Validation error
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: User is not an admin
  */
 router.post(
   '/',
   apiLimiter,
+  authenticate,
+  requireRole('admin'),
   productValidations.createProduct,
   productController.createProduct.bind(productController)
 );
@@ -88,5 +132,299 @@ router.get(
   productController.getProductStatus.bind(productController)
 );
 
+/**
+ * @swagger
+ * /api/products/{sku}:
+ *   patch:
+ *     summary: Update a product (admin only)
+ *     description: Any field may be omitted. totalStock cannot be set below the stock currently reserved.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               totalStock:
+ *                 type: integer
+ *                 minimum: 0
+ *               price:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Integer minor units of the product's currency
+ *               description:
+ *                 type: string
+ *               reservationPolicy:
+ *                 type: object
+ *               purchaseLimit:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Product updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: User is not an admin
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: totalStock is below the currently reserved stock (response includes reservedStock)
+ */
+router.patch(
+  '/:sku',
+  apiLimiter,
+  authenticate,
+  requireRole('admin'),
+  productValidations.updateProduct,
+  productController.updateProduct.bind(productController)
+);
+
+/**
+ * @swagger
+ * /api/products/{sku}/restock:
+ *   post:
+ *     summary: Add stock to a product (admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Product restocked successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: User is not an admin
+ *       404:
+ *         description: Product not found
+ */
+router.post(
+  '/:sku/restock',
+  apiLimiter,
+  authenticate,
+  requireRole('admin'),
+  productValidations.restockProduct,
+  productController.restockProduct.bind(productController)
+);
+
+/**
+ * @swagger
+ * /api/products/{sku}/ledger:
+ *   get:
+ *     summary: Get a product's inventory movements, newest first (admin only)
+ *     description: Every stock change (creation, restock, adjustment, checkout, cancellation) with the resulting balance.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Inventory ledger page
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: User is not an admin
+ *       404:
+ *         description: Product not found
+ */
+router.get(
+  '/:sku/ledger',
+  apiLimiter,
+  authenticate,
+  requireRole('admin'),
+  productValidations.getLedger,
+  productController.getLedger.bind(productController)
+);
+
+/**
+ * @swagger
+ * /api/products/{sku}/stream:
+ *   get:
+ *     summary: Stream product stock and flash sale state (Server-Sent Events)
+ *     description: Sends a 'stock' event with totalStock, reservedStock, availableStock and sale right away, then again whenever reservations, cancellations, expiries, restocks or checkouts change them on any instance. Snapshots of a busy SKU are sent at most once per STOCK_STREAM_THROTTLE_MS.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event stream (text/event-stream)
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Product not found
+ */
+router.get(
+  '/:sku/stream',
+  apiLimiter,
+  productValidations.getProductStatus,
+  productController.streamStatus.bind(productController)
+);
+
+/**
+ * @swagger
+ * /api/products/{sku}/waitlist:
+ *   post:
+ *     summary: Join a product's waitlist
+ *     description: When held units are released (cancelled or expired holds, restocks, cancelled orders) they are offered to waitlisted users in order, as a hold in their cart for a short exclusive window. Joining again updates the quantity and keeps the user's place.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Optional; must match the authenticated user (required in legacy mode)
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *               admissionToken:
+ *                 type: string
+ *                 description: Waiting room admission token, required for SKUs in a running flash sale
+ *     responses:
+ *       201:
+ *         description: Joined the waitlist (response includes position and offerWindowSeconds)
+ *       400:
+ *         description: Validation error, product not found, or enough stock is available to reserve now
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: userId does not match the access token, or a flash sale SKU was waitlisted without a valid admission token
+ *   delete:
+ *     summary: Leave a product's waitlist
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Left the waitlist
+ *       401:
+ *         description: Missing or invalid access token
+ *       404:
+ *         description: Not on the waitlist for this SKU
+ */
+router.post(
+  '/:sku/waitlist',
+  apiLimiter,
+  authenticate,
+  waitlistValidations.joinWaitlist,
+  waitlistController.joinWaitlist.bind(waitlistController)
+);
+
+router.delete(
+  '/:sku/waitlist',
+  apiLimiter,
+  authenticate,
+  waitlistValidations.leaveWaitlist,
+  waitlistController.leaveWaitlist.bind(waitlistController)
+);
+
+/**
+ * @swagger
+ * /api/products/{sku}:
+ *   delete:
+ *     summary: Deactivate a product (admin only)
+ *     description: Soft delete; the product stays in the database with isActive set to false.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product deactivated successfully
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: User is not an admin
+ *       404:
+ *         description: Product not found
+ */
+router.delete(
+  '/:sku',
+  apiLimiter,
+  authenticate,
+  requireRole('admin'),
+  productValidations.getProductStatus,
+  productController.deactivateProduct.bind(productController)
+);
+
 module.exports = router;
 
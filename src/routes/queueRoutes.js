@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const queueController = require('../controllers/queueController');
+const { queueValidations } = require('../middleware/validation');
+const { apiLimiter, queueStatusLimiter } = require('../middleware/rateLimiter');
+const authenticate = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/queue/join:
+ *   post:
+ *     summary: Join a flash sale's waiting room
+ *     description: Returns a ticket with its position. Joining again returns the same ticket until its admission lapses.
+ *     tags: [Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - saleId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Optional; must match the authenticated user (required in legacy mode)
+ *               saleId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Ticket issued (or the user's existing ticket)
+ *       400:
+ *         description: Validation error, user or sale not found, or the sale has ended
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: userId does not match the access token
+ */
+router.post(
+  '/join',
+  apiLimiter,
+  authenticate,
+  queueValidations.joinQueue,
+  queueController.joinQueue.bind(queueController)
+);
+
+/**
+ * @swagger
+ * /api/queue/status/{ticket}:
+ *   get:
+ *     summary: Get a waiting room ticket's status
+ *     description: While waiting, returns position and estimatedWaitSeconds. Once admitted, returns the admissionToken to send with POST /api/cart/reserve.
+ *     tags: [Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticket
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ticket status (waiting, admitted or expired)
+ *       401:
+ *         description: Missing or invalid access token
+ *       404:
+ *         description: Ticket not found, or issued to another user
+ */
+router.get(
+  '/status/:ticket',
+  queueStatusLimiter,
+  authenticate,
+  queueValidations.getStatus,
+  queueController.getStatus.bind(queueController)
+);
+
+module.exports = router;
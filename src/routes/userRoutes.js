@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { userValidations } = require('../middleware/validation');
+const orderController = require('../controllers/orderController');
+const authenticate = require('../middleware/auth');
+const { userValidations, orderValidations } = require('../middleware/validation');
 const { apiLimiter } = require('../middleware/rateLimiter');
 
 /**
@@ -22,6 +24,10 @@ const { apiLimiter } = require('../middleware/rateLimiter');
  *                 format: email
  *               name:
  *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: Required to log in
  *     responses:
  *       201:
  *         description: User created successfully
@@ -35,6 +41,43 @@ router.post(
   userController.createUser.bind(userController)
 );
 
+/**
+ * @swagger
+ * /api/users/login:
+ *   post:
+ *     summary: Log in and get an access token
+ *     description: Send the token as `Authorization: Bearer <token>` on cart and checkout requests.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Access token, its expiry, and the user
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid email or password
+ */
+router.post(
+  '/login',
+  apiLimiter,
+  userValidations.login,
+  userController.login.bind(userController)
+);
+
 /**
  * @swagger
  * /api/users/{userId}:
@@ -62,5 +105,68 @@ router.get(
   userController.getUser.bind(userController)
 );
 
+/**
+ * @swagger
+ * /api/users/{userId}/orders:
+ *   get:
+ *     summary: Get a user's order history, newest first
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, cancelling, fulfilled, cancelled, refunded, failed]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders placed at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders placed at or before this time
+ *     responses:
+ *       200:
+ *         description: Page of orders with line items
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: userId does not match the access token
+ */
+router.get(
+  '/:userId/orders',
+  apiLimiter,
+  authenticate,
+  orderValidations.getUserOrders,
+  orderController.getUserOrders.bind(orderController)
+);
+
 module.exports = router;
 
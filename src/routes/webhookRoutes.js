@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const verifyWebhookSignature = require('../middleware/webhookSignature');
+const { webhookValidations } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/webhooks/payments:
+ *   post:
+ *     summary: Receive a payment event from the payment provider
+ *     description: Settles a pending order to paid (payment.captured) or failed (payment.failed). Each event ID is processed once; retries return 200 with duplicate set.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: header
+ *         name: X-Payment-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>"> keyed with PAYMENT_WEBHOOK_SECRET
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - type
+ *             properties:
+ *               id:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [payment.captured, payment.failed]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   reference:
+ *                     type: string
+ *                     description: Provider payment reference stored on the order
+ *                   reason:
+ *                     type: string
+ *                     description: Failure reason for payment.failed
+ *     responses:
+ *       200:
+ *         description: Event processed, ignored, or already processed
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing, stale or invalid signature
+ *       409:
+ *         description: The order changed status while the event was applied; the provider should retry
+ */
+router.post(
+  '/payments',
+  verifyWebhookSignature,
+  webhookValidations.paymentEvent,
+  webhookController.handlePaymentEvent.bind(webhookController)
+);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const productService = require('../services/productService');
+
+/**
+ * Recompute stock from the inventory ledger and report products whose totalStock has drifted
+ * Run with `npm run reconcile:inventory`; exits with status 2 when drift is found.
+ * Pass `--baseline` once after upgrading to record opening balances for products created before the ledger.
+ */
+const reconcile = async () => {
+  const baseline = process.argv.slice(2).includes('--baseline');
+
+  try {
+    await connectDB();
+
+    if (baseline) {
+      const skus = await productService.recordOpeningBalances();
+      console.log(`Recorded opening balances for ${skus.length} product(s)`);
+    }
+
+    const report = await productService.reconcileInventory();
+    const drifted = report.filter((entry) => entry.drift !== 0);
+
+    for (const { sku, totalStock, ledgerStock, movements, drift } of drifted) {
+      console.log(
+        `${sku}: totalStock ${totalStock}, ledger ${ledgerStock} (${movements} movements), drift ${drift > 0 ? '+' : ''}${drift}`
+      );
+    }
+    console.log(`Checked ${report.length} product(s), ${drifted.length} with drift`);
+
+    await mongoose.disconnect();
+    process.exit(drifted.length > 0 ? 2 : 0);
+  } catch (error) {
+    console.error('Failed to reconcile inventory:', error);
+    process.exit(1);
+  }
+};
+
+reconcile();
@@ -0,0 +1,30 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const userService = require('../services/userService');
+
+/**
+ * Grant or revoke a user's role
+ * Run with `npm run user:set-role -- <email> <customer|admin>`
+ */
+const setRole = async () => {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !['customer', 'admin'].includes(role)) {
+    console.error('Usage: npm run user:set-role -- <email> <customer|admin>');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    const user = await userService.setRole(email.toLowerCase(), role);
+    console.log(`${user.email} is now ${user.role}`);
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Failed to set user role:', error);
+    process.exit(1);
+  }
+};
+
+setRole();
@@ -0,0 +1,23 @@
+require('dotenv').config();
+const webhookService = require('../services/webhookService');
+
+/**
+ * Print the X-Payment-Signature header for a webhook body, to post signed events locally
+ * Run with `npm run -s payments:sign-webhook -- '<json body>'`; sign the exact body you send.
+ */
+const sign = () => {
+  const [body] = process.argv.slice(2);
+  if (!body) {
+    console.error("Usage: npm run -s payments:sign-webhook -- '<json body>'");
+    process.exit(1);
+  }
+
+  try {
+    console.log(webhookService.signPayload(body));
+  } catch (error) {
+    console.error('Failed to sign webhook:', error.message);
+    process.exit(1);
+  }
+};
+
+sign();
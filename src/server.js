@@ -4,19 +4,33 @@ const cors = require('cors');
 const connectDB = require('./config/database');
 const { connectRedis } = require('./config/redis');
 const errorHandler = require('./middleware/errorHandler');
+const reaperService = require('./services/reaperService');
+const queueService = require('./services/queueService');
+const waitlistService = require('./services/waitlistService');
+const stockStreamService = require('./services/stockStreamService');
 
 // Import routes
 const productRoutes = require('./routes/productRoutes');
 const cartRoutes = require('./routes/cartRoutes');
 const checkoutRoutes = require('./routes/checkoutRoutes');
 const userRoutes = require('./routes/userRoutes');
+const flashSaleRoutes = require('./routes/flashSaleRoutes');
+const queueRoutes = require('./routes/queueRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const couponRoutes = require('./routes/couponRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body as well, so payment webhook signatures can be checked against the exact bytes sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Swagger setup
@@ -37,6 +51,15 @@ const swaggerOptions = {
         description: 'Development server',
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+      },
+    },
   },
   apis: ['./src/routes/*.js', './src/controllers/*.js'],
 };
@@ -49,6 +72,11 @@ app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/checkout', checkoutRoutes);
+app.use('/api/flash-sales', flashSaleRoutes);
+app.use('/api/queue', queueRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/coupons', couponRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -70,6 +98,11 @@ app.get('/', (req, res) => {
       products: '/api/products',
       cart: '/api/cart',
       checkout: '/api/checkout',
+      flashSales: '/api/flash-sales',
+      queue: '/api/queue',
+      orders: '/api/orders',
+      webhooks: '/api/webhooks',
+      coupons: '/api/coupons',
       docs: '/api-docs',
     },
   });
@@ -86,6 +119,22 @@ const startServer = async () => {
     
     // Connect to Redis
     await connectRedis();
+
+    // Sweep expired reservations here unless a standalone reaper worker is running
+    if (process.env.RESERVATION_REAPER_IN_PROCESS !== 'false') {
+      reaperService.start(parseInt(process.env.RESERVATION_REAPER_INTERVAL_MS) || 5000);
+    }
+
+    // Offer stock released in this process to waitlisted users
+    waitlistService.start();
+
+    // Publish stock changed in this process to the stock streams of every instance
+    stockStreamService.start();
+
+    // Admit waiting room batches here unless a standalone admitter worker is running
+    if (process.env.QUEUE_ADMITTER_IN_PROCESS !== 'false') {
+      queueService.start(parseInt(process.env.QUEUE_ADMIT_INTERVAL_MS) || 5000);
+    }
     
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
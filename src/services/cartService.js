@@ -1,92 +1,253 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const PurchaseLimitError = require('../errors/PurchaseLimitError');
+const QueueAdmissionError = require('../errors/QueueAdmissionError');
+const InsufficientStockError = require('../errors/InsufficientStockError');
 const productService = require('./productService');
 const redisService = require('./redisService');
 const userService = require('./userService');
+const flashSaleService = require('./flashSaleService');
+const queueService = require('./queueService');
+const couponService = require('./couponService');
+const pricingService = require('./pricingService');
+const { eventBus, EVENTS } = require('../events/eventBus');
 
 class CartService {
 
   /**
    * Reserve items in cart for a user
-   * Supports multiple SKUs in a single transaction
+   * Supports multiple SKUs in a single atomic operation (all-or-nothing)
+   * Per-user purchase limits count paid and fulfilled orders here and active holds inside the reservation script.
    * @param {string} userId - User ID
    * @param {object[]} items - Array of items to reserve. Each item should have sku and quantity properties.
-   * @param {number} ttlSeconds - Time to live in seconds for the reservation
+   * @param {number} ttlSeconds - Time to live in seconds for the reservation. Adding to a hold keeps its expiry.
+   * @param {string} [admissionToken] - Waiting room admission token, required for SKUs in a running flash sale
+   * @param {object} [options] - {waitlistOffer}: set when holding stock for a waitlisted user, who was
+   * checked for admission when they joined the waitlist; a hold they already have lasts at least ttlSeconds
    * @returns {Promise<object>} - Response object with success, data, and message
-   * @throws {Error} - Error if validation fails or service throws an error
+   * @throws {PurchaseLimitError} - Error if the reservation would exceed a per-user limit
+   * @throws {QueueAdmissionError} - Error if a flash sale SKU is reserved without a valid admission token
+   * @throws {InsufficientStockError} - Error if a SKU has less stock available than requested
+   * @throws {Error} - Error if validation fails, the items are priced in a different currency from the cart, or
+   * service throws an error
    */
-  async reserveItems(userId, items, ttlSeconds) {
+  async reserveItems(userId, items, ttlSeconds, admissionToken = null, { waitlistOffer = false } = {}) {
     // Validate user exists
     const userExists = await userService.userExists(userId);
     if (!userExists) {
       throw new Error('User not found');
     }
-    const results = [];
+
+    // Merge duplicate SKUs so the stock check sees the combined quantity
+    const quantities = new Map();
+    for (const item of items) {
+      const { sku, quantity } = item;
+
+      // Validate item
+      if (!sku || !quantity || quantity <= 0) {
+        throw new Error(`Invalid item: ${JSON.stringify(item)}`);
+      }
+
+      quantities.set(sku, (quantities.get(sku) || 0) + quantity);
+    }
+
+    // A cart holds one currency, taken from its earliest locked hold
+    const held = await redisService.getUserReservations(userId);
+    const lockedHold = held.find((reservation) => reservation.currency);
+    let cartCurrency = lockedHold ? lockedHold.currency : null;
+
     const reservedItems = [];
-    
-    try {
-      for (const item of items) {
-        const { sku, quantity } = item;
-        
-        // Validate item
-        if (!sku || !quantity || quantity <= 0) {
-          throw new Error(`Invalid item: ${JSON.stringify(item)}`);
-        }
-
-        // Check stock availability
-        const stockCheck = await productService.checkStockAvailability(sku, quantity);
-        if (!stockCheck.isAvailable) {
-          throw new Error(
-            `Insufficient stock for SKU ${sku}. Available: ${stockCheck.availableStock}, Requested: ${quantity}`
-          );
-        }
-
-        // Reserve stock in Redis
-        await redisService.reserveStock(userId, sku, quantity, ttlSeconds);
-        reservedItems.push({ sku, quantity });
+    const userLimits = new Map();
+    for (const [sku, quantity] of quantities) {
+      const product = await productService.getProductBySku(sku);
+      if (cartCurrency && product.currency !== cartCurrency) {
+        throw new Error(`Cannot reserve ${sku}: it is priced in ${product.currency} and the cart in ${cartCurrency}`);
       }
+      cartCurrency = product.currency;
 
-      return {
-        success: true,
-        userId,
-        reservedItems,
-        message: 'Items reserved successfully',
-      };
-    } catch (error) {
-      for (const item of reservedItems) {
-        try {
-          await redisService.cancelReservation(userId, item.sku, item.quantity);
-        } catch (rollbackError) {
-          console.error('Error during rollback:', rollbackError);
-        }
+      // SKUs in a flash sale can only be held while it runs, up to its remaining allocation
+      const flashSale = await flashSaleService.getSaleForReservation(sku);
+      if (flashSale && !waitlistOffer && !(await queueService.isAdmitted(flashSale.sale._id, userId, admissionToken))) {
+        throw new QueueAdmissionError({ sku, saleId: flashSale.sale._id.toString() });
       }
-      
-      throw error;
+
+      const userAllowance = await this.getUserAllowance(userId, product);
+      userLimits.set(sku, userAllowance.limit);
+
+      let saleAllowance = null;
+      if (flashSale && flashSale.sale.maxPerUser) {
+        const purchased = await this.getPurchasedQuantity(userId, { saleId: flashSale.sale._id });
+        saleAllowance = Math.max(0, flashSale.sale.maxPerUser - purchased);
+      }
+
+      // The price is locked with the hold; adding to a hold re-locks it at today's price
+      reservedItems.push({
+        sku,
+        quantity,
+        totalStock: product.totalStock,
+        maxHoldSeconds: product.reservationPolicy.maxHoldSeconds,
+        userAllowance: userAllowance.remaining,
+        saleAllowance,
+        details: {
+          saleId: flashSale ? flashSale.sale._id.toString() : null,
+          unitPrice: flashSale ? flashSale.item.dealPrice : product.price,
+          currency: product.currency,
+        },
+        ...(flashSale && {
+          limit: flashSale.item.allocatedQuantity - flashSale.item.soldQuantity,
+        }),
+      });
     }
+
+    // Check availability and limits and reserve every SKU in one atomic Redis operation
+    const result = await redisService.reserveItems(userId, reservedItems, ttlSeconds, { renew: waitlistOffer });
+    if (!result.success) {
+      if (result.reason !== 'stock') {
+        throw new PurchaseLimitError({
+          sku: result.sku,
+          limit: result.reason === 'sale' ? 'per_sale' : userLimits.get(result.sku),
+          remainingAllowance: result.remainingAllowance,
+          requested: quantities.get(result.sku),
+        });
+      }
+      throw new InsufficientStockError([
+        { sku: result.sku, requested: quantities.get(result.sku), available: result.availableStock },
+      ]);
+    }
+
+    for (const [sku, quantity] of quantities) {
+      eventBus.emit(EVENTS.STOCK_RESERVED, { userId, sku, quantity });
+    }
+
+    return {
+      success: true,
+      userId,
+      reservedItems: reservedItems.map(({ sku, quantity, details }) => ({
+        sku,
+        quantity,
+        unitPrice: details.unitPrice,
+        currency: details.currency,
+        saleId: details.saleId,
+      })),
+      message: 'Items reserved successfully',
+    };
+  }
+
+  /**
+   * Extend reservations for a user
+   * Each hold is refreshed to ttlSeconds from now, within its product's reservation policy
+   * @param {string} userId - User ID
+   * @param {object[]} [items] - Array of items to extend. Each item should have a sku property. Extends every hold if omitted.
+   * @param {number} ttlSeconds - Time to live in seconds from now
+   * @returns {Promise<object>} - Response object with success, data, and message
+   * @throws {Error} - Error if user not found, no reservations exist or service throws an error
+   */
+  async extendReservations(userId, items, ttlSeconds) {
+    const userExists = await userService.userExists(userId);
+    if (!userExists) {
+      throw new Error('User not found');
+    }
+
+    let skus;
+    if (items && items.length > 0) {
+      skus = [...new Set(items.map((item) => item.sku))];
+    } else {
+      const reservations = await redisService.getUserReservations(userId);
+      skus = reservations.map((reservation) => reservation.sku);
+    }
+
+    if (skus.length === 0) {
+      throw new Error('No active reservations to extend');
+    }
+
+    const policies = [];
+    for (const sku of skus) {
+      const product = await productService.getProductBySku(sku);
+      policies.push({
+        sku,
+        maxExtensions: product.reservationPolicy.maxExtensions,
+        maxHoldSeconds: product.reservationPolicy.maxHoldSeconds,
+      });
+    }
+
+    const results = await redisService.extendReservations(userId, policies, ttlSeconds);
+    const messages = {
+      not_found: 'No active reservation for this SKU',
+      max_extensions: 'Maximum number of extensions reached',
+      max_hold: 'Maximum hold time reached',
+    };
+
+    const extendedItems = results.map((result, index) => ({
+      sku: result.sku,
+      extended: result.status === 'extended',
+      expiresAt: result.expiresAt,
+      extensionsRemaining: Math.max(0, policies[index].maxExtensions - result.extensions),
+      ...(result.status !== 'extended' && { message: messages[result.status] }),
+    }));
+
+    return {
+      success: true,
+      userId,
+      items: extendedItems,
+      message: extendedItems.some((item) => item.extended)
+        ? 'Reservations extended successfully'
+        : 'No reservations could be extended',
+    };
   }
 
   /**
    * Get user's cart (all reservations)
    * @param {string} userId - User ID
+   * @param {object} [options] - {region}: tax region to price the cart for, defaults to TAX_DEFAULT_REGION
    * @returns {Promise<object>} - Response object with success, data, and message
    * @throws {Error} - Error if service throws an error
    * @property {string} userId - User ID
-   * @property {object[]} items - Array of items in cart. Each item has productId, sku, name, price, quantity, and totalPrice properties.
+   * @property {string} currency - ISO 4217 code every amount in the cart is in, as integer minor units
+   * @property {object[]} items - Array of items in cart. Each item has productId, sku, name, currency, price, livePrice, priceChanged, quantity, subtotal, discountAmount, taxRate, taxAmount, total, saleId, expiresAt, and secondsRemaining properties.
+   * price is the unit price locked when the item was reserved and is what checkout charges; livePrice is
+   * what it costs now (the sale's deal price for items held under a flash sale), and priceChanged is set when they differ.
+   * Holds made before prices were locked in minor units use the live price.
+   * subtotal is price * quantity, discountAmount the line's share of the coupon discount, and total what the line
+   * costs after its discount and tax.
    * @property {number} totalItems - Total number of items in cart
-   * @property {number} totalAmount - Total amount of all items in cart
+   * @property {number} subtotal - Total amount of all items in cart before discounts and tax
+   * @property {object[]} discounts - Discount lines, each with code, description, skus (the items it applies to), and amount
+   * @property {number} discountAmount - Sum of the discount lines
+   * @property {string|null} taxRegion - Region the tax was worked out for
+   * @property {number} taxAmount - Sum of the items' tax
+   * @property {number} totalAmount - Amount due: subtotal - discountAmount + taxAmount
+   * @property {object|null} coupon - The coupon applied to the cart as {code, applied}, plus message explaining why it
+   * does not apply right now (it stays on the cart and is re-checked as the cart changes); null if none is applied
+   * @property {boolean} priceChanged - Whether any item's live price differs from its locked price
+   * @property {Date|null} cartExpiresAt - When the first hold in the cart expires, null if the cart is empty
    */
-  async getUserCart(userId) {
+  async getUserCart(userId, { region = null } = {}) {
     const reservations = await redisService.getUserReservations(userId);
     const cartItems = [];
+    const now = Date.now();
 
     for (const reservation of reservations) {
       try {
         const product = await productService.getProductBySku(reservation.sku);
+        const saleItem = reservation.saleId
+          ? await flashSaleService.getSaleItem(reservation.saleId, reservation.sku)
+          : null;
+        const livePrice = saleItem ? saleItem.dealPrice : product.price;
+        // Holds locked without a currency predate minor units, so their locked price is not comparable
+        const price = reservation.currency ? reservation.unitPrice : livePrice;
+
         cartItems.push({
           productId: product._id,
           sku: product.sku,
           name: product.name,
-          price: product.price,
+          currency: product.currency,
+          price,
+          livePrice,
+          priceChanged: price !== livePrice,
           quantity: reservation.quantity,
-          totalPrice: product.price * reservation.quantity,
+          saleId: saleItem ? reservation.saleId : null,
+          expiresAt: reservation.expiresAt,
+          secondsRemaining: Math.max(0, Math.ceil((reservation.expiresAt - now) / 1000)),
         });
       } catch (error) {
         // Product might have been deleted or is inactive
@@ -94,15 +255,79 @@ class CartService {
       }
     }
 
+    const expiryTimes = cartItems.map((item) => item.expiresAt.getTime());
+    const couponCode = await redisService.getCartCoupon(userId);
+    const pricing = await pricingService.priceLines(userId, cartItems, { couponCode, region });
+
     return {
       userId,
-      items: cartItems,
+      currency: pricing.currency,
+      items: pricing.lines,
       totalItems: cartItems.reduce((sum, item) => sum + item.quantity, 0),
-      totalAmount: cartItems.reduce((sum, item) => sum + item.totalPrice, 0),
+      subtotal: pricing.subtotal,
+      discounts: pricing.discounts,
+      discountAmount: pricing.discountAmount,
+      taxRegion: pricing.taxRegion,
+      taxAmount: pricing.taxAmount,
+      totalAmount: pricing.totalAmount,
+      coupon: pricing.coupon,
+      priceChanged: cartItems.some((item) => item.priceChanged),
+      cartExpiresAt: expiryTimes.length > 0 ? new Date(Math.min(...expiryTimes)) : null,
     };
   }
 
 
+  /**
+   * Apply a coupon to a user's cart
+   * The coupon must apply to the cart as it is now; it is re-checked whenever the cart is read and again at checkout.
+   * Applying a coupon replaces any coupon already on the cart.
+   * @param {string} userId - User ID
+   * @param {string} code - Coupon code
+   * @param {object} [options] - {region}: tax region to price the returned cart for
+   * @returns {Promise<object>} - The cart, as returned by getUserCart
+   * @throws {CouponError} - Error if the coupon does not exist or does not apply to the cart
+   * @throws {Error} - Error if user not found or the cart is empty
+   */
+  async applyCoupon(userId, code, { region = null } = {}) {
+    const userExists = await userService.userExists(userId);
+    if (!userExists) {
+      throw new Error('User not found');
+    }
+
+    const cart = await this.getUserCart(userId, { region });
+    if (cart.items.length === 0) {
+      throw new Error('Cannot apply a coupon to an empty cart');
+    }
+
+    const { coupon } = await couponService.quoteCoupon(code, userId, cart.items, cart.currency);
+    const ttlSeconds = parseInt(process.env.CART_COUPON_TTL_SECONDS) || 86400;
+    await redisService.setCartCoupon(userId, coupon.code, ttlSeconds);
+
+    return this.getUserCart(userId, { region });
+  }
+
+  /**
+   * Remove the coupon applied to a user's cart
+   * @param {string} userId - User ID
+   * @param {object} [options] - {region}: tax region to price the returned cart for
+   * @returns {Promise<object>} - The cart, as returned by getUserCart
+   * @throws {Error} - Error if user not found or no coupon is applied
+   */
+  async removeCoupon(userId, { region = null } = {}) {
+    const userExists = await userService.userExists(userId);
+    if (!userExists) {
+      throw new Error('User not found');
+    }
+
+    const removed = await redisService.clearCartCoupon(userId);
+    if (!removed) {
+      throw new Error('No coupon applied to cart');
+    }
+
+    return this.getUserCart(userId, { region });
+  }
+
+
   /**
    * Cancel reservations for a user
    * Supports multiple SKUs in a single transaction
@@ -134,6 +359,7 @@ class CartService {
       
       if (cancelledQty > 0) {
         cancelledItems.push({ sku, quantity: cancelledQty });
+        eventBus.emit(EVENTS.STOCK_RELEASED, { sku, quantity: cancelledQty, reason: 'cancelled' });
       }
     }
 
@@ -144,6 +370,65 @@ class CartService {
       message: 'Reservations cancelled successfully',
     };
   }
+
+  /**
+   * Work out how many more units of a product a user may hold under its purchase limits
+   * @private
+   * @returns {Promise<object>} - {limit: 'per_sku'|'per_window', remaining} for the tightest limit, or {limit: null, remaining: null}
+   */
+  async getUserAllowance(userId, product) {
+    const { perUser, perWindow, windowSeconds } = product.purchaseLimit || {};
+    const allowances = [];
+
+    if (perUser) {
+      const purchased = await this.getPurchasedQuantity(userId, { sku: product.sku });
+      allowances.push({ limit: 'per_sku', remaining: perUser - purchased });
+    }
+    if (perWindow) {
+      const since = new Date(Date.now() - windowSeconds * 1000);
+      const purchased = await this.getPurchasedQuantity(userId, { sku: product.sku, since });
+      allowances.push({ limit: 'per_window', remaining: perWindow - purchased });
+    }
+
+    if (allowances.length === 0) {
+      return { limit: null, remaining: null };
+    }
+
+    const tightest = allowances.reduce((min, allowance) => (allowance.remaining < min.remaining ? allowance : min));
+    return { limit: tightest.limit, remaining: Math.max(0, tightest.remaining) };
+  }
+
+  /**
+   * Sum the units a user has bought in paid or fulfilled orders
+   * @private
+   * @param {object} filter - Any of sku, saleId, and since (only orders created at or after this date)
+   */
+  async getPurchasedQuantity(userId, { sku, saleId, since }) {
+    const itemMatch = {};
+    if (sku) {
+      itemMatch['items.sku'] = sku;
+    }
+    if (saleId) {
+      itemMatch['items.saleId'] = saleId;
+    }
+
+    const orderMatch = {
+      userId: new mongoose.Types.ObjectId(userId),
+      status: { $in: ['paid', 'fulfilled'] },
+      ...itemMatch,
+    };
+    if (since) {
+      orderMatch.createdAt = { $gte: since };
+    }
+
+    const [result] = await Order.aggregate([
+      { $match: orderMatch },
+      { $unwind: '$items' },
+      { $match: itemMatch },
+      { $group: { _id: null, quantity: { $sum: '$items.quantity' } } },
+    ]);
+    return result ? result.quantity : 0;
+  }
 }
 
 module.exports = new CartService();
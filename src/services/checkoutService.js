@@ -1,19 +1,40 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const productService = require('./productService');
+const flashSaleService = require('./flashSaleService');
 const redisService = require('./redisService');
 const cartService = require('./cartService');
+const orderService = require('./orderService');
+const paymentService = require('./paymentService');
 const userService = require('./userService');
+const couponService = require('./couponService');
+const pricingService = require('./pricingService');
+const PaymentError = require('../errors/PaymentError');
+const { eventBus, EVENTS } = require('../events/eventBus');
 
 class CheckoutService {
 
   /**
    * Process checkout for a user
-   * Validates reservations, reduces stock, creates order, and releases reservations
+   * Validates reservations and authorizes the payment, then creates the order and reduces stock in one
+   * MongoDB transaction. The payment is captured next, and reservations are released only after capture
+   * succeeds. If capture or the release fails, the payment is voided or refunded and the order and
+   * stock changes are rolled back by a compensating transaction. When the provider captures
+   * asynchronously, or the capture times out and may still have gone through, the order is left
+   * pending for the payment webhook to settle.
+   * Only the given items are bought when items is passed; the rest of the cart stays held.
+   * A coupon applied to the cart is checked against the lines being bought and redeemed in the order's
+   * transaction, so concurrent checkouts cannot redeem a limited coupon more times than allowed.
    * @param {string} userId - User ID
+   * @param {object[]} [items] - Array of {sku, quantity} objects to buy; quantity defaults to the whole hold, and omitting items buys the whole cart
+   * @param {object} [options] - {region}: tax region, defaults to TAX_DEFAULT_REGION
    * @returns {Promise<object>} - Response object with success, data, and message
+   * @throws {InsufficientStockError} - Error listing the SKUs that ran out
+   * @throws {CouponError} - Error if the cart's coupon does not apply to the lines being bought or has run out
+   * @throws {PaymentError} - Error if the payment is declined, fails or times out
    * @throws {Error} - Error if service throws an error
    */
-  async processCheckout(userId) {
+  async processCheckout(userId, items = null, { region = null } = {}) {
     const userExists = await userService.userExists(userId);
     if (!userExists) {
       throw new Error('User not found');
@@ -25,19 +46,14 @@ class CheckoutService {
       throw new Error('Cart is empty');
     }
 
+    const lines = items ? this.selectLines(cart, items) : cart.items;
+
     const validationErrors = [];
-    for (const item of cart.items) {
+    for (const item of lines) {
       const reservedQty = await redisService.getReservedQuantity(userId, item.sku);
       if (reservedQty < item.quantity) {
         validationErrors.push(
-          `Quantity mismatch for ${item.sku}. Reserved: ${reservedQty}, Cart: ${item.quantity}`
-        );
-      }
-
-      const stockCheck = await productService.checkStockAvailability(item.sku, item.quantity);
-      if (!stockCheck.isAvailable) {
-        validationErrors.push(
-          `Insufficient stock for ${item.sku}. Available: ${stockCheck.availableStock}, Required: ${item.quantity}`
+          `Quantity mismatch for ${item.sku}. Reserved: ${reservedQty}, Requested: ${item.quantity}`
         );
       }
     }
@@ -46,42 +62,242 @@ class CheckoutService {
       throw new Error(`Checkout validation failed: ${validationErrors.join('; ')}`);
     }
 
-    
-    const orderItems = cart.items.map(item => ({
+    // Lines are charged at the price locked when they were reserved, even if the live price has moved since
+    const couponCode = await redisService.getCartCoupon(userId);
+    const pricing = await pricingService.priceLines(userId, lines, { couponCode, region, strict: true });
+    const { currency, subtotal, discountAmount, taxAmount, taxRegion, totalAmount, quote } = pricing;
+    const priceChanged = lines.some((item) => item.priceChanged);
+    const orderItems = pricing.lines.map(item => ({
       productId: item.productId,
       sku: item.sku,
+      name: item.name,
       quantity: item.quantity,
       price: item.price,
+      saleId: item.saleId,
+      subtotal: item.subtotal,
+      discountAmount: item.discountAmount,
+      taxRate: item.taxRate,
+      taxAmount: item.taxAmount,
+      total: item.total,
     }));
 
-    const order = new Order({
-      userId: userId,
-      items: orderItems,
-      totalAmount: cart.totalAmount,
-      status: 'completed',
+    // Authorize the payment first; a decline leaves no order behind and the holds untouched
+    const orderId = new mongoose.Types.ObjectId();
+    const { provider, reference } = await paymentService.authorize({
+      orderId,
+      userId,
+      amount: totalAmount,
+      currency,
     });
 
-    await order.save();
+    // Create the order and reduce stock atomically; stock guards abort the whole transaction
+    let order;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        order = new Order({
+          _id: orderId,
+          userId: userId,
+          items: orderItems,
+          currency,
+          subtotal,
+          discountAmount,
+          coupon: quote ? { couponId: quote.coupon._id, code: quote.coupon.code } : null,
+          taxAmount,
+          taxRegion,
+          totalAmount,
+          status: 'pending',
+          payment: { provider, reference, status: 'authorized', amount: totalAmount },
+          statusHistory: [{ from: null, to: 'pending', changedBy: userId, reason: 'Checkout' }],
+        });
+        await order.save({ session });
+
+        if (quote) {
+          await couponService.redeem(quote.coupon, { userId, orderId, discountAmount, currency }, session);
+        }
+        await productService.reduceStockBulk(orderItems, session, { orderId, userId });
+        await flashSaleService.recordSold(orderItems, session);
+      });
+    } catch (error) {
+      await this.voidPayment(reference);
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    // Capture while the holds are still in place, so a failed capture leaves the cart as it was
+    let capture;
+    try {
+      capture = await paymentService.capture(reference, totalAmount);
+    } catch (error) {
+      // A capture that timed out may have gone through, so it is not voided; the webhook reports the outcome
+      if (error instanceof PaymentError && error.reason === 'timeout') {
+        capture = { status: 'pending' };
+      } else {
+        const voided = await this.voidPayment(reference);
+        await this.compensateCheckout(orderId, orderItems, {
+          reason: `Payment capture failed: ${error.message}`,
+          payment: {
+            status: voided.status,
+            failureReason: voided.failureReason ? `${error.message}; ${voided.failureReason}` : error.message,
+          },
+        });
+        throw error;
+      }
+    }
+
+    // Asynchronous providers confirm the capture later through the payment webhook, which then
+    // converts or releases the holds; until then the order stays pending
+    if (capture.status === 'pending') {
+      await Order.updateOne(
+        { _id: orderId, 'payment.status': 'authorized' },
+        { $set: { 'payment.status': 'processing' } }
+      );
+      if (couponCode) {
+        await redisService.clearCartCoupon(userId);
+      }
+
+      return {
+        success: true,
+        orderId,
+        userId,
+        status: 'pending',
+        items: orderItems,
+        currency,
+        subtotal,
+        discountAmount,
+        coupon: quote ? quote.coupon.code : null,
+        taxRegion,
+        taxAmount,
+        totalAmount,
+        priceChanged,
+        payment: { provider, reference, status: 'processing' },
+        message: 'Payment is processing',
+      };
+    }
+
+    await orderService.transitionOrder(orderId, 'paid', {
+      changedBy: userId,
+      reason: 'Payment captured',
+      set: { 'payment.status': 'captured' },
+    });
+
+    // Release reservations from Redis now that the purchase is committed
+    try {
+      await redisService.releaseReservations(userId, orderItems);
+    } catch (error) {
+      // If the refund fails too, the payment stays captured with the reason recorded for follow-up
+      const payment = { status: 'refunded' };
+      try {
+        await paymentService.refund(reference, totalAmount);
+      } catch (refundError) {
+        console.error(`Error refunding payment ${reference}:`, refundError);
+        payment.status = 'captured';
+        payment.failureReason = `Refund failed: ${refundError.message}`;
+      }
+      await this.compensateCheckout(orderId, orderItems, {
+        reason: 'Reservations could not be released',
+        payment,
+      });
+      throw new Error(`Checkout failed while releasing reservations: ${error.message}`);
+    }
 
-    // Reduce stock permanently in database
-    for (const item of cart.items) {
-      await productService.reduceStock(item.sku, item.quantity);
+    for (const item of orderItems) {
+      eventBus.emit(EVENTS.STOCK_SOLD, { userId, sku: item.sku, quantity: item.quantity });
     }
 
-    // Release reservations from Redis
-    for (const item of cart.items) {
-      await redisService.releaseReservation(userId, item.sku, item.quantity);
+    // The coupon has been used up by this order
+    if (couponCode) {
+      await redisService.clearCartCoupon(userId);
     }
 
     return {
       success: true,
-      orderId: order._id,
+      orderId,
       userId,
+      status: 'paid',
       items: orderItems,
-      totalAmount: cart.totalAmount,
+      currency,
+      subtotal,
+      discountAmount,
+      coupon: quote ? quote.coupon.code : null,
+      taxRegion,
+      taxAmount,
+      totalAmount,
+      priceChanged,
+      payment: { provider, reference, status: 'captured' },
       message: 'Checkout completed successfully',
     };
   }
+
+  /**
+   * Pick the cart lines named in a partial checkout, with the quantities to buy
+   * @private
+   * @throws {Error} - Error if a SKU is repeated or has no reservation in the cart
+   */
+  selectLines(cart, items) {
+    const skus = items.map((item) => item.sku);
+    if (new Set(skus).size !== skus.length) {
+      throw new Error('Each SKU can only appear once in items');
+    }
+
+    return items.map(({ sku, quantity }) => {
+      const line = cart.items.find((cartItem) => cartItem.sku === sku);
+      if (!line) {
+        throw new Error(`No reservation found for ${sku}`);
+      }
+      return { ...line, quantity: quantity || line.quantity };
+    });
+  }
+
+  /**
+   * Undo a committed checkout whose payment capture failed or whose reservations could not be released
+   * Cancels the order and puts the stock, flash sale allocations and any coupon redemption back in a
+   * single transaction.
+   * The user's reservations are left untouched, so they can retry checkout.
+   * @param {string} orderId - Order ID
+   * @param {object[]} items - Array of order items with sku, quantity and saleId properties
+   * @param {object} details - {reason, payment}: why the order is cancelled, and payment fields to record
+   * @returns {Promise<void>}
+   * @throws {Error} - Error if the compensating transaction fails
+   */
+  async compensateCheckout(orderId, items, { reason, payment }) {
+    const set = {};
+    for (const [field, value] of Object.entries(payment)) {
+      set[`payment.${field}`] = value;
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await orderService.transitionOrder(orderId, 'cancelled', { reason, session, set });
+        await orderService.restoreItems(orderId, items, { session });
+        await couponService.releaseRedemption(orderId, session);
+      });
+    } catch (error) {
+      console.error(`Error compensating checkout for order ${orderId}:`, error);
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Void an authorization that will not be captured
+   * A failed void is logged rather than thrown, so the original error reaches the caller; the
+   * authorization then stays in place, with the reason returned for the order to record.
+   * @private
+   * @returns {Promise<object>} - Payment fields to record: {status: 'voided'}, or {status: 'authorized', failureReason}
+   */
+  async voidPayment(reference) {
+    try {
+      await paymentService.void(reference);
+      return { status: 'voided' };
+    } catch (error) {
+      console.error(`Error voiding payment ${reference}:`, error);
+      return { status: 'authorized', failureReason: `Void failed: ${error.message}` };
+    }
+  }
 }
 
 module.exports = new CheckoutService();
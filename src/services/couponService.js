@@ -0,0 +1,244 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponError = require('../errors/CouponError');
+const productService = require('./productService');
+const flashSaleService = require('./flashSaleService');
+const moneyService = require('./moneyService');
+const { getDefaultCurrency } = require('../config/currencies');
+
+class CouponService {
+
+  /**
+   * Create a new coupon
+   * @param {object} couponData - Coupon data containing code, type ('percentage' or 'fixed'), value, and optional
+   * description, minSpend, currency, scope ({skus, saleId}), maxRedemptions, maxRedemptionsPerUser, startTime and
+   * endTime. A fixed value and minSpend are integer minor units of currency (DEFAULT_CURRENCY if omitted).
+   * @returns {Promise<object>} - Created coupon
+   * @throws {Error} - Error if the code is taken, the window is invalid, or the scope names an unknown SKU or sale
+   */
+  async createCoupon(couponData) {
+    const {
+      code, description, type, value, minSpend, currency, scope = {},
+      maxRedemptions, maxRedemptionsPerUser, startTime, endTime,
+    } = couponData;
+
+    if (startTime && endTime && new Date(startTime) >= new Date(endTime)) {
+      throw new Error('End time must be after start time');
+    }
+    for (const sku of scope.skus || []) {
+      try {
+        await productService.getProductBySku(sku);
+      } catch (error) {
+        throw new Error(`Product not found: ${sku}`);
+      }
+    }
+    if (scope.saleId) {
+      await flashSaleService.getSaleById(scope.saleId);
+    }
+
+    const existing = await Coupon.findOne({ code: code.toUpperCase() });
+    if (existing) {
+      throw new Error('Coupon with this code already exists');
+    }
+
+    const coupon = new Coupon({
+      code,
+      description,
+      type,
+      value,
+      minSpend,
+      currency: currency || getDefaultCurrency(),
+      scope,
+      maxRedemptions,
+      maxRedemptionsPerUser,
+      startTime,
+      endTime,
+    });
+    await coupon.save();
+    return coupon;
+  }
+
+
+  /**
+   * Get all active coupons
+   * @returns {Promise<object[]>} - Coupons, newest first
+   */
+  async getCoupons() {
+    return Coupon.find({ isActive: true }).sort({ createdAt: -1 });
+  }
+
+
+  /**
+   * Get a coupon by code
+   * @param {string} code - Coupon code (case-insensitive)
+   * @returns {Promise<object>} - Found coupon
+   * @throws {CouponError} - Error if no coupon has this code
+   */
+  async getCouponByCode(code) {
+    const coupon = await Coupon.findOne({ code: code.toUpperCase() });
+    if (!coupon) {
+      throw new CouponError({ code, reason: 'not_found' });
+    }
+    return coupon;
+  }
+
+
+  /**
+   * Deactivate a coupon; carts it was applied to stop getting the discount
+   * @param {string} code - Coupon code
+   * @returns {Promise<object>} - Deactivated coupon
+   * @throws {CouponError} - Error if no coupon has this code
+   */
+  async deactivateCoupon(code) {
+    const coupon = await this.getCouponByCode(code);
+    coupon.isActive = false;
+    await coupon.save();
+    return coupon;
+  }
+
+
+  /**
+   * Check a coupon against the lines a user is buying and work out the discount
+   * Limits are checked against redemptions so far; redeem() enforces them again atomically at checkout.
+   * @param {object} coupon - Coupon document
+   * @param {string} userId - User ID
+   * @param {object[]} lines - Array of {sku, saleId, price, quantity} objects, priced in integer minor units
+   * @param {string} currency - Currency the lines are priced in
+   * @param {Date} [at] - Point in time to check, defaults to now
+   * @returns {Promise<object>} - {discountAmount, skus}: the discount in minor units and the SKUs it applies to
+   * @throws {CouponError} - Error if the coupon cannot be applied
+   */
+  async checkCoupon(coupon, userId, lines, currency, at = new Date()) {
+    const { code } = coupon;
+    if (!coupon.isActive) {
+      throw new CouponError({ code, reason: 'inactive' });
+    }
+    if (coupon.startTime && coupon.startTime > at) {
+      throw new CouponError({ code, reason: 'not_started' });
+    }
+    if (coupon.endTime && coupon.endTime <= at) {
+      throw new CouponError({ code, reason: 'expired' });
+    }
+    if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+      throw new CouponError({ code, reason: 'exhausted' });
+    }
+    if (coupon.maxRedemptionsPerUser) {
+      const used = await CouponRedemption.countDocuments({ couponId: coupon._id, userId });
+      if (used >= coupon.maxRedemptionsPerUser) {
+        throw new CouponError({ code, reason: 'user_limit' });
+      }
+    }
+
+    // Percentages apply in any currency, but amounts only mean something in the coupon's own
+    if (coupon.currency !== currency && (coupon.type === 'fixed' || coupon.minSpend > 0)) {
+      throw new CouponError({ code, reason: 'currency' });
+    }
+
+    const eligible = lines.filter((line) => this.inScope(coupon, line));
+    if (eligible.length === 0) {
+      throw new CouponError({ code, reason: 'not_applicable' });
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    if (subtotal < coupon.minSpend) {
+      throw new CouponError({ code, reason: 'min_spend', minSpend: coupon.minSpend });
+    }
+
+    const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const discountAmount = coupon.type === 'percentage'
+      ? moneyService.percentOf(eligibleSubtotal, coupon.value)
+      : Math.min(coupon.value, eligibleSubtotal);
+
+    return { discountAmount, skus: eligible.map((line) => line.sku) };
+  }
+
+
+  /**
+   * Look up a coupon by code and check it against the lines a user is buying
+   * @param {string} code - Coupon code
+   * @param {string} userId - User ID
+   * @param {object[]} lines - Array of {sku, saleId, price, quantity} objects, priced in integer minor units
+   * @param {string} currency - Currency the lines are priced in
+   * @returns {Promise<object>} - {coupon, discountAmount, skus}
+   * @throws {CouponError} - Error if the coupon does not exist or cannot be applied
+   */
+  async quoteCoupon(code, userId, lines, currency) {
+    const coupon = await this.getCouponByCode(code);
+    const { discountAmount, skus } = await this.checkCoupon(coupon, userId, lines, currency);
+    return { coupon, discountAmount, skus };
+  }
+
+
+  /**
+   * Record a coupon redemption for an order (run inside the checkout transaction)
+   * The coupon's redemption count is incremented first, conditional on the global limit. Every redemption
+   * writes the coupon document, so concurrent checkouts with the same coupon conflict there and are
+   * retried one at a time, which makes the per-user count that follows exact.
+   * @param {object} coupon - Coupon document
+   * @param {object} redemption - {userId, orderId, discountAmount, currency}
+   * @param {object} session - MongoDB session of the checkout transaction
+   * @returns {Promise<void>}
+   * @throws {CouponError} - Error if the coupon ran out or the user reached their limit meanwhile
+   */
+  async redeem(coupon, { userId, orderId, discountAmount, currency }, session) {
+    const filter = { _id: coupon._id, isActive: true };
+    if (coupon.maxRedemptions) {
+      filter.redemptionCount = { $lt: coupon.maxRedemptions };
+    }
+
+    const updated = await Coupon.findOneAndUpdate(
+      filter,
+      { $inc: { redemptionCount: 1 } },
+      { new: true, session }
+    );
+    if (!updated) {
+      const current = await Coupon.findById(coupon._id).session(session);
+      throw new CouponError({ code: coupon.code, reason: current && current.isActive ? 'exhausted' : 'inactive' });
+    }
+
+    if (updated.maxRedemptionsPerUser) {
+      const used = await CouponRedemption.countDocuments({ couponId: coupon._id, userId }).session(session);
+      if (used >= updated.maxRedemptionsPerUser) {
+        throw new CouponError({ code: coupon.code, reason: 'user_limit' });
+      }
+    }
+
+    await CouponRedemption.create([{ couponId: coupon._id, userId, orderId, discountAmount, currency }], { session });
+  }
+
+
+  /**
+   * Give back the redemption an order used, if any (when the order is cancelled or its payment fails)
+   * @param {string} orderId - Order ID
+   * @param {object} session - MongoDB session to run the updates in
+   * @returns {Promise<void>}
+   */
+  async releaseRedemption(orderId, session) {
+    const redemption = await CouponRedemption.findOneAndDelete({ orderId }, { session });
+    if (redemption) {
+      await Coupon.updateOne(
+        { _id: redemption.couponId },
+        { $inc: { redemptionCount: -1 } },
+        { session }
+      );
+    }
+  }
+
+
+  /**
+   * Check whether a line falls within a coupon's scope
+   * @private
+   */
+  inScope(coupon, line) {
+    const { skus, saleId } = coupon.scope;
+    if (skus.length > 0 && !skus.includes(line.sku)) {
+      return false;
+    }
+    if (saleId && (!line.saleId || line.saleId.toString() !== saleId.toString())) {
+      return false;
+    }
+    return true;
+  }
+}
+
+module.exports = new CouponService();
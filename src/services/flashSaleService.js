@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+const FlashSale = require('../models/FlashSale');
+const InsufficientStockError = require('../errors/InsufficientStockError');
+const productService = require('./productService');
+
+class FlashSaleService {
+
+  /**
+   * Create a new flash sale
+   * @param {object} saleData - Sale data containing name, startTime, endTime, items ({sku, dealPrice, allocatedQuantity}),
+   * and optional maxPerUser (units one user may buy across the whole sale). Deal prices are integer minor units of
+   * the products' currency.
+   * @returns {Promise<object>} - Created flash sale
+   * @throws {Error} - Error if the window or items are invalid, the products are priced in different currencies,
+   * or a SKU is already in an overlapping sale
+   */
+  async createSale(saleData) {
+    const { name, startTime, endTime, items, maxPerUser } = saleData;
+    const currency = await this.validateSale({ startTime, endTime, items });
+
+    const sale = new FlashSale({
+      name,
+      startTime,
+      endTime,
+      maxPerUser,
+      currency,
+      items: items.map(({ sku, dealPrice, allocatedQuantity }) => ({ sku, dealPrice, allocatedQuantity })),
+    });
+    await sale.save();
+    return sale;
+  }
+
+
+  /**
+   * Get all flash sales that have not been deleted
+   * @returns {Promise<object[]>} - Flash sales sorted by start time
+   */
+  async getSales() {
+    return FlashSale.find({ isActive: true }).sort({ startTime: 1 });
+  }
+
+
+  /**
+   * Get flash sale by ID
+   * @param {string} saleId - Flash sale ID
+   * @returns {Promise<object>} - Found flash sale
+   * @throws {Error} - Error if sale not found or invalid sale ID format
+   */
+  async getSaleById(saleId) {
+    if (!mongoose.Types.ObjectId.isValid(saleId)) {
+      throw new Error('Invalid sale ID format');
+    }
+    const sale = await FlashSale.findOne({ _id: saleId, isActive: true });
+    if (!sale) {
+      throw new Error('Flash sale not found');
+    }
+    return sale;
+  }
+
+
+  /**
+   * Update a flash sale
+   * Sold quantities are kept for SKUs that stay in the sale.
+   * @param {string} saleId - Flash sale ID
+   * @param {object} updates - Any of name, startTime, endTime, items, and maxPerUser (null removes the limit)
+   * @returns {Promise<object>} - Updated flash sale
+   * @throws {Error} - Error if sale not found, the result is invalid, or an allocation drops below what was sold
+   */
+  async updateSale(saleId, updates) {
+    const sale = await this.getSaleById(saleId);
+
+    const startTime = updates.startTime || sale.startTime;
+    const endTime = updates.endTime || sale.endTime;
+    const items = updates.items || sale.items;
+    sale.currency = await this.validateSale({ startTime, endTime, items }, sale._id);
+
+    if (updates.items) {
+      const soldBySku = new Map(sale.items.map((item) => [item.sku, item.soldQuantity]));
+      sale.items = updates.items.map(({ sku, dealPrice, allocatedQuantity }) => {
+        const soldQuantity = soldBySku.get(sku) || 0;
+        if (allocatedQuantity < soldQuantity) {
+          throw new Error(
+            `Allocated quantity for ${sku} cannot be below the ${soldQuantity} units already sold`
+          );
+        }
+        return { sku, dealPrice, allocatedQuantity, soldQuantity };
+      });
+    }
+    if (updates.name !== undefined) {
+      sale.name = updates.name;
+    }
+    if (updates.maxPerUser !== undefined) {
+      sale.maxPerUser = updates.maxPerUser;
+    }
+    sale.startTime = startTime;
+    sale.endTime = endTime;
+
+    await sale.save();
+    return sale;
+  }
+
+
+  /**
+   * Delete a flash sale (soft delete via isActive)
+   * @param {string} saleId - Flash sale ID
+   * @returns {Promise<object>} - Deleted flash sale
+   * @throws {Error} - Error if sale not found
+   */
+  async deleteSale(saleId) {
+    const sale = await this.getSaleById(saleId);
+    sale.isActive = false;
+    await sale.save();
+    return sale;
+  }
+
+
+  /**
+   * Find the sale a SKU can currently be reserved under
+   * Ended sales are ignored, so once a SKU's sales are over it sells at its regular price again.
+   * @param {string} sku - Product SKU
+   * @param {Date} [at] - Point in time to check, defaults to now
+   * @returns {Promise<object|null>} - {sale, item} for the running sale, or null if the SKU is not in a
+   * running or upcoming sale
+   * @throws {Error} - Error if the SKU's next sale has not started yet
+   */
+  async getSaleForReservation(sku, at = new Date()) {
+    const sale = await FlashSale.findOne({ isActive: true, 'items.sku': sku, endTime: { $gt: at } })
+      .sort({ startTime: 1 });
+    if (!sale) {
+      return null;
+    }
+
+    if (sale.startTime > at) {
+      throw new Error(
+        `SKU ${sku} can only be reserved during its flash sale, which starts at ${sale.startTime.toISOString()}`
+      );
+    }
+
+    return { sale, item: sale.items.find((item) => item.sku === sku) };
+  }
+
+
+  /**
+   * Describe the flash sale a SKU belongs to: the running sale, otherwise the next one, otherwise the last to end
+   * @param {string} sku - Product SKU
+   * @param {Date} [at] - Point in time to check, defaults to now
+   * @returns {Promise<object|null>} - {saleId, name, status, startTime, endTime, dealPrice, currency,
+   * allocatedQuantity, soldQuantity, remainingQuantity} where status is 'scheduled', 'live' or 'ended',
+   * or null if the SKU is not in any sale
+   */
+  async getSaleState(sku, at = new Date()) {
+    const sales = await FlashSale.find({ isActive: true, 'items.sku': sku }).sort({ startTime: 1 });
+    if (sales.length === 0) {
+      return null;
+    }
+
+    const sale = sales.find((candidate) => candidate.endTime > at) || sales[sales.length - 1];
+    const item = sale.items.find((candidate) => candidate.sku === sku);
+    let status = 'live';
+    if (sale.startTime > at) {
+      status = 'scheduled';
+    } else if (sale.endTime <= at) {
+      status = 'ended';
+    }
+
+    return {
+      saleId: sale._id,
+      name: sale.name,
+      status,
+      startTime: sale.startTime,
+      endTime: sale.endTime,
+      dealPrice: item.dealPrice,
+      currency: sale.currency,
+      allocatedQuantity: item.allocatedQuantity,
+      soldQuantity: item.soldQuantity,
+      remainingQuantity: Math.max(0, item.allocatedQuantity - item.soldQuantity),
+    };
+  }
+
+
+  /**
+   * Get a SKU's entry in a sale, whether or not the sale is still running
+   * @param {string} saleId - Flash sale ID
+   * @param {string} sku - Product SKU
+   * @returns {Promise<object|null>} - Sale item with sku, dealPrice, allocatedQuantity and soldQuantity, or null if not found
+   */
+  async getSaleItem(saleId, sku) {
+    const sale = await FlashSale.findById(saleId);
+    if (!sale) {
+      return null;
+    }
+    return sale.items.find((item) => item.sku === sku) || null;
+  }
+
+
+  /**
+   * Add purchased quantities to each sale's sold count (used during checkout)
+   * A sale is never sold past its allocation: the reservation only checked the allocation before
+   * other checkouts committed, so each increment is conditional on the units still being there.
+   * Negative quantities take units back off the sold count when a checkout is undone.
+   * @param {object[]} items - Array of {saleId, sku, quantity} objects; items without saleId are skipped
+   * @param {object} [session] - MongoDB session to run the updates in
+   * @returns {Promise<void>}
+   * @throws {InsufficientStockError} - Error listing every sale item without enough allocation left, so the
+   * checkout transaction aborts
+   */
+  async recordSold(items, session = null) {
+    const shortages = [];
+    for (const { saleId, sku, quantity } of items) {
+      if (!saleId) {
+        continue;
+      }
+
+      const filter = { _id: saleId, 'items.sku': sku };
+      if (quantity > 0) {
+        filter.$expr = {
+          $anyElementTrue: [{
+            $map: {
+              input: '$items',
+              as: 'item',
+              in: {
+                $and: [
+                  { $eq: ['$$item.sku', sku] },
+                  { $lte: [{ $add: ['$$item.soldQuantity', quantity] }, '$$item.allocatedQuantity'] },
+                ],
+              },
+            },
+          }],
+        };
+      }
+
+      const result = await FlashSale.updateOne(filter, { $inc: { 'items.$.soldQuantity': quantity } }, { session });
+      if (quantity > 0 && result.matchedCount === 0) {
+        const sale = await FlashSale.findById(saleId).session(session);
+        const item = sale && sale.items.find((candidate) => candidate.sku === sku);
+        if (item) {
+          shortages.push({
+            sku,
+            requested: quantity,
+            available: Math.max(0, item.allocatedQuantity - item.soldQuantity),
+          });
+        }
+      }
+    }
+
+    if (shortages.length > 0) {
+      throw new InsufficientStockError(shortages);
+    }
+  }
+
+
+  /**
+   * Check a sale's window and items
+   * @private
+   * @returns {Promise<string>} - The currency shared by every product in the sale
+   */
+  async validateSale({ startTime, endTime, items }, excludeSaleId = null) {
+    if (new Date(startTime) >= new Date(endTime)) {
+      throw new Error('End time must be after start time');
+    }
+
+    const skus = items.map((item) => item.sku);
+    if (new Set(skus).size !== skus.length) {
+      throw new Error('Each SKU can only appear once in a flash sale');
+    }
+
+    const currencies = new Set();
+    for (const sku of skus) {
+      let product;
+      try {
+        product = await productService.getProductBySku(sku);
+      } catch (error) {
+        throw new Error(`Product not found: ${sku}`);
+      }
+      currencies.add(product.currency);
+    }
+    if (currencies.size > 1) {
+      throw new Error('Every product in a flash sale must be priced in the same currency');
+    }
+
+    const overlapping = await FlashSale.findOne({
+      isActive: true,
+      _id: { $ne: excludeSaleId },
+      'items.sku': { $in: skus },
+      startTime: { $lt: new Date(endTime) },
+      endTime: { $gt: new Date(startTime) },
+    });
+    if (overlapping) {
+      throw new Error(`One or more SKUs are already in the overlapping flash sale "${overlapping.name}"`);
+    }
+
+    return [...currencies][0];
+  }
+}
+
+module.exports = new FlashSaleService();
@@ -0,0 +1,78 @@
+const { CURRENCY_EXPONENTS } = require('../config/currencies');
+
+class MoneyService {
+
+  /**
+   * Get the supported currency codes
+   * @returns {string[]} - ISO 4217 codes
+   */
+  getCurrencies() {
+    return Object.keys(CURRENCY_EXPONENTS);
+  }
+
+  /**
+   * Convert a decimal amount to integer minor units, e.g. 19.99 USD to 1999
+   * @param {number} amount - Amount in major units
+   * @param {string} currency - ISO 4217 code
+   * @returns {number} - Amount in minor units, rounded to the nearest unit
+   * @throws {Error} - Error if the currency is not supported
+   */
+  toMinorUnits(amount, currency) {
+    return Math.round(amount * 10 ** this.getExponent(currency));
+  }
+
+  /**
+   * Take a percentage of an amount, rounded half up to whole minor units
+   * @param {number} amount - Amount in minor units
+   * @param {number} percent - Percentage, e.g. 12.5
+   * @returns {number} - Amount in minor units
+   */
+  percentOf(amount, percent) {
+    return Math.round(amount * percent / 100);
+  }
+
+  /**
+   * Split an amount across lines in proportion to their weights, in whole minor units
+   * Units lost to rounding go to the lines with the largest remainders, so the parts always add up
+   * to the amount.
+   * @param {number} amount - Amount in minor units
+   * @param {number[]} weights - Non-negative weight per line, e.g. each line's subtotal
+   * @returns {number[]} - Share per line, in the same order as weights
+   */
+  allocate(amount, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight === 0) {
+      return weights.map(() => 0);
+    }
+
+    const exact = weights.map((weight) => amount * weight / totalWeight);
+    const shares = exact.map(Math.floor);
+    let left = amount - shares.reduce((sum, share) => sum + share, 0);
+
+    const byRemainder = exact
+      .map((value, index) => ({ index, remainder: value - shares[index] }))
+      .sort((a, b) => b.remainder - a.remainder);
+    for (const { index } of byRemainder) {
+      if (left <= 0) {
+        break;
+      }
+      shares[index] += 1;
+      left -= 1;
+    }
+    return shares;
+  }
+
+  /**
+   * Get the number of minor-unit digits in a currency
+   * @private
+   */
+  getExponent(currency) {
+    const exponent = CURRENCY_EXPONENTS[currency];
+    if (exponent === undefined) {
+      throw new Error(`Unsupported currency: ${currency}`);
+    }
+    return exponent;
+  }
+}
+
+module.exports = new MoneyService();
@@ -0,0 +1,50 @@
+const LogNotifier = require('./notifications/LogNotifier');
+const FileNotifier = require('./notifications/FileNotifier');
+
+// Notifiers selectable with NOTIFIER; other adapters can be plugged in with setNotifier()
+const NOTIFIERS = {
+  log: () => new LogNotifier(),
+  file: () => new FileNotifier(process.env.NOTIFIER_FILE || 'notifications.log'),
+};
+
+class NotificationService {
+  constructor() {
+    this.notifier = null;
+  }
+
+  /**
+   * Get the configured notifier, creating it on first use
+   * @returns {Notifier}
+   * @throws {Error} - Error if NOTIFIER names an unknown notifier
+   */
+  getNotifier() {
+    if (!this.notifier) {
+      const name = process.env.NOTIFIER || 'log';
+      if (!NOTIFIERS[name]) {
+        throw new Error(`Unknown notifier: ${name}`);
+      }
+      this.notifier = NOTIFIERS[name]();
+    }
+    return this.notifier;
+  }
+
+  /**
+   * Use a different notifier
+   * @param {Notifier} notifier - Adapter implementing the Notifier interface
+   */
+  setNotifier(notifier) {
+    this.notifier = notifier;
+  }
+
+  /**
+   * Send a notification to a user
+   * @param {object} notification - {type, userId, ...}
+   * @returns {Promise<void>}
+   * @throws {Error} - Error if the notifier fails to deliver it
+   */
+  async notify(notification) {
+    await this.getNotifier().notify(notification);
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const Notifier = require('./Notifier');
+
+/**
+ * Notifier that appends each notification to a file as a line of JSON
+ */
+class FileNotifier extends Notifier {
+  /**
+   * @param {string} file - Path of the file to append to
+   */
+  constructor(file) {
+    super('file');
+    this.file = file;
+  }
+
+  async notify(notification) {
+    const line = JSON.stringify({ ...notification, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(this.file, `${line}\n`);
+  }
+}
+
+module.exports = FileNotifier;
@@ -0,0 +1,16 @@
+const Notifier = require('./Notifier');
+
+/**
+ * Notifier that writes each notification to the console
+ */
+class LogNotifier extends Notifier {
+  constructor() {
+    super('log');
+  }
+
+  async notify(notification) {
+    console.log(`Notification for user ${notification.userId}:`, JSON.stringify(notification));
+  }
+}
+
+module.exports = LogNotifier;
@@ -0,0 +1,24 @@
+/**
+ * Notifier interface
+ * Services hand a notification to the configured notifier when a user needs to hear about something
+ * outside a request, such as a waitlist offer. Adapters extend this class.
+ */
+class Notifier {
+  /**
+   * @param {string} name - Notifier name
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver a notification to a user
+   * @param {object} notification - {type, userId, ...}; the remaining fields depend on the type
+   * @returns {Promise<void>}
+   */
+  async notify(notification) {
+    throw new Error(`${this.name} does not implement notify`);
+  }
+}
+
+module.exports = Notifier;
@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const OrderTransitionError = require('../errors/OrderTransitionError');
+const productService = require('./productService');
+const paymentService = require('./paymentService');
+const flashSaleService = require('./flashSaleService');
+const redisService = require('./redisService');
+const userService = require('./userService');
+const couponService = require('./couponService');
+const { eventBus, EVENTS } = require('../events/eventBus');
+
+// Statuses an order may move to from each status
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled', 'failed'],
+  paid: ['fulfilled', 'cancelling', 'cancelled', 'refunded'],
+  // A paid order being refunded before it is cancelled; it goes back to paid if the refund fails
+  cancelling: ['cancelled', 'paid'],
+  fulfilled: ['refunded'],
+  cancelled: [],
+  refunded: [],
+  failed: [],
+};
+
+// Payment statuses of a checkout that has not finished yet
+const IN_FLIGHT_PAYMENT_STATUSES = ['authorized', 'processing'];
+
+// Statuses in which the order's units have been taken off totalStock; checkout decrements stock
+// in the transaction that creates the order, so that includes 'pending'
+const STOCK_COMMITTED_STATUSES = ['pending', 'paid', 'cancelling', 'fulfilled'];
+
+class OrderService {
+
+  /**
+   * Get a user's orders, newest first
+   * @param {string} userId - User ID
+   * @param {object} [options] - {page, limit, status, from, to}; from/to bound createdAt (inclusive)
+   * @returns {Promise<object>} - {orders, page, limit, total, totalPages}
+   */
+  async getUserOrders(userId, { page = 1, limit = 20, status, from, to } = {}) {
+    const filter = { userId };
+    if (status) {
+      filter.status = status;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = from;
+      }
+      if (to) {
+        filter.createdAt.$lte = to;
+      }
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter),
+    ]);
+
+    return {
+      orders: await this.formatOrders(orders),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+
+  /**
+   * Get one of a user's orders
+   * Orders belonging to other users are reported as not found.
+   * @param {string} orderId - Order ID
+   * @param {string} userId - User ID of the requester
+   * @returns {Promise<object>} - Order with line items
+   * @throws {Error} - Error if order not found
+   */
+  async getOrderById(orderId, userId) {
+    const order = await Order.findOne({ _id: orderId, userId });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const [formatted] = await this.formatOrders([order]);
+    return formatted;
+  }
+
+
+  /**
+   * Cancel an order and put its stock back
+   * The order's owner or an admin may cancel it. If the order was paid, it is first claimed by moving it
+   * to 'cancelling', so only one request refunds it, and the payment is refunded; a failed refund moves
+   * it back to 'paid'. Then each line's units are restored to totalStock and its flash sale allocation in
+   * the same transaction as the status change, and any coupon redemption is given back. Cancelling an
+   * order left in 'cancelling' after its refund went through finishes the cancellation.
+   * Orders whose payment is still being captured or refunded cannot be cancelled.
+   * @param {string} orderId - Order ID
+   * @param {string} actorId - User ID of the requester, recorded on the status change
+   * @param {object} [options] - {reason}
+   * @returns {Promise<object>} - Cancelled order with line items
+   * @throws {OrderTransitionError} - Error if the order can no longer be cancelled
+   * @throws {PaymentError} - Error if the refund fails
+   * @throws {Error} - Error if order not found
+   */
+  async cancelOrder(orderId, actorId, { reason = null } = {}) {
+    const order = await Order.findById(orderId);
+    if (!order || !(await this.canManage(order, actorId))) {
+      throw new Error('Order not found');
+    }
+
+    const { payment } = order;
+    const refunding = order.status === 'cancelling' && payment && payment.status === 'captured';
+    if (refunding || (payment && IN_FLIGHT_PAYMENT_STATUSES.includes(payment.status))) {
+      throw new OrderTransitionError({ orderId, from: order.status, to: 'cancelled' });
+    }
+
+    if (payment && payment.status === 'captured' && (ORDER_TRANSITIONS[order.status] || []).includes('cancelling')) {
+      await this.refundForCancellation(order, actorId, reason);
+    }
+
+    let cancelled;
+    let restocked;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const { order: updated, from } = await this.transitionOrder(orderId, 'cancelled', {
+          changedBy: actorId,
+          reason,
+          session,
+        });
+        cancelled = updated;
+        restocked = STOCK_COMMITTED_STATUSES.includes(from);
+        if (restocked) {
+          await this.restoreItems(orderId, updated.items, { session, userId: actorId });
+        }
+        await couponService.releaseRedemption(orderId, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (restocked) {
+      for (const item of cancelled.items) {
+        await redisService.adjustCachedStock(item.sku, item.quantity);
+        eventBus.emit(EVENTS.STOCK_RELEASED, { sku: item.sku, quantity: item.quantity, reason: 'order_cancelled' });
+      }
+    }
+
+    const [formatted] = await this.formatOrders([cancelled]);
+    return formatted;
+  }
+
+
+  /**
+   * Claim a paid order for cancellation and refund its payment
+   * The claim is a conditional status change, so a concurrent cancellation or status change fails
+   * before anything is refunded.
+   * @private
+   * @throws {OrderTransitionError} - Error if the order changed status in the meantime
+   * @throws {PaymentError} - Error if the refund fails; the order is moved back to 'paid'
+   */
+  async refundForCancellation(order, actorId, reason) {
+    const orderId = order._id;
+    const { reference, amount } = order.payment;
+    await this.transitionOrder(orderId, 'cancelling', { changedBy: actorId, reason });
+
+    try {
+      await paymentService.refund(reference, amount);
+    } catch (error) {
+      const failureReason = `Refund failed: ${error.message}`;
+      try {
+        await this.transitionOrder(orderId, 'paid', { reason: failureReason, set: { 'payment.failureReason': failureReason } });
+      } catch (rollbackError) {
+        // The order stays in 'cancelling' with its payment captured, for follow-up
+        console.error(`Error moving order ${orderId} back to paid after a failed refund:`, rollbackError);
+      }
+      throw error;
+    }
+
+    await Order.updateOne(
+      { _id: orderId, status: 'cancelling' },
+      { $set: { 'payment.status': 'refunded', 'payment.failureReason': null } }
+    );
+  }
+
+
+  /**
+   * Put an order's units back into totalStock and its flash sale allocations
+   * Run it in the transaction that moves the order out of a status whose stock was committed.
+   * @param {string} orderId - Order ID, recorded on the 'cancellation' ledger movements
+   * @param {object[]} items - Array of order items with sku, quantity and saleId properties
+   * @param {object} options - {session, userId}; userId is who triggered the restore, if anyone
+   * @returns {Promise<void>}
+   */
+  async restoreItems(orderId, items, { session, userId = null }) {
+    for (const item of items) {
+      await productService.restoreStock(item.sku, item.quantity, session, { orderId, userId });
+    }
+    await flashSaleService.recordSold(
+      items.map((item) => ({ saleId: item.saleId, sku: item.sku, quantity: -item.quantity })),
+      session
+    );
+  }
+
+
+  /**
+   * Move an order to a new status, recording who changed it and when
+   * Only transitions listed in ORDER_TRANSITIONS are allowed. The update is conditional on the
+   * status it was checked against, so two concurrent changes cannot both apply.
+   * @param {string} orderId - Order ID
+   * @param {string} to - New status
+   * @param {object} [options] - {changedBy, reason, session, set}; changedBy is null for system changes,
+   * set holds other fields to update along with the status (e.g. {'payment.status': 'captured'})
+   * @returns {Promise<object>} - {order, from}: the updated order and the status it moved from
+   * @throws {OrderTransitionError} - Error if the transition is not allowed or the status changed meanwhile
+   * @throws {Error} - Error if order not found
+   */
+  async transitionOrder(orderId, to, { changedBy = null, reason = null, session = null, set = {} } = {}) {
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const from = order.status;
+    if (!(ORDER_TRANSITIONS[from] || []).includes(to)) {
+      throw new OrderTransitionError({ orderId, from, to });
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: orderId, status: from },
+      {
+        $set: { ...set, status: to },
+        $push: { statusHistory: { from, to, changedBy, changedAt: new Date(), reason } },
+      },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new OrderTransitionError({ orderId, from, to });
+    }
+    return { order: updated, from };
+  }
+
+
+  /**
+   * Check whether a user may act on an order: its owner or an admin
+   * @private
+   */
+  async canManage(order, userId) {
+    if (order.userId.toString() === userId.toString()) {
+      return true;
+    }
+
+    try {
+      const user = await userService.getUserById(userId);
+      return user.role === 'admin';
+    } catch (error) {
+      return false;
+    }
+  }
+
+
+  /**
+   * Shape orders for the API, with each line's subtotal, discount, tax and total
+   * Orders placed before names were captured at checkout fall back to the current product name.
+   * @private
+   */
+  async formatOrders(orders) {
+    const missingNames = orders
+      .flatMap((order) => order.items)
+      .filter((item) => !item.name)
+      .map((item) => item.productId);
+    const products = missingNames.length > 0
+      ? await Product.find({ _id: { $in: missingNames } }, { name: 1 })
+      : [];
+    const nameById = new Map(products.map((product) => [product._id.toString(), product.name]));
+
+    // Orders placed before line breakdowns were recorded had no per-line discount or tax
+    const lineAmounts = (item) => {
+      if (item.total === null) {
+        const subtotal = item.price * item.quantity;
+        return { subtotal, discountAmount: 0, taxRate: 0, taxAmount: 0, total: subtotal };
+      }
+      const { subtotal, discountAmount, taxRate, taxAmount, total } = item;
+      return { subtotal, discountAmount, taxRate, taxAmount, total };
+    };
+
+    return orders.map((order) => ({
+      orderId: order._id,
+      userId: order.userId,
+      status: order.status,
+      currency: order.currency,
+      items: order.items.map((item) => ({
+        productId: item.productId,
+        sku: item.sku,
+        name: item.name || nameById.get(item.productId.toString()) || null,
+        price: item.price,
+        quantity: item.quantity,
+        ...lineAmounts(item),
+        saleId: item.saleId,
+      })),
+      totalItems: order.items.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal: order.subtotal !== null ? order.subtotal : order.totalAmount,
+      discountAmount: order.discountAmount,
+      coupon: order.coupon,
+      taxRegion: order.taxRegion,
+      taxAmount: order.taxAmount,
+      totalAmount: order.totalAmount,
+      payment: order.payment,
+      statusHistory: order.statusHistory,
+      createdAt: order.createdAt,
+      updatedAt: order.updatedAt,
+    }));
+  }
+}
+
+module.exports = new OrderService();
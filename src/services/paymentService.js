@@ -0,0 +1,115 @@
+const PaymentError = require('../errors/PaymentError');
+const MockPaymentProvider = require('./payments/MockPaymentProvider');
+
+// Providers selectable with PAYMENT_PROVIDER; other adapters can be plugged in with setProvider()
+const PROVIDERS = {
+  mock: () => new MockPaymentProvider({
+    authorize: process.env.MOCK_PAYMENT_AUTHORIZE || 'success',
+    capture: process.env.MOCK_PAYMENT_CAPTURE || 'success',
+    delayMs: parseInt(process.env.MOCK_PAYMENT_DELAY_MS) || 0,
+  }),
+};
+
+class PaymentService {
+  constructor() {
+    this.provider = null;
+  }
+
+  /**
+   * Get the configured payment provider, creating it on first use
+   * @returns {PaymentProvider}
+   * @throws {Error} - Error if PAYMENT_PROVIDER names an unknown provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      const name = process.env.PAYMENT_PROVIDER || 'mock';
+      if (!PROVIDERS[name]) {
+        throw new Error(`Unknown payment provider: ${name}`);
+      }
+      this.provider = PROVIDERS[name]();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Use a different payment provider
+   * @param {PaymentProvider} provider - Adapter implementing the PaymentProvider interface
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Authorize a payment
+   * @param {object} payment - {orderId, userId, amount, currency}; amount is in integer minor units of currency
+   * @returns {Promise<object>} - {provider, reference}
+   * @throws {PaymentError} - Error if the payment is declined, fails or times out
+   */
+  async authorize(payment) {
+    const provider = this.getProvider();
+    const { reference } = await this.call('authorize', () => provider.authorize(payment));
+    return { provider: provider.name, reference };
+  }
+
+  /**
+   * Capture an authorized payment
+   * @param {string} reference - Authorization reference
+   * @param {number} amount - Amount to capture
+   * @returns {Promise<object>} - {status}: 'captured', or 'pending' when the payment webhook will report the outcome
+   * @throws {PaymentError} - Error if the capture is declined, fails or times out
+   */
+  async capture(reference, amount) {
+    const result = await this.call('capture', () => this.getProvider().capture(reference, amount));
+    return { status: result && result.status === 'pending' ? 'pending' : 'captured' };
+  }
+
+  /**
+   * Void an authorization
+   * @param {string} reference - Authorization reference
+   * @returns {Promise<void>}
+   * @throws {PaymentError} - Error if the void fails or times out
+   */
+  async void(reference) {
+    await this.call('void', () => this.getProvider().void(reference));
+  }
+
+  /**
+   * Refund a captured payment
+   * @param {string} reference - Authorization reference
+   * @param {number} amount - Amount to refund
+   * @returns {Promise<void>}
+   * @throws {PaymentError} - Error if the refund fails or times out
+   */
+  async refund(reference, amount) {
+    await this.call('refund', () => this.getProvider().refund(reference, amount));
+  }
+
+  /**
+   * Run a provider call, failing with a PaymentError after PAYMENT_TIMEOUT_MS
+   * Errors other than PaymentError are wrapped as 'failed'.
+   * @private
+   */
+  async call(operation, fn) {
+    const timeoutMs = parseInt(process.env.PAYMENT_TIMEOUT_MS) || 10000;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new PaymentError({ reason: 'timeout', operation })),
+        timeoutMs
+      );
+    });
+
+    try {
+      return await Promise.race([fn(), timeout]);
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        throw error;
+      }
+      throw new PaymentError({ reason: 'failed', operation, message: error.message });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = new PaymentService();
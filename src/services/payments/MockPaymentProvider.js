@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const PaymentError = require('../../errors/PaymentError');
+
+const BEHAVIORS = ['success', 'decline', 'timeout', 'pending'];
+
+/**
+ * In-memory payment provider for local development and offline testing
+ * Authorize and capture each succeed, decline, or never answer (so the caller's timeout fires),
+ * as configured. Capture can also be 'pending', leaving the outcome to a signed webhook event.
+ * Authorizations live in memory and are lost on restart.
+ */
+class MockPaymentProvider extends PaymentProvider {
+  /**
+   * @param {object} [options] - {authorize, capture, delayMs}; each of authorize and capture is 'success',
+   * 'decline' or 'timeout', and capture may also be 'pending'
+   */
+  constructor({ authorize = 'success', capture = 'success', delayMs = 0 } = {}) {
+    super('mock');
+    if (!BEHAVIORS.includes(authorize) || authorize === 'pending') {
+      throw new Error(`Unknown mock payment behavior: ${authorize}`);
+    }
+    if (!BEHAVIORS.includes(capture)) {
+      throw new Error(`Unknown mock payment behavior: ${capture}`);
+    }
+    this.behaviors = { authorize, capture };
+    this.delayMs = delayMs;
+    this.authorizations = new Map();
+  }
+
+  async authorize({ orderId, amount, currency }) {
+    await this.simulate('authorize');
+
+    const reference = `mock_${crypto.randomUUID()}`;
+    this.authorizations.set(reference, { orderId: orderId.toString(), amount, currency, status: 'authorized' });
+    return { reference };
+  }
+
+  async capture(reference, amount) {
+    const authorization = this.getAuthorization(reference, 'capture');
+    if (authorization.status !== 'authorized' || amount > authorization.amount) {
+      throw new PaymentError({ reason: 'failed', operation: 'capture', message: `Cannot capture ${reference}` });
+    }
+
+    await this.simulate('capture');
+    if (this.behaviors.capture === 'pending') {
+      authorization.status = 'processing';
+      return { status: 'pending' };
+    }
+    authorization.status = 'captured';
+    return { status: 'captured' };
+  }
+
+  async void(reference) {
+    const authorization = this.getAuthorization(reference, 'void');
+    if (authorization.status === 'authorized' || authorization.status === 'processing') {
+      authorization.status = 'voided';
+    }
+  }
+
+  async refund(reference, amount) {
+    const authorization = this.getAuthorization(reference, 'refund');
+    // A pending capture may have been settled by a webhook event the mock never sees
+    if (!['captured', 'processing'].includes(authorization.status) || amount > authorization.amount) {
+      throw new PaymentError({ reason: 'failed', operation: 'refund', message: `Cannot refund ${reference}` });
+    }
+    authorization.status = 'refunded';
+  }
+
+  /**
+   * Wait for the configured delay, then decline or hang if configured to
+   * @private
+   */
+  async simulate(operation) {
+    if (this.delayMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, this.delayMs));
+    }
+
+    const behavior = this.behaviors[operation];
+    if (behavior === 'decline') {
+      throw new PaymentError({ reason: 'declined', operation, message: 'Payment declined by the mock provider' });
+    }
+    if (behavior === 'timeout') {
+      await new Promise(() => {});
+    }
+  }
+
+  /**
+   * @private
+   */
+  getAuthorization(reference, operation) {
+    const authorization = this.authorizations.get(reference);
+    if (!authorization) {
+      throw new PaymentError({ reason: 'failed', operation, message: `Unknown payment reference ${reference}` });
+    }
+    return authorization;
+  }
+}
+
+module.exports = MockPaymentProvider;
@@ -0,0 +1,57 @@
+/**
+ * Payment provider interface
+ * Checkout authorizes the order total, commits the order, then captures the authorization.
+ * If anything fails in between, the authorization is voided; captured payments are refunded.
+ * Adapters extend this class and throw PaymentError when the provider declines or fails.
+ */
+class PaymentProvider {
+  /**
+   * @param {string} name - Provider name, stored on each order's payment
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Place a hold on the customer's funds
+   * @param {object} payment - {orderId, userId, amount, currency}; amount is in integer minor units of currency
+   * @returns {Promise<object>} - {reference}: the provider's reference for the authorization
+   * @throws {PaymentError} - Error if the payment is declined or fails
+   */
+  async authorize(payment) {
+    throw new Error(`${this.name} does not implement authorize`);
+  }
+
+  /**
+   * Collect an authorized payment
+   * Asynchronous providers return {status: 'pending'} and report the outcome to the payment webhook.
+   * @param {string} reference - Authorization reference
+   * @param {number} amount - Amount to capture, in integer minor units
+   * @returns {Promise<object>} - {status}: 'captured', or 'pending' if the outcome arrives later
+   * @throws {PaymentError} - Error if the capture is declined or fails
+   */
+  async capture(reference, amount) {
+    throw new Error(`${this.name} does not implement capture`);
+  }
+
+  /**
+   * Release an authorization that will not be captured
+   * @param {string} reference - Authorization reference
+   * @returns {Promise<void>}
+   */
+  async void(reference) {
+    throw new Error(`${this.name} does not implement void`);
+  }
+
+  /**
+   * Return a captured payment to the customer
+   * @param {string} reference - Authorization reference
+   * @param {number} amount - Amount to refund, in integer minor units
+   * @returns {Promise<void>}
+   */
+  async refund(reference, amount) {
+    throw new Error(`${this.name} does not implement refund`);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,98 @@
+const CouponError = require('../errors/CouponError');
+const couponService = require('./couponService');
+const moneyService = require('./moneyService');
+const taxService = require('./taxService');
+const { getDefaultCurrency } = require('../config/currencies');
+
+class PricingService {
+
+  /**
+   * Price the lines a user is buying, line by line and in total
+   * A coupon's discount is spread over the lines it applies to in proportion to their subtotals, and
+   * tax is worked out on each line after its discount. Every amount is in integer minor units, and the
+   * line amounts add up exactly to the totals.
+   * @param {string} userId - User ID
+   * @param {object[]} lines - Array of {sku, saleId, price, quantity, currency} objects, price in minor units
+   * @param {object} [options] - {couponCode, region, strict}; region defaults to TAX_DEFAULT_REGION. When strict is
+   * set a coupon that does not apply throws, otherwise it is reported in coupon.message and ignored.
+   * @returns {Promise<object>} - {currency, lines, subtotal, discounts, discountAmount, taxRegion, taxAmount,
+   * totalAmount, coupon, quote}. Each line gains subtotal, discountAmount, taxRate, taxAmount and total.
+   * coupon is {code, applied, message} or null; quote is couponService.quoteCoupon's result, or null.
+   * @throws {CouponError} - Error if strict is set and the coupon does not exist or does not apply
+   * @throws {Error} - Error if the lines are priced in different currencies
+   */
+  async priceLines(userId, lines, { couponCode = null, region = null, strict = false } = {}) {
+    const currencies = new Set(lines.map((line) => line.currency));
+    if (currencies.size > 1) {
+      throw new Error('Items priced in different currencies cannot be bought together');
+    }
+    const currency = lines.length > 0 ? lines[0].currency : getDefaultCurrency();
+    const taxRegion = region || taxService.getDefaultRegion();
+
+    const subtotals = lines.map((line) => line.price * line.quantity);
+
+    let quote = null;
+    let coupon = null;
+    if (couponCode) {
+      coupon = { code: couponCode, applied: false };
+      try {
+        quote = await couponService.quoteCoupon(couponCode, userId, lines, currency);
+        coupon.applied = true;
+      } catch (error) {
+        if (strict || !(error instanceof CouponError)) {
+          throw error;
+        }
+        coupon.message = error.message;
+      }
+    }
+
+    const discounts = quote
+      ? moneyService.allocate(
+        quote.discountAmount,
+        lines.map((line, index) => (quote.skus.includes(line.sku) ? subtotals[index] : 0))
+      )
+      : lines.map(() => 0);
+
+    const taxes = await taxService.calculate({
+      region: taxRegion,
+      currency,
+      lines: lines.map((line, index) => ({
+        sku: line.sku,
+        quantity: line.quantity,
+        amount: subtotals[index] - discounts[index],
+      })),
+    });
+
+    const pricedLines = lines.map((line, index) => ({
+      ...line,
+      subtotal: subtotals[index],
+      discountAmount: discounts[index],
+      taxRate: taxes[index].rate,
+      taxAmount: taxes[index].taxAmount,
+      total: subtotals[index] - discounts[index] + taxes[index].taxAmount,
+    }));
+    const sum = (field) => pricedLines.reduce((total, line) => total + line[field], 0);
+
+    return {
+      currency,
+      lines: pricedLines,
+      subtotal: sum('subtotal'),
+      discounts: quote
+        ? [{
+          code: quote.coupon.code,
+          description: quote.coupon.description,
+          skus: quote.skus,
+          amount: quote.discountAmount,
+        }]
+        : [],
+      discountAmount: sum('discountAmount'),
+      taxRegion,
+      taxAmount: sum('taxAmount'),
+      totalAmount: sum('total'),
+      coupon,
+      quote,
+    };
+  }
+}
+
+module.exports = new PricingService();
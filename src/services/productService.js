@@ -1,18 +1,40 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const InsufficientStockError = require('../errors/InsufficientStockError');
+const StockBelowReservedError = require('../errors/StockBelowReservedError');
+const { getDefaultCurrency } = require('../config/currencies');
 const redisService = require('./redisService');
+const { eventBus, EVENTS } = require('../events/eventBus');
+
+const UPDATABLE_FIELDS = ['name', 'price', 'description'];
+const UPDATABLE_POLICIES = ['reservationPolicy', 'purchaseLimit'];
 
 class ProductService {
 
   /**
    * Create a new product
-   * @param {object} productData - Product data containing name, sku, totalStock, price, and description
+   * The opening stock is recorded as a 'creation' movement in the same transaction.
+   * @param {object} productData - Product data containing name, sku, totalStock, price (integer minor units),
+   * currency (defaults to DEFAULT_CURRENCY), and description
+   * @param {string} [userId] - Admin creating the product, recorded on the movement
    * @returns {Promise<object>} - Created product
    * @throws {Error} - Error if product with same SKU already exists or if service throws an error
    */
-  async createProduct(productData) {
+  async createProduct(productData, userId = null) {
     try {
-      const product = new Product(productData);
-      await product.save();
+      const product = new Product({ ...productData, currency: productData.currency || getDefaultCurrency() });
+      await this.withTransaction(async (session) => {
+        await product.save({ session });
+        await this.recordMovements([{
+          product,
+          type: 'creation',
+          delta: product.totalStock,
+          balance: product.totalStock,
+          userId,
+        }], session);
+      });
+      await redisService.setCachedStock(product.sku, product.totalStock);
       return product;
     } catch (error) {
       if (error.code === 11000) {
@@ -63,7 +85,8 @@ class ProductService {
    * @property {number} totalStock - Total available stock
    * @property {number} reservedStock - Total reserved stock
    * @property {number} availableStock - Available stock (totalStock - reservedStock)
-   * @property {number} price - Product price
+   * @property {number} price - Product price in integer minor units of currency
+   * @property {string} currency - ISO 4217 currency code
    * @property {boolean} isActive - Product active status
    * @throws {Error} - Error if product not found
    */
@@ -80,6 +103,7 @@ class ProductService {
       reservedStock: reservedStock,
       availableStock: availableStock,
       price: product.price,
+      currency: product.currency,
       isActive: product.isActive,
     };
   }
@@ -111,22 +135,392 @@ class ProductService {
  
   /**
    * Reduce stock for a product
+   * Uses a single conditional $inc so concurrent decrements can never take stock below zero
    * @param {string} sku - Product SKU
    * @param {number} quantity - Quantity to reduce
+   * @param {object} [session] - MongoDB session to run the update in
+   * @param {object} [reference] - {orderId, userId} recorded on the 'checkout' movement
    * @returns {Promise<object>} - Updated product object
-   * @throws {Error} - Error if product not found or insufficient stock
+   * @throws {InsufficientStockError} - Error if the product has less stock than quantity
+   * @throws {Error} - Error if product not found
    */
-  async reduceStock(sku, quantity) {
+  async reduceStock(sku, quantity, session = null, reference = {}) {
+    const product = await Product.findOneAndUpdate(
+      { sku, isActive: true, totalStock: { $gte: quantity } },
+      { $inc: { totalStock: -quantity } },
+      { new: true, session }
+    );
+
+    if (!product) {
+      const current = await Product.findOne({ sku, isActive: true }).session(session);
+      if (!current) {
+        throw new Error('Product not found');
+      }
+      throw new InsufficientStockError([
+        { sku, requested: quantity, available: current.totalStock },
+      ]);
+    }
+
+    await this.recordMovements([{
+      product,
+      type: 'checkout',
+      delta: -quantity,
+      balance: product.totalStock,
+      ...reference,
+    }], session);
+    return product;
+  }
+
+
+  /**
+   * Reduce stock for several products together (e.g. every line of an order)
+   * Checks every SKU before writing, then applies all conditional decrements in one bulkWrite.
+   * Run it inside a transaction for all-or-nothing behaviour: a concurrent change to any of
+   * the products makes the transaction retry rather than partially apply.
+   * @param {object[]} items - Array of {sku, quantity} objects
+   * @param {object} [session] - MongoDB session to run the update in
+   * @param {object} [reference] - {orderId, userId} recorded on each 'checkout' movement
+   * @returns {Promise<void>}
+   * @throws {InsufficientStockError} - Error listing every SKU with less stock than requested
+   * @throws {Error} - Error if a product is not found
+   */
+  async reduceStockBulk(items, session = null, reference = {}) {
+    const quantities = new Map();
+    for (const { sku, quantity } of items) {
+      quantities.set(sku, (quantities.get(sku) || 0) + quantity);
+    }
+    const skus = [...quantities.keys()];
+
+    const findShortages = async () => {
+      const products = await Product.find({ sku: { $in: skus }, isActive: true }).session(session);
+      const stockBySku = new Map(products.map((product) => [product.sku, product.totalStock]));
+
+      const missing = skus.find((sku) => !stockBySku.has(sku));
+      if (missing) {
+        throw new Error(`Product not found: ${missing}`);
+      }
+
+      return skus
+        .filter((sku) => stockBySku.get(sku) < quantities.get(sku))
+        .map((sku) => ({ sku, requested: quantities.get(sku), available: stockBySku.get(sku) }));
+    };
+
+    const shortages = await findShortages();
+    if (shortages.length > 0) {
+      throw new InsufficientStockError(shortages);
+    }
+
+    const result = await Product.bulkWrite(
+      skus.map((sku) => ({
+        updateOne: {
+          filter: { sku, isActive: true, totalStock: { $gte: quantities.get(sku) } },
+          update: { $inc: { totalStock: -quantities.get(sku) } },
+        },
+      })),
+      { session }
+    );
+
+    // Only reachable without a transaction, when stock changed between the check and the write
+    if (result.matchedCount !== skus.length) {
+      throw new Error('Stock changed during bulk update; run reduceStockBulk inside a transaction');
+    }
+
+    const updated = await Product.find({ sku: { $in: skus } }).session(session);
+    await this.recordMovements(
+      updated.map((product) => ({
+        product,
+        type: 'checkout',
+        delta: -quantities.get(product.sku),
+        balance: product.totalStock,
+        ...reference,
+      })),
+      session
+    );
+  }
+
+
+  /**
+   * Restore stock for a product (used when an order is cancelled)
+   * @param {string} sku - Product SKU
+   * @param {number} quantity - Quantity to add back
+   * @param {object} [session] - MongoDB session to run the update in
+   * @param {object} [reference] - {orderId, userId} recorded on the 'cancellation' movement
+   * @returns {Promise<object>} - Updated product object
+   * @throws {Error} - Error if product not found
+   */
+  async restoreStock(sku, quantity, session = null, reference = {}) {
+    const product = await Product.findOneAndUpdate(
+      { sku },
+      { $inc: { totalStock: quantity } },
+      { new: true, session }
+    );
+
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    await this.recordMovements([{
+      product,
+      type: 'cancellation',
+      delta: quantity,
+      balance: product.totalStock,
+      ...reference,
+    }], session);
+    return product;
+  }
+
+
+  /**
+   * Update a product's details and, optionally, its total stock
+   * Nested policies are merged, so only the fields sent are changed. The SKU cannot be changed.
+   * Details and stock are written together, so a rejected stock change leaves the details unchanged too.
+   * @param {string} sku - Product SKU
+   * @param {object} updates - Any of name, price, description, totalStock, reservationPolicy, and purchaseLimit
+   * @param {string} [userId] - Admin making the change, recorded on the 'adjustment' movement
+   * @returns {Promise<object>} - Updated product
+   * @throws {StockBelowReservedError} - Error if totalStock is below the currently reserved stock
+   * @throws {Error} - Error if product not found, the details are invalid, or stock changed during the update
+   */
+  async updateProduct(sku, updates, userId = null) {
     const product = await this.getProductBySku(sku);
-    
-    if (product.totalStock < quantity) {
-      throw new Error('Insufficient stock');
+
+    const changes = {};
+    const setField = (path, value) => {
+      product.set(path, value);
+      changes[path] = product.get(path);
+    };
+    for (const field of UPDATABLE_FIELDS) {
+      if (updates[field] !== undefined) {
+        setField(field, updates[field]);
+      }
+    }
+    for (const policy of UPDATABLE_POLICIES) {
+      for (const [key, value] of Object.entries(updates[policy] || {})) {
+        setField(`${policy}.${key}`, value);
+      }
+    }
+
+    if (updates.totalStock === undefined || updates.totalStock === product.totalStock) {
+      await product.save();
+      return product;
     }
 
-    product.totalStock -= quantity;
+    // Validate the details before touching stock; changeStock then writes them in its stock update
+    await product.validate();
+    return this.changeStock(product, updates.totalStock - product.totalStock, userId, changes);
+  }
+
+
+  /**
+   * Add stock to a product
+   * @param {string} sku - Product SKU
+   * @param {number} quantity - Units to add
+   * @param {string} [userId] - Admin restocking, recorded on the 'restock' movement
+   * @returns {Promise<object>} - Updated product
+   * @throws {Error} - Error if product not found
+   */
+  async restockProduct(sku, quantity, userId = null) {
+    let product;
+    await this.withTransaction(async (session) => {
+      product = await Product.findOneAndUpdate(
+        { sku, isActive: true },
+        { $inc: { totalStock: quantity } },
+        { new: true, session }
+      );
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+      await this.recordMovements([{
+        product,
+        type: 'restock',
+        delta: quantity,
+        balance: product.totalStock,
+        userId,
+      }], session);
+    });
+
+    await redisService.adjustCachedStock(sku, quantity);
+    eventBus.emit(EVENTS.STOCK_RELEASED, { sku, quantity, reason: 'restocked' });
+    return product;
+  }
+
+
+  /**
+   * Deactivate a product (soft delete via isActive)
+   * Existing reservations are left to expire; the product can no longer be reserved or bought.
+   * @param {string} sku - Product SKU
+   * @returns {Promise<object>} - Deactivated product
+   * @throws {Error} - Error if product not found
+   */
+  async deactivateProduct(sku) {
+    const product = await this.getProductBySku(sku);
+    product.isActive = false;
     await product.save();
     return product;
   }
+
+
+  /**
+   * Apply a stock delta to MongoDB and the Redis stock cache
+   * Reductions are checked against reserved stock in Redis first, so reservations can't end up above stock,
+   * and given back if the MongoDB update does not go through.
+   * @private
+   */
+  async changeStock(product, delta, userId, changes = {}) {
+    const { sku } = product;
+
+    if (delta < 0) {
+      const result = await redisService.reduceCachedStock(sku, -delta, product.totalStock);
+      if (!result.success) {
+        throw new StockBelowReservedError({
+          sku,
+          requestedStock: product.totalStock + delta,
+          reservedStock: result.reservedStock,
+        });
+      }
+    }
+
+    // Only apply the delta to the stock level it was computed from, so a concurrent checkout isn't overwritten
+    let updated;
+    try {
+      await this.withTransaction(async (session) => {
+        updated = await Product.findOneAndUpdate(
+          { sku, isActive: true, totalStock: product.totalStock },
+          { $set: changes, $inc: { totalStock: delta } },
+          { new: true, session }
+        );
+
+        if (!updated) {
+          throw new Error('Stock changed while updating; please retry');
+        }
+        await this.recordMovements([{
+          product: updated,
+          type: 'adjustment',
+          delta,
+          balance: updated.totalStock,
+          userId,
+        }], session);
+      });
+    } catch (error) {
+      if (delta < 0) {
+        await redisService.adjustCachedStock(sku, -delta);
+      }
+      throw error;
+    }
+
+    if (delta > 0) {
+      await redisService.adjustCachedStock(sku, delta);
+      eventBus.emit(EVENTS.STOCK_RELEASED, { sku, quantity: delta, reason: 'restocked' });
+    }
+    return updated;
+  }
+
+  /**
+   * Get a product's stock movements, newest first
+   * Inactive products are included, so their history stays available.
+   * @param {string} sku - Product SKU
+   * @param {object} [options] - {page, limit}; page starts at 1
+   * @returns {Promise<object>} - {sku, movements, page, limit, total, totalPages}
+   * @throws {Error} - Error if product not found
+   */
+  async getLedger(sku, { page = 1, limit = 20 } = {}) {
+    const product = await Product.findOne({ sku });
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find({ sku })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      InventoryMovement.countDocuments({ sku }),
+    ]);
+
+    return {
+      sku,
+      movements,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+
+  /**
+   * Recompute every product's stock from the ledger and compare it with totalStock
+   * @returns {Promise<object[]>} - Array of {sku, totalStock, ledgerStock, movements, drift} objects, one per product
+   */
+  async reconcileInventory() {
+    const [products, sums] = await Promise.all([
+      Product.find({}, { sku: 1, totalStock: 1 }),
+      InventoryMovement.aggregate([
+        { $group: { _id: '$sku', ledgerStock: { $sum: '$delta' }, movements: { $sum: 1 } } },
+      ]),
+    ]);
+    const ledgerBySku = new Map(sums.map((sum) => [sum._id, sum]));
+
+    return products.map(({ sku, totalStock }) => {
+      const { ledgerStock = 0, movements = 0 } = ledgerBySku.get(sku) || {};
+      return { sku, totalStock, ledgerStock, movements, drift: totalStock - ledgerStock };
+    });
+  }
+
+
+  /**
+   * Record an opening balance for products that have no ledger entries yet
+   * For products created before the ledger existed; products with any movement are left alone.
+   * @returns {Promise<string[]>} - SKUs that were given an opening balance
+   */
+  async recordOpeningBalances() {
+    const tracked = await InventoryMovement.distinct('sku');
+    const untracked = await Product.find({ sku: { $nin: tracked } });
+
+    await this.recordMovements(
+      untracked.map((product) => ({
+        product,
+        type: 'adjustment',
+        delta: product.totalStock,
+        balance: product.totalStock,
+      }))
+    );
+    return untracked.map((product) => product.sku);
+  }
+
+
+  /**
+   * Append stock movements to the inventory ledger
+   * @private
+   */
+  async recordMovements(movements, session = null) {
+    if (movements.length === 0) {
+      return;
+    }
+
+    await InventoryMovement.insertMany(
+      movements.map(({ product, ...movement }) => ({
+        productId: product._id,
+        sku: product.sku,
+        ...movement,
+      })),
+      { session }
+    );
+  }
+
+  /**
+   * Run a function in a MongoDB transaction
+   * @private
+   */
+  async withTransaction(fn) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(() => fn(session));
+    } finally {
+      await session.endSession();
+    }
+  }
 }
 
 module.exports = new ProductService();
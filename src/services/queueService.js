@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const flashSaleService = require('./flashSaleService');
+const userService = require('./userService');
+
+class QueueService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Join a flash sale's waiting room
+   * Joining again returns the same ticket until its admission lapses.
+   * @param {string} userId - User ID
+   * @param {string} saleId - Flash sale ID
+   * @returns {Promise<object>} - Ticket status (see getTicketStatus)
+   * @throws {Error} - Error if user or sale not found, or the sale has ended
+   */
+  async joinQueue(userId, saleId) {
+    const userExists = await userService.userExists(userId);
+    if (!userExists) {
+      throw new Error('User not found');
+    }
+
+    const sale = await flashSaleService.getSaleById(saleId);
+    if (sale.endTime <= new Date()) {
+      throw new Error('The flash sale has ended');
+    }
+
+    // Keep queue data until the last admission issued during the sale has lapsed
+    const expiresAt = new Date(sale.endTime.getTime() + this.getAdmissionTtlSeconds() * 1000);
+    const { ticket } = await redisService.joinQueue(
+      sale._id.toString(),
+      userId,
+      crypto.randomUUID(),
+      expiresAt
+    );
+
+    return this.getTicketStatus(ticket, userId);
+  }
+
+  /**
+   * Get a ticket's place in the waiting room
+   * @param {string} ticket - Ticket ID
+   * @param {string} userId - User asking; a ticket issued to someone else is treated as not found
+   * @returns {Promise<object>} - {ticket, saleId, status} plus position and estimatedWaitSeconds while
+   * waiting, or admissionToken and admissionExpiresAt once admitted. status 'expired' means the user must rejoin.
+   * @throws {Error} - Error if ticket not found or issued to another user
+   */
+  async getTicketStatus(ticket, userId) {
+    const result = await redisService.checkQueueTicket(
+      ticket,
+      userId,
+      crypto.randomBytes(24).toString('hex'),
+      this.getAdmissionTtlSeconds()
+    );
+    if (!result) {
+      throw new Error('Ticket not found');
+    }
+
+    const status = { ticket, saleId: result.saleId, status: result.status };
+    if (result.status === 'waiting') {
+      const { batchSize, intervalMs } = this.getAdmissionRate();
+      status.position = result.position;
+      status.estimatedWaitSeconds = Math.ceil(result.position / batchSize) * Math.ceil(intervalMs / 1000);
+    } else if (result.status === 'admitted') {
+      status.admissionToken = result.admissionToken;
+      status.admissionExpiresAt = result.expiresAt;
+    }
+    return status;
+  }
+
+  /**
+   * Check whether a user has been admitted to a flash sale
+   * @param {string} saleId - Flash sale ID
+   * @param {string} userId - User ID
+   * @param {string} [admissionToken] - Token from the user's admitted ticket
+   * @returns {Promise<boolean>} - Whether the token is current for this user and sale
+   */
+  async isAdmitted(saleId, userId, admissionToken) {
+    if (!admissionToken) {
+      return false;
+    }
+    return redisService.hasAdmission(saleId.toString(), userId, admissionToken);
+  }
+
+  /**
+   * Start admitting waiting room batches on an interval
+   * @param {number} intervalMs - Milliseconds between admission runs
+   * @returns {void}
+   */
+  start(intervalMs) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch((error) => {
+        console.error('Error running queue admitter:', error);
+      });
+    }, intervalMs);
+    console.log(`Queue admitter started (every ${intervalMs}ms)`);
+  }
+
+  /**
+   * Stop the admission interval
+   * @returns {void}
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Admit the next batch for every running sale with a waiting room
+   * Sales that have not started are skipped; ended or deleted sales are dropped.
+   * @returns {Promise<object[]>} - Array of {saleId, admittedThrough} objects for the sales processed
+   */
+  async runOnce() {
+    if (this.running) {
+      return [];
+    }
+    this.running = true;
+
+    try {
+      const { batchSize, intervalMs } = this.getAdmissionRate();
+      const now = new Date();
+      const processed = [];
+
+      const saleIds = await redisService.getQueuedSales();
+      for (const saleId of saleIds) {
+        let sale;
+        try {
+          sale = await flashSaleService.getSaleById(saleId);
+        } catch (error) {
+          sale = null;
+        }
+
+        if (!sale || sale.endTime <= now) {
+          await redisService.removeQueuedSale(saleId);
+          continue;
+        }
+        if (sale.startTime > now) {
+          continue;
+        }
+
+        const admittedThrough = await redisService.admitQueueBatch(saleId, batchSize, intervalMs);
+        processed.push({ saleId, admittedThrough });
+      }
+
+      return processed;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Read the admission rate from the environment
+   * @private
+   */
+  getAdmissionRate() {
+    return {
+      batchSize: parseInt(process.env.QUEUE_ADMIT_BATCH_SIZE) || 50,
+      intervalMs: parseInt(process.env.QUEUE_ADMIT_INTERVAL_MS) || 5000,
+    };
+  }
+
+  /**
+   * Read how long an admission token stays valid from the environment
+   * @private
+   */
+  getAdmissionTtlSeconds() {
+    return parseInt(process.env.QUEUE_ADMISSION_TTL_SECONDS) || 600;
+  }
+}
+
+module.exports = new QueueService();
@@ -0,0 +1,119 @@
+const ReservationAudit = require('../models/ReservationAudit');
+const redisService = require('./redisService');
+const { eventBus, EVENTS } = require('../events/eventBus');
+
+const BATCH_SIZE = 100;
+
+class ReaperService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start sweeping expired reservations on an interval
+   * @param {number} intervalMs - Milliseconds between sweeps
+   * @returns {void}
+   */
+  start(intervalMs) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch((error) => {
+        console.error('Error running reservation reaper:', error);
+      });
+    }, intervalMs);
+    console.log(`Reservation reaper started (every ${intervalMs}ms)`);
+  }
+
+  /**
+   * Stop the sweep interval
+   * @returns {void}
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Sweep every SKU with holds, then audit and publish each expired hold
+   * Expired holds swept by other Redis calls in the meantime are published too. A batch whose audit
+   * records cannot be written goes back on the queue for the next run, as do holds any reaper claimed
+   * longer ago than RESERVATION_REAPER_LEASE_MS without recording them (e.g. because it stopped mid-batch).
+   * @returns {Promise<object[]>} - Array of {sku, userId, quantity, expiredAt} objects that were processed
+   */
+  async runOnce() {
+    if (this.running) {
+      return [];
+    }
+    this.running = true;
+
+    try {
+      await redisService.requeueStaleExpiredReservations(this.getLeaseMs());
+
+      const skus = await redisService.getReservedSkus();
+      for (const sku of skus) {
+        await redisService.sweepExpiredReservations(sku);
+      }
+
+      const processed = [];
+      let batch = await redisService.claimExpiredReservations(BATCH_SIZE);
+      while (batch.length > 0) {
+        await this.recordExpired(batch);
+        processed.push(...batch.map(({ entry, ...hold }) => hold));
+        batch = await redisService.claimExpiredReservations(BATCH_SIZE);
+      }
+
+      return processed;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Write audit records for expired holds and emit reservation.expired for each
+   * The holds are acknowledged once their records are written, or requeued if the write fails.
+   * @private
+   */
+  async recordExpired(expired) {
+    try {
+      await ReservationAudit.insertMany(
+        expired.map((hold) => ({
+          userId: hold.userId,
+          sku: hold.sku,
+          quantity: hold.quantity,
+          event: 'expired',
+          occurredAt: new Date(hold.expiredAt),
+        })),
+        { ordered: false }
+      );
+    } catch (error) {
+      await redisService.requeueExpiredReservations(expired);
+      throw error;
+    }
+    await redisService.ackExpiredReservations(expired);
+
+    for (const hold of expired) {
+      eventBus.emit(EVENTS.RESERVATION_EXPIRED, {
+        userId: hold.userId,
+        sku: hold.sku,
+        quantity: hold.quantity,
+        expiredAt: new Date(hold.expiredAt),
+      });
+    }
+  }
+
+  /**
+   * Read how long a reaper may take to record the holds it claimed from the environment
+   * @private
+   */
+  getLeaseMs() {
+    return parseInt(process.env.RESERVATION_REAPER_LEASE_MS) || 60000;
+  }
+}
+
+module.exports = new ReaperService();
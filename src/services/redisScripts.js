@@ -0,0 +1,628 @@
+/**
+ * Lua scripts executed server-side by RedisService.
+ * Each script runs atomically, so no other command can interleave between
+ * the stock check and the counter updates.
+ *
+ * Every hold is tracked per SKU in two structures next to the aggregate counter:
+ *   reservation_holds:{sku}  - hash of userId -> held quantity
+ *   reservation_expiry:{sku} - sorted set of userId scored by expiry time (ms)
+ * Scripts sweep expired holds out of reserved_stock:{sku} before using it and queue
+ * each swept hold on reservation_expired_events for the reaper to publish.
+ * reservation_skus indexes the SKUs that currently have holds, and
+ * user_reservations:{userId} indexes a user's holds as sku -> {quantity, expiresAt, ...details}.
+ * Waiting room scripts number tickets with queue_seq:{saleId} and admit every ticket
+ * numbered up to queue_admitted:{saleId}.
+ * Waitlist scripts order each SKU's waitlist:{sku} by a sequence number from waitlist_seq:{sku}
+ * and keep the quantity each user asked for in waitlist_quantity:{sku}.
+ */
+
+/**
+ * Shared helpers prepended to the scripts below
+ */
+const HELPERS = `
+local function nowMs()
+  local time = redis.call('TIME')
+  return tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+end
+
+local function sweep(sku, reservedStockKey, holdsKey, expiryKey, eventsKey, now)
+  local expired = redis.call('ZRANGEBYSCORE', expiryKey, '-inf', now, 'WITHSCORES')
+  local total = 0
+
+  for i = 1, #expired, 2 do
+    local userId = expired[i]
+    local quantity = tonumber(redis.call('HGET', holdsKey, userId) or '0')
+    redis.call('HDEL', holdsKey, userId)
+    redis.call('ZREM', expiryKey, userId)
+    total = total + quantity
+
+    if quantity > 0 then
+      redis.call('RPUSH', eventsKey, cjson.encode({
+        sku = sku,
+        userId = userId,
+        quantity = quantity,
+        expiredAt = tonumber(expired[i + 1]),
+      }))
+    end
+  end
+
+  if total > 0 then
+    local reserved = tonumber(redis.call('DECRBY', reservedStockKey, total))
+    if reserved < 0 then
+      redis.call('SET', reservedStockKey, 0)
+    end
+  end
+
+  return total
+end
+
+local function indexHold(indexKey, sku, fields, now)
+  local existing = redis.call('HGET', indexKey, sku)
+  local entry = existing and cjson.decode(existing) or {}
+  for field, value in pairs(fields) do
+    entry[field] = value
+  end
+  redis.call('HSET', indexKey, sku, cjson.encode(entry))
+
+  local ttl = tonumber(redis.call('PTTL', indexKey))
+  if ttl < 0 or now + ttl < entry.expiresAt then
+    redis.call('PEXPIREAT', indexKey, entry.expiresAt)
+  end
+end
+
+local function heldInSale(indexKey, saleId, now)
+  local total = 0
+  local index = redis.call('HGETALL', indexKey)
+  for i = 2, #index, 2 do
+    local entry = cjson.decode(index[i])
+    if entry.saleId == saleId and entry.expiresAt > now then
+      total = total + entry.quantity
+    end
+  end
+  return total
+end
+`;
+
+/**
+ * Reserve one or more SKUs for a user (all-or-nothing)
+ * A hold never outlives its start time plus the product's maximum hold time. Adding to a live hold keeps
+ * its expiry, so reserving again cannot be used to get around the product's extension limit; renew
+ * instead pushes the hold to at least now + ttlSeconds (for holds the server grants, e.g. waitlist offers).
+ * An optional per-SKU limit caps reserved stock below the total (e.g. a flash sale allocation).
+ * Optional per-user allowances cap how much the user may hold: userAllowance for the SKU itself,
+ * saleAllowance across every SKU the user holds under the sale named by details.saleId.
+ * KEYS: reservation_skus, reservation_expired_events, user_reservations:{userId}, then 6 per SKU:
+ *       reservation:{userId}:{sku}, reserved_stock:{sku}, stock:{sku},
+ *       reservation_holds:{sku}, reservation_expiry:{sku}, reservation_meta:{userId}:{sku}
+ * ARGV: userId, ttlSeconds, renew ('1' or '0'), then per SKU: sku, quantity, totalStock (used only to seed stock:{sku}),
+ *       maxHoldSeconds, limit, details (JSON object replacing the details in the user's index entry),
+ *       userAllowance, saleAllowance (limit and allowances are empty strings for none)
+ * Returns {1} on success or {0, failedIndex, remaining, reason} for the first SKU that fails,
+ * where reason is 'stock', 'user' or 'sale' and remaining is the stock or allowance left.
+ */
+const RESERVE_STOCK = HELPERS + `
+local skusKey = KEYS[1]
+local eventsKey = KEYS[2]
+local indexKey = KEYS[3]
+local userId = ARGV[1]
+local ttl = tonumber(ARGV[2])
+local renew = ARGV[3] == '1'
+local count = (#KEYS - 3) / 6
+local now = nowMs()
+local requestedBySale = {}
+
+for i = 1, count do
+  local k = 3 + (i - 1) * 6
+  local a = 3 + (i - 1) * 8
+  local reservedStockKey = KEYS[k + 2]
+  local stockKey = KEYS[k + 3]
+  local quantity = tonumber(ARGV[a + 2])
+  local limit = tonumber(ARGV[a + 5])
+  local userAllowance = tonumber(ARGV[a + 7])
+  local saleAllowance = tonumber(ARGV[a + 8])
+
+  sweep(ARGV[a + 1], reservedStockKey, KEYS[k + 4], KEYS[k + 5], eventsKey, now)
+
+  local totalStock = tonumber(redis.call('GET', stockKey))
+  if not totalStock then
+    totalStock = tonumber(ARGV[a + 3])
+    redis.call('SET', stockKey, totalStock)
+  end
+
+  if limit and limit < totalStock then
+    totalStock = limit
+  end
+
+  local reserved = tonumber(redis.call('GET', reservedStockKey) or '0')
+  if reserved + quantity > totalStock then
+    return {0, i - 1, math.max(0, totalStock - reserved), 'stock'}
+  end
+
+  if userAllowance then
+    local held = tonumber(redis.call('GET', KEYS[k + 1]) or '0')
+    if held + quantity > userAllowance then
+      return {0, i - 1, math.max(0, userAllowance - held), 'user'}
+    end
+  end
+
+  if saleAllowance then
+    local saleId = cjson.decode(ARGV[a + 6]).saleId
+    local alreadyRequested = requestedBySale[saleId] or 0
+    local held = heldInSale(indexKey, saleId, now) + alreadyRequested
+    if held + quantity > saleAllowance then
+      return {0, i - 1, math.max(0, saleAllowance - held), 'sale'}
+    end
+    requestedBySale[saleId] = alreadyRequested + quantity
+  end
+end
+
+for i = 1, count do
+  local k = 3 + (i - 1) * 6
+  local a = 3 + (i - 1) * 8
+  local reservationKey = KEYS[k + 1]
+  local reservedStockKey = KEYS[k + 2]
+  local holdsKey = KEYS[k + 4]
+  local expiryKey = KEYS[k + 5]
+  local metaKey = KEYS[k + 6]
+  local quantity = tonumber(ARGV[a + 2])
+  local maxHold = tonumber(ARGV[a + 4])
+
+  redis.call('HSETNX', metaKey, 'startedAt', now)
+  redis.call('HSETNX', metaKey, 'extensions', 0)
+  local startedAt = tonumber(redis.call('HGET', metaKey, 'startedAt'))
+  -- Lapsed holds were swept above, so a score left in the expiry set belongs to a live hold
+  local expiresAt = tonumber(redis.call('ZSCORE', expiryKey, userId))
+  if not expiresAt or renew then
+    expiresAt = math.max(expiresAt or 0, math.min(now + ttl * 1000, startedAt + maxHold * 1000))
+  end
+
+  local held = redis.call('INCRBY', reservationKey, quantity)
+  redis.call('PEXPIREAT', reservationKey, expiresAt)
+  redis.call('PEXPIREAT', metaKey, expiresAt)
+  redis.call('HSET', holdsKey, userId, held)
+  redis.call('ZADD', expiryKey, expiresAt, userId)
+  redis.call('INCRBY', reservedStockKey, quantity)
+  redis.call('PERSIST', reservedStockKey)
+  redis.call('SADD', skusKey, ARGV[a + 1])
+  -- The details describe the whole hold as of this reservation, so they replace the previous entry
+  local fields = cjson.decode(ARGV[a + 6])
+  fields.quantity = held
+  fields.expiresAt = expiresAt
+  redis.call('HDEL', indexKey, ARGV[a + 1])
+  indexHold(indexKey, ARGV[a + 1], fields, now)
+end
+
+return {1}
+`;
+
+/**
+ * Release a user's holds on one or more SKUs
+ * In 'cancel' mode each SKU releases up to the quantity held (missing holds release 0).
+ * In 'consume' mode (checkout) every SKU must hold at least the requested quantity or
+ * nothing is released, and the sold units are also taken off the cached stock:{sku}.
+ * KEYS: reservation_expired_events, user_reservations:{userId}, then 6 per SKU:
+ *       reservation:{userId}:{sku}, reserved_stock:{sku}, reservation_holds:{sku},
+ *       reservation_expiry:{sku}, reservation_meta:{userId}:{sku}, stock:{sku}
+ * ARGV: userId, mode, then per SKU: sku, quantity (empty string releases the whole hold)
+ * Returns {1, releasedQuantity...} on success or {0, failedIndex, heldQuantity} when a hold is too small.
+ */
+const RELEASE_RESERVATION = HELPERS + `
+local eventsKey = KEYS[1]
+local indexKey = KEYS[2]
+local userId = ARGV[1]
+local consume = ARGV[2] == 'consume'
+local count = (#KEYS - 2) / 6
+local now = nowMs()
+local quantities = {}
+
+for i = 1, count do
+  local k = 2 + (i - 1) * 6
+  local a = 2 + (i - 1) * 2
+
+  sweep(ARGV[a + 1], KEYS[k + 2], KEYS[k + 3], KEYS[k + 4], eventsKey, now)
+
+  local held = tonumber(redis.call('GET', KEYS[k + 1]) or '0')
+  local quantity = held
+  if ARGV[a + 2] ~= '' then
+    quantity = tonumber(ARGV[a + 2])
+  end
+
+  if quantity > held then
+    if consume then
+      return {0, i - 1, held}
+    end
+    quantity = held
+  end
+
+  quantities[i] = quantity
+end
+
+local results = {1}
+
+for i = 1, count do
+  local k = 2 + (i - 1) * 6
+  local a = 2 + (i - 1) * 2
+  local reservationKey = KEYS[k + 1]
+  local reservedStockKey = KEYS[k + 2]
+  local holdsKey = KEYS[k + 3]
+  local expiryKey = KEYS[k + 4]
+  local stockKey = KEYS[k + 6]
+  local sku = ARGV[a + 1]
+  local quantity = quantities[i]
+
+  if quantity > 0 then
+    local remaining = tonumber(redis.call('DECRBY', reservationKey, quantity))
+    if remaining > 0 then
+      redis.call('HSET', holdsKey, userId, remaining)
+      indexHold(indexKey, sku, {
+        quantity = remaining,
+        expiresAt = tonumber(redis.call('ZSCORE', expiryKey, userId)),
+      }, now)
+    else
+      redis.call('DEL', reservationKey, KEYS[k + 5])
+      redis.call('HDEL', holdsKey, userId)
+      redis.call('ZREM', expiryKey, userId)
+      redis.call('HDEL', indexKey, sku)
+    end
+
+    redis.call('DECRBY', reservedStockKey, quantity)
+    if consume and redis.call('EXISTS', stockKey) == 1 then
+      redis.call('DECRBY', stockKey, quantity)
+    end
+  end
+
+  table.insert(results, quantity)
+end
+
+return results
+`;
+
+/**
+ * Adjust the cached stock:{sku} by a delta, if it is cached
+ * KEYS: stock:{sku}
+ * ARGV: delta
+ * Returns the new cached stock, or false if the SKU is not cached.
+ */
+const ADJUST_STOCK = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return redis.call('INCRBY', KEYS[1], ARGV[1])
+end
+return false
+`;
+
+/**
+ * Reduce the cached stock:{sku} by a delta, unless that would leave less than is reserved
+ * Runs in the same script as the sweep, so no reservation can slip in between the check and the write.
+ * KEYS: stock:{sku}, reserved_stock:{sku}, reservation_holds:{sku}, reservation_expiry:{sku},
+ *       reservation_expired_events
+ * ARGV: sku, delta (negative), totalStock (used only to seed stock:{sku})
+ * Returns {1, newStock} or {0, reservedStock} when the new stock would be below the reserved stock.
+ */
+const REDUCE_STOCK_ABOVE_RESERVED = HELPERS + `
+sweep(ARGV[1], KEYS[2], KEYS[3], KEYS[4], KEYS[5], nowMs())
+local reserved = tonumber(redis.call('GET', KEYS[2]) or '0')
+
+local totalStock = tonumber(redis.call('GET', KEYS[1]) or ARGV[3])
+local newStock = totalStock + tonumber(ARGV[2])
+if newStock < reserved then
+  return {0, reserved}
+end
+
+redis.call('SET', KEYS[1], newStock)
+return {1, newStock}
+`;
+
+/**
+ * Push back the expiry of a user's holds, bounded by each product's extension policy
+ * The new expiry is now + ttlSeconds, capped at the hold's start time plus maxHoldSeconds.
+ * KEYS: reservation_expired_events, user_reservations:{userId}, then 5 per SKU:
+ *       reservation:{userId}:{sku}, reserved_stock:{sku}, reservation_holds:{sku},
+ *       reservation_expiry:{sku}, reservation_meta:{userId}:{sku}
+ * ARGV: userId, ttlSeconds, then per SKU: sku, maxExtensions, maxHoldSeconds
+ * Returns {status, expiresAt, extensions} per SKU, where status is 1 (extended), 0 (no live hold),
+ * -1 (maximum number of extensions reached) or -2 (maximum hold time reached).
+ */
+const EXTEND_RESERVATION = HELPERS + `
+local eventsKey = KEYS[1]
+local indexKey = KEYS[2]
+local userId = ARGV[1]
+local ttl = tonumber(ARGV[2])
+local count = (#KEYS - 2) / 5
+local now = nowMs()
+local results = {}
+
+for i = 1, count do
+  local k = 2 + (i - 1) * 5
+  local a = 2 + (i - 1) * 3
+  local reservationKey = KEYS[k + 1]
+  local expiryKey = KEYS[k + 4]
+  local metaKey = KEYS[k + 5]
+  local maxExtensions = tonumber(ARGV[a + 2])
+  local maxHold = tonumber(ARGV[a + 3])
+
+  sweep(ARGV[a + 1], KEYS[k + 2], KEYS[k + 3], expiryKey, eventsKey, now)
+
+  local status = 1
+  local expiresAt = tonumber(redis.call('ZSCORE', expiryKey, userId))
+  local extensions = 0
+
+  if not expiresAt or redis.call('EXISTS', reservationKey) == 0 then
+    status = 0
+    expiresAt = 0
+  else
+    redis.call('HSETNX', metaKey, 'startedAt', now)
+    extensions = tonumber(redis.call('HGET', metaKey, 'extensions') or '0')
+    local startedAt = tonumber(redis.call('HGET', metaKey, 'startedAt'))
+    local newExpiresAt = math.min(now + ttl * 1000, startedAt + maxHold * 1000)
+
+    if extensions >= maxExtensions then
+      status = -1
+    elseif newExpiresAt <= expiresAt then
+      status = -2
+    else
+      extensions = redis.call('HINCRBY', metaKey, 'extensions', 1)
+      expiresAt = newExpiresAt
+      redis.call('PEXPIREAT', reservationKey, expiresAt)
+      redis.call('ZADD', expiryKey, expiresAt, userId)
+      indexHold(indexKey, ARGV[a + 1], {
+        quantity = tonumber(redis.call('GET', reservationKey)),
+        expiresAt = expiresAt,
+      }, now)
+    end
+
+    redis.call('PEXPIREAT', metaKey, expiresAt)
+  end
+
+  table.insert(results, status)
+  table.insert(results, expiresAt)
+  table.insert(results, extensions)
+end
+
+return results
+`;
+
+/**
+ * Sweep expired holds for a SKU and return the live reserved total
+ * Drops the SKU from reservation_skus once it has no holds left
+ * KEYS: reserved_stock:{sku}, reservation_holds:{sku}, reservation_expiry:{sku},
+ *       reservation_skus, reservation_expired_events
+ * ARGV: sku
+ */
+const SWEEP_EXPIRED = HELPERS + `
+sweep(ARGV[1], KEYS[1], KEYS[2], KEYS[3], KEYS[5], nowMs())
+
+if redis.call('ZCARD', KEYS[3]) == 0 then
+  redis.call('SREM', KEYS[4], ARGV[1])
+end
+
+return tonumber(redis.call('GET', KEYS[1]) or '0')
+`;
+
+/**
+ * Read a user's reservation index, dropping entries whose hold has lapsed
+ * Each entry is checked and dropped in the same script, so an entry RESERVE_STOCK has just rewritten is never lost.
+ * KEYS: user_reservations:{userId}
+ * Returns the live entries as a flat {sku, entry, sku, entry, ...} list
+ */
+const READ_USER_RESERVATIONS = HELPERS + `
+local now = nowMs()
+local live = {}
+local index = redis.call('HGETALL', KEYS[1])
+
+for i = 1, #index, 2 do
+  if cjson.decode(index[i + 1]).expiresAt > now then
+    live[#live + 1] = index[i]
+    live[#live + 1] = index[i + 1]
+  else
+    redis.call('HDEL', KEYS[1], index[i])
+  end
+end
+
+return live
+`;
+
+/**
+ * Join a flash sale's waiting room, or return the user's existing ticket
+ * A user whose admission has lapsed gets a new ticket at the back of the queue.
+ * KEYS: queue_user:{saleId}:{userId}, queue_seq:{saleId}, queue_sales,
+ *       queue_ticket:{ticket}, queue_admission:{saleId}:{userId}
+ * ARGV: saleId, userId, ticket (used only for a new ticket), expireAt (ms timestamp)
+ * Returns {ticket, number}
+ */
+const JOIN_QUEUE = `
+local userKey = KEYS[1]
+local existing = redis.call('HGET', userKey, 'ticket')
+if existing then
+  local lapsed = redis.call('HGET', userKey, 'admitted') and redis.call('EXISTS', KEYS[5]) == 0
+  if not lapsed then
+    return {existing, tonumber(redis.call('HGET', userKey, 'number'))}
+  end
+end
+
+local number = redis.call('INCR', KEYS[2])
+redis.call('HSET', KEYS[4], 'saleId', ARGV[1], 'userId', ARGV[2], 'number', number)
+redis.call('DEL', userKey)
+redis.call('HSET', userKey, 'ticket', ARGV[3], 'number', number)
+redis.call('SADD', KEYS[3], ARGV[1])
+
+local expireAt = tonumber(ARGV[4])
+redis.call('PEXPIREAT', KEYS[2], expireAt)
+redis.call('PEXPIREAT', KEYS[4], expireAt)
+redis.call('PEXPIREAT', userKey, expireAt)
+
+return {ARGV[3], number}
+`;
+
+/**
+ * Admit the next batch of a waiting room's tickets
+ * Admits once per interval no matter how many admitters are running. Each batch has a slot, stored in
+ * queue_last_admit; a run up to half an interval early still gets the next slot, so timer jitter does not
+ * skip batches, but the slot only moves forward by whole intervals, so early or extra runs cannot raise the rate.
+ * KEYS: queue_seq:{saleId}, queue_admitted:{saleId}, queue_last_admit:{saleId}
+ * ARGV: batchSize, intervalMs
+ * Returns the highest admitted ticket number
+ */
+const ADMIT_QUEUE = HELPERS + `
+local now = nowMs()
+local interval = tonumber(ARGV[2])
+local admitted = tonumber(redis.call('GET', KEYS[2]) or '0')
+local lastSlot = tonumber(redis.call('GET', KEYS[3]) or '0')
+if now - lastSlot < interval / 2 then
+  return admitted
+end
+
+local joined = tonumber(redis.call('GET', KEYS[1]) or '0')
+local nextAdmitted = math.min(joined, admitted + tonumber(ARGV[1]))
+redis.call('SET', KEYS[2], nextAdmitted)
+redis.call('SET', KEYS[3], math.max(lastSlot + interval, now))
+
+local ttl = tonumber(redis.call('PTTL', KEYS[1]))
+if ttl > 0 then
+  redis.call('PEXPIRE', KEYS[2], ttl)
+  redis.call('PEXPIRE', KEYS[3], ttl)
+end
+
+return nextAdmitted
+`;
+
+/**
+ * Check a waiting room ticket, issuing its admission token the first time it is admitted
+ * KEYS: queue_ticket:{ticket}, queue_admitted:{saleId}, queue_user:{saleId}:{userId},
+ *       queue_admission:{saleId}:{userId}
+ * ARGV: token (used only on first admission), admissionTtlSeconds
+ * Returns {'missing'}, {'waiting', position}, {'admitted', token, ttlMs} or {'expired'}
+ */
+const CHECK_QUEUE_TICKET = `
+local number = tonumber(redis.call('HGET', KEYS[1], 'number'))
+if not number then
+  return {'missing'}
+end
+
+local admitted = tonumber(redis.call('GET', KEYS[2]) or '0')
+if number > admitted then
+  return {'waiting', number - admitted}
+end
+
+local token = redis.call('HGET', KEYS[1], 'token')
+if not token then
+  local ttl = tonumber(ARGV[2])
+  redis.call('HSET', KEYS[1], 'token', ARGV[1])
+  redis.call('SET', KEYS[4], ARGV[1], 'EX', ttl)
+  redis.call('HSET', KEYS[3], 'admitted', 1)
+  return {'admitted', ARGV[1], ttl * 1000}
+end
+
+local ttl = tonumber(redis.call('PTTL', KEYS[4]))
+if ttl > 0 and redis.call('GET', KEYS[4]) == token then
+  return {'admitted', token, ttl}
+end
+return {'expired'}
+`;
+
+/**
+ * Add a user to a SKU's waitlist, or update the quantity they want while keeping their place
+ * KEYS: waitlist:{sku}, waitlist_quantity:{sku}, waitlist_seq:{sku}
+ * ARGV: userId, quantity, ttlSeconds (how long the waitlist is kept after the last join)
+ * Returns the user's 1-based position
+ */
+const JOIN_WAITLIST = `
+if not redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+  redis.call('ZADD', KEYS[1], redis.call('INCR', KEYS[3]), ARGV[1])
+end
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[2])
+
+for i = 1, 3 do
+  redis.call('EXPIRE', KEYS[i], ARGV[3])
+end
+
+return redis.call('ZRANK', KEYS[1], ARGV[1]) + 1
+`;
+
+/**
+ * Take the first user off a SKU's waitlist
+ * KEYS: waitlist:{sku}, waitlist_quantity:{sku}
+ * Returns {userId, sequence, quantity}, or an empty array if the waitlist is empty
+ */
+const POP_WAITLIST = `
+local head = redis.call('ZPOPMIN', KEYS[1])
+if #head == 0 then
+  return {}
+end
+
+local quantity = redis.call('HGET', KEYS[2], head[1])
+redis.call('HDEL', KEYS[2], head[1])
+return {head[1], head[2], quantity}
+`;
+
+/**
+ * Move expired holds queued by sweeps into the processing set, oldest first
+ * Each entry is scored with the time it was claimed, so claims a reaper never finished can be told apart
+ * from ones still being recorded.
+ * KEYS: reservation_expired_events, reservation_expired_processing
+ * ARGV: count
+ * Returns the moved entries
+ */
+const CLAIM_EXPIRED_EVENTS = HELPERS + `
+local now = nowMs()
+local claimed = {}
+for i = 1, tonumber(ARGV[1]) do
+  local entry = redis.call('LPOP', KEYS[1])
+  if not entry then
+    break
+  end
+  redis.call('ZADD', KEYS[2], now, entry)
+  claimed[#claimed + 1] = entry
+end
+return claimed
+`;
+
+/**
+ * Put entries from the processing set back at the front of the expired holds queue, in their original order
+ * Entries no longer in the processing set (already recorded or requeued) are skipped.
+ * KEYS: reservation_expired_events, reservation_expired_processing
+ * ARGV: entries to put back
+ * Returns the number of entries put back
+ */
+const REQUEUE_EXPIRED_EVENTS = `
+local requeued = 0
+for i = #ARGV, 1, -1 do
+  if redis.call('ZREM', KEYS[2], ARGV[i]) > 0 then
+    redis.call('LPUSH', KEYS[1], ARGV[i])
+    requeued = requeued + 1
+  end
+end
+return requeued
+`;
+
+/**
+ * Put entries claimed longer ago than the lease back at the front of the expired holds queue
+ * KEYS: reservation_expired_events, reservation_expired_processing
+ * ARGV: leaseMs
+ * Returns the number of entries put back
+ */
+const REQUEUE_STALE_EXPIRED_EVENTS = HELPERS + `
+local stale = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', nowMs() - tonumber(ARGV[1]))
+for i = #stale, 1, -1 do
+  redis.call('ZREM', KEYS[2], stale[i])
+  redis.call('LPUSH', KEYS[1], stale[i])
+end
+return #stale
+`;
+
+module.exports = {
+  RESERVE_STOCK,
+  RELEASE_RESERVATION,
+  ADJUST_STOCK,
+  REDUCE_STOCK_ABOVE_RESERVED,
+  EXTEND_RESERVATION,
+  SWEEP_EXPIRED,
+  READ_USER_RESERVATIONS,
+  JOIN_QUEUE,
+  ADMIT_QUEUE,
+  CHECK_QUEUE_TICKET,
+  JOIN_WAITLIST,
+  POP_WAITLIST,
+  CLAIM_EXPIRED_EVENTS,
+  REQUEUE_EXPIRED_EVENTS,
+  REQUEUE_STALE_EXPIRED_EVENTS,
+};
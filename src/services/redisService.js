@@ -1,38 +1,97 @@
 const { getRedisClient } = require('../config/redis');
+const scripts = require('./redisScripts');
 
 class RedisService {
+  constructor() {
+    this.scriptShas = new Map();
+    this.subscriber = null;
+  }
+
   /**
-   * Reserve stock for a user
+   * Atomically reserve stock for one or more SKUs
+   * Runs the availability check, counter increments and expiry tracking in a single
+   * Lua script, so either every item is reserved or none are
    * @param {string} userId - User ID
-   * @param {string} sku - Product SKU
-   * @param {number} quantity - Quantity to reserve
-   * @param {number} ttlSeconds - Time to live in seconds
-   * @returns {Promise<boolean>} - Returns true if reservation successful
+   * @param {object[]} items - Array of {sku, quantity, totalStock, maxHoldSeconds, limit, details, userAllowance, saleAllowance} objects.
+   * totalStock seeds the stock cache if missing. limit (optional) caps the SKU's reserved stock below totalStock.
+   * details (optional) is an object stored with the hold and returned by getUserReservations.
+   * userAllowance (optional) caps the user's hold on the SKU; saleAllowance (optional) caps the user's holds
+   * across every SKU in the sale given by details.saleId.
+   * @param {number} ttlSeconds - Time to live in seconds. A hold the user already has keeps its expiry.
+   * @param {object} [options] - {renew}: push holds the user already has to at least ttlSeconds from now
+   * @returns {Promise<object>} - {success: true}, or for the first SKU that fails either
+   * {success: false, reason: 'stock', sku, availableStock} or {success: false, reason: 'user'|'sale', sku, remainingAllowance}
    */
-  async reserveStock(userId, sku, quantity, ttlSeconds) {
-    const client = getRedisClient();
-    const reservationKey = this.getReservationKey(userId, sku);
-    const reservedStockKey = this.getReservedStockKey(sku);
-    
+  async reserveItems(userId, items, ttlSeconds, { renew = false } = {}) {
+    const keys = [
+      this.getReservedSkusKey(),
+      this.getExpiredEventsKey(),
+      this.getUserReservationsKey(userId),
+    ];
+    const args = [userId.toString(), ttlSeconds.toString(), renew ? '1' : '0'];
+
+    for (const item of items) {
+      keys.push(
+        this.getReservationKey(userId, item.sku),
+        this.getReservedStockKey(item.sku),
+        this.getStockKey(item.sku),
+        this.getHoldsKey(item.sku),
+        this.getExpiryKey(item.sku),
+        this.getReservationMetaKey(userId, item.sku)
+      );
+      args.push(
+        item.sku,
+        item.quantity.toString(),
+        item.totalStock.toString(),
+        item.maxHoldSeconds.toString(),
+        this.optionalArg(item.limit),
+        JSON.stringify(item.details || {}),
+        this.optionalArg(item.userAllowance),
+        this.optionalArg(item.saleAllowance)
+      );
+    }
+
     try {
-      const existingReservation = await client.get(reservationKey);
-      const existingQty = existingReservation ? parseInt(existingReservation) : 0;
-      const newQty = existingQty + quantity;
+      const [reserved, failedIndex, remaining, reason] = await this.runScript(
+        'RESERVE_STOCK',
+        keys,
+        args
+      );
 
-      const multi = client.multi();
-      multi.setEx(reservationKey, ttlSeconds, newQty.toString());
-      
-      multi.incrBy(reservedStockKey, quantity);
-      multi.expire(reservedStockKey, ttlSeconds);
-      
-      const results = await multi.exec();
-      return true;
+      if (reserved === 1) {
+        return { success: true };
+      }
+      if (reason === 'stock') {
+        return {
+          success: false,
+          reason,
+          sku: items[failedIndex].sku,
+          availableStock: remaining,
+        };
+      }
+      return {
+        success: false,
+        reason,
+        sku: items[failedIndex].sku,
+        remainingAllowance: remaining,
+      };
     } catch (error) {
       console.error('Error reserving stock in Redis:', error);
       throw error;
     }
   }
 
+  /**
+   * Cache a product's total stock for use by the reservation script
+   * @param {string} sku - Product SKU
+   * @param {number} totalStock - Total stock as stored in MongoDB
+   * @returns {Promise<void>}
+   */
+  async setCachedStock(sku, totalStock) {
+    const client = getRedisClient();
+    await client.set(this.getStockKey(sku), totalStock.toString());
+  }
+
   /**
    * Get user's reserved quantity for a SKU
    * @param {string} userId - User ID
@@ -54,22 +113,106 @@ class RedisService {
 
   /**
    * Get total reserved stock for a SKU (across all users)
+   * Expired holds are swept out of the counter first, so only live reservations are counted
    * @param {string} sku - Product SKU
    * @returns {Promise<number>} - Total reserved quantity
    */
   async getTotalReservedStock(sku) {
-    const client = getRedisClient();
-    const reservedStockKey = this.getReservedStockKey(sku);
-    
     try {
-      const reserved = await client.get(reservedStockKey);
-      return reserved ? parseInt(reserved) : 0;
+      return await this.sweepExpiredReservations(sku);
     } catch (error) {
       console.error('Error getting total reserved stock:', error);
       return 0;
     }
   }
 
+  /**
+   * Subtract expired holds for a SKU from its reserved stock counter
+   * Swept holds are queued for the reservation reaper
+   * @param {string} sku - Product SKU
+   * @returns {Promise<number>} - Live reserved quantity after the sweep
+   */
+  async sweepExpiredReservations(sku) {
+    const reserved = await this.runScript(
+      'SWEEP_EXPIRED',
+      [
+        this.getReservedStockKey(sku),
+        this.getHoldsKey(sku),
+        this.getExpiryKey(sku),
+        this.getReservedSkusKey(),
+        this.getExpiredEventsKey(),
+      ],
+      [sku]
+    );
+    return Math.max(0, reserved);
+  }
+
+  /**
+   * Get all SKUs that currently have holds
+   * @returns {Promise<string[]>} - Array of SKUs
+   */
+  async getReservedSkus() {
+    const client = getRedisClient();
+    return client.sMembers(this.getReservedSkusKey());
+  }
+
+  /**
+   * Take up to `count` expired holds queued by sweeps
+   * The entries move to a processing set, stamped with the time they were claimed, until they are
+   * acknowledged or requeued, so a batch that fails to be recorded is not lost.
+   * @param {number} count - Maximum number of entries to take
+   * @returns {Promise<object[]>} - Array of {sku, userId, quantity, expiredAt, entry} objects; entry is the raw
+   * queue entry, used to acknowledge or requeue the hold
+   */
+  async claimExpiredReservations(count) {
+    const entries = await this.runScript(
+      'CLAIM_EXPIRED_EVENTS',
+      [this.getExpiredEventsKey(), this.getExpiredProcessingKey()],
+      [count.toString()]
+    );
+    return entries.map((entry) => ({ ...JSON.parse(entry), entry }));
+  }
+
+  /**
+   * Remove recorded expired holds from the processing set
+   * @param {object[]} holds - Holds as returned by claimExpiredReservations
+   * @returns {Promise<void>}
+   */
+  async ackExpiredReservations(holds) {
+    if (holds.length === 0) {
+      return;
+    }
+    const client = getRedisClient();
+    await client.zRem(this.getExpiredProcessingKey(), holds.map(({ entry }) => entry));
+  }
+
+  /**
+   * Put expired holds from the processing set back on the queue, to be taken again by the next sweep
+   * @param {object[]} holds - Holds as returned by claimExpiredReservations
+   * @returns {Promise<number>} - Number of holds put back
+   */
+  async requeueExpiredReservations(holds) {
+    return this.runScript(
+      'REQUEUE_EXPIRED_EVENTS',
+      [this.getExpiredEventsKey(), this.getExpiredProcessingKey()],
+      holds.map(({ entry }) => entry)
+    );
+  }
+
+  /**
+   * Put back on the queue expired holds that were claimed more than leaseMs ago and never acknowledged,
+   * e.g. because the reaper that claimed them stopped mid-batch
+   * @param {number} leaseMs - How long a reaper may take to record the holds it claimed
+   * @returns {Promise<number>} - Number of holds put back
+   */
+  async requeueStaleExpiredReservations(leaseMs) {
+    return this.runScript(
+      'REQUEUE_STALE_EXPIRED_EVENTS',
+      [this.getExpiredEventsKey(), this.getExpiredProcessingKey()],
+      [leaseMs.toString()]
+    );
+  }
+
   /**
    * Cancel reservation for a user and SKU
    * @param {string} userId - User ID
@@ -78,39 +221,9 @@ class RedisService {
    * @returns {Promise<number>} - Cancelled quantity
    */
   async cancelReservation(userId, sku, quantity = null) {
-    const client = getRedisClient();
-    const reservationKey = this.getReservationKey(userId, sku);
-    const reservedStockKey = this.getReservedStockKey(sku);
-    
     try {
-      const existingReservation = await client.get(reservationKey);
-      if (!existingReservation) {
-        return 0;
-      }
-
-      const existingQty = parseInt(existingReservation);
-      const cancelQty = quantity !== null ? Math.min(quantity, existingQty) : existingQty;
-      const remainingQty = existingQty - cancelQty;
-
-      const multi = client.multi();
-      
-      if (remainingQty > 0) {
-       
-        const ttl = await client.ttl(reservationKey);
-        if (ttl > 0) {
-          multi.setEx(reservationKey, ttl, remainingQty.toString());
-        } else {
-          multi.setEx(reservationKey, 600, remainingQty.toString()); 
-        }
-      } else {
-        multi.del(reservationKey);
-      }
-      
-      // Decrease reserved stock count
-      multi.decrBy(reservedStockKey, cancelQty);
-      
-      await multi.exec();
-      return cancelQty;
+      const [, cancelledQty] = await this.runRelease(userId, [{ sku, quantity }], 'cancel');
+      return cancelledQty;
     } catch (error) {
       console.error('Error cancelling reservation:', error);
       throw error;
@@ -118,72 +231,149 @@ class RedisService {
   }
 
   /**
-   * Release reserved stock (used during checkout)
+   * Release reserved stock for purchased items (used during checkout)
+   * All-or-nothing: fails without releasing anything if any hold is smaller than requested.
+   * The released units are also taken off the cached total stock, since they have been sold.
    * @param {string} userId - User ID
-   * @param {string} sku - Product SKU
-   * @param {number} quantity - Quantity to release
+   * @param {object[]} items - Array of {sku, quantity} objects
    * @returns {Promise<boolean>}
+   * @throws {Error} - Error if a hold is smaller than the quantity to release
    */
-  async releaseReservation(userId, sku, quantity) {
-    const client = getRedisClient();
-    const reservationKey = this.getReservationKey(userId, sku);
-    const reservedStockKey = this.getReservedStockKey(sku);
-    
+  async releaseReservations(userId, items) {
     try {
-      const existingReservation = await client.get(reservationKey);
-      if (!existingReservation) {
-        return false;
+      const [released, failedIndex, heldQty] = await this.runRelease(userId, items, 'consume');
+      if (released === 0) {
+        throw new Error(
+          `Cannot release more than reserved for ${items[failedIndex].sku}. Reserved: ${heldQty}`
+        );
       }
+      return true;
+    } catch (error) {
+      console.error('Error releasing reservation:', error);
+      throw error;
+    }
+  }
 
-      const existingQty = parseInt(existingReservation);
-      if (existingQty < quantity) {
-        throw new Error('Cannot release more than reserved');
-      }
+  /**
+   * Release the holds for items whose purchase was confirmed later (e.g. by a payment webhook)
+   * Like releaseReservations, but holds that expired while the payment was processing are tolerated:
+   * whatever is still held is released, and the cached stock is reduced by the full quantity sold.
+   * @param {string} userId - User ID
+   * @param {object[]} items - Array of {sku, quantity} objects
+   * @returns {Promise<void>}
+   */
+  async convertReservations(userId, items) {
+    const [released] = await this.runRelease(userId, items, 'consume');
+    if (released === 1) {
+      return;
+    }
 
-      const remainingQty = existingQty - quantity;
-      const multi = client.multi();
-      
-      if (remainingQty > 0) {
-        const ttl = await client.ttl(reservationKey);
-        if (ttl > 0) {
-          multi.setEx(reservationKey, ttl, remainingQty.toString());
-        } else {
-          multi.setEx(reservationKey, 600, remainingQty.toString()); // Default TTL if expired
-        }
-      } else {
-        multi.del(reservationKey);
+    await this.runRelease(userId, items, 'cancel');
+    for (const item of items) {
+      await this.adjustCachedStock(item.sku, -item.quantity);
+    }
+  }
+
+  /**
+   * Add a delta to a SKU's cached total stock, if it is cached
+   * @param {string} sku - Product SKU
+   * @param {number} delta - Amount to add (negative to subtract)
+   * @returns {Promise<void>}
+   */
+  async adjustCachedStock(sku, delta) {
+    await this.runScript('ADJUST_STOCK', [this.getStockKey(sku)], [delta.toString()]);
+  }
+
+  /**
+   * Take units off a SKU's cached stock, refusing if fewer units would remain than are reserved
+   * @param {string} sku - Product SKU
+   * @param {number} quantity - Units to remove
+   * @param {number} totalStock - Current total stock in MongoDB, seeds the cache if missing
+   * @returns {Promise<object>} - {success: true, totalStock} or {success: false, reservedStock}
+   */
+  async reduceCachedStock(sku, quantity, totalStock) {
+    try {
+      const [reduced, value] = await this.runScript(
+        'REDUCE_STOCK_ABOVE_RESERVED',
+        [
+          this.getStockKey(sku),
+          this.getReservedStockKey(sku),
+          this.getHoldsKey(sku),
+          this.getExpiryKey(sku),
+          this.getExpiredEventsKey(),
+        ],
+        [sku, (-quantity).toString(), totalStock.toString()]
+      );
+
+      if (reduced === 1) {
+        return { success: true, totalStock: value };
       }
-      
-      multi.decrBy(reservedStockKey, quantity);
-      await multi.exec();
-      return true;
+      return { success: false, reservedStock: value };
     } catch (error) {
-      console.error('Error releasing reservation:', error);
+      console.error('Error reducing cached stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extend the expiry of a user's holds
+   * Each hold is pushed to now + ttlSeconds, bounded by its product's maxExtensions and maxHoldSeconds
+   * @param {string} userId - User ID
+   * @param {object[]} items - Array of {sku, maxExtensions, maxHoldSeconds} objects
+   * @param {number} ttlSeconds - Time to live in seconds from now
+   * @returns {Promise<object[]>} - Array of {sku, status, expiresAt, extensions} objects.
+   * status is 'extended', 'not_found', 'max_extensions' or 'max_hold'; expiresAt is null for 'not_found'.
+   */
+  async extendReservations(userId, items, ttlSeconds) {
+    const keys = [this.getExpiredEventsKey(), this.getUserReservationsKey(userId)];
+    const args = [userId.toString(), ttlSeconds.toString()];
+
+    for (const item of items) {
+      keys.push(
+        this.getReservationKey(userId, item.sku),
+        this.getReservedStockKey(item.sku),
+        this.getHoldsKey(item.sku),
+        this.getExpiryKey(item.sku),
+        this.getReservationMetaKey(userId, item.sku)
+      );
+      args.push(item.sku, item.maxExtensions.toString(), item.maxHoldSeconds.toString());
+    }
+
+    try {
+      const results = await this.runScript('EXTEND_RESERVATION', keys, args);
+      const statuses = { 1: 'extended', 0: 'not_found', '-1': 'max_extensions', '-2': 'max_hold' };
+
+      return items.map((item, index) => {
+        const [status, expiresAt, extensions] = results.slice(index * 3, index * 3 + 3);
+        return {
+          sku: item.sku,
+          status: statuses[status],
+          expiresAt: expiresAt > 0 ? new Date(expiresAt) : null,
+          extensions,
+        };
+      });
+    } catch (error) {
+      console.error('Error extending reservations:', error);
       throw error;
     }
   }
 
   /**
    * Get all reservations for a user
+   * Reads the user's reservation index in a single script, which also drops entries whose hold has lapsed
    * @param {string} userId - User ID
-   * @returns {Promise<Array>} - Array of {sku, quantity} objects
+   * @returns {Promise<Array>} - Array of {sku, quantity, expiresAt, ...details} objects
    */
   async getUserReservations(userId) {
-    const client = getRedisClient();
-    const pattern = this.getReservationKey(userId, '*');
-    
     try {
-      const keys = await client.keys(pattern);
+      const index = await this.runScript('READ_USER_RESERVATIONS', [this.getUserReservationsKey(userId)], []);
       const reservations = [];
-      
-      for (const key of keys) {
-        const quantity = await client.get(key);
-        const sku = key.split(':')[2]; 
-        if (quantity) {
-          reservations.push({ sku, quantity: parseInt(quantity) });
-        }
+
+      for (let i = 0; i < index.length; i += 2) {
+        const { quantity, expiresAt, ...details } = JSON.parse(index[i + 1]);
+        reservations.push({ sku: index[i], quantity, expiresAt: new Date(expiresAt), ...details });
       }
-      
+
       return reservations;
     } catch (error) {
       console.error('Error getting user reservations:', error);
@@ -191,6 +381,396 @@ class RedisService {
     }
   }
 
+  /**
+   * Rebuild every user's reservation index from the reservation:{userId}:{sku} keys
+   * Migration for holds created before the index existed. Uses SCAN, so Redis is never blocked.
+   * @returns {Promise<number>} - Number of holds indexed
+   */
+  async rebuildUserReservationIndex() {
+    const client = getRedisClient();
+    const prefix = 'reservation:';
+    let indexed = 0;
+
+    for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 1000 })) {
+      // userId is an ObjectId, so everything after the next ':' is the SKU (which may contain ':')
+      const rest = key.slice(prefix.length);
+      const separator = rest.indexOf(':');
+      const userId = rest.slice(0, separator);
+      const sku = rest.slice(separator + 1);
+
+      const [quantity, ttlMs] = await client.multi().get(key).pTTL(key).execAsPipeline();
+      if (!quantity || ttlMs <= 0) {
+        continue;
+      }
+
+      const indexKey = this.getUserReservationsKey(userId);
+      const expiresAt = Date.now() + ttlMs;
+      const indexTtlMs = await client.pTTL(indexKey);
+
+      const multi = client.multi();
+      multi.hSet(indexKey, sku, JSON.stringify({ quantity: parseInt(quantity), expiresAt }));
+      if (indexTtlMs < ttlMs) {
+        multi.pExpireAt(indexKey, expiresAt);
+      }
+      await multi.exec();
+      indexed++;
+    }
+
+    return indexed;
+  }
+
+  /**
+   * Add a user to a flash sale's waiting room
+   * Returns the user's current ticket if they already hold one that has not lapsed
+   * @param {string} saleId - Flash sale ID
+   * @param {string} userId - User ID
+   * @param {string} ticket - Ticket ID to issue if the user needs a new one
+   * @param {Date} expiresAt - When the queue data for this sale can be discarded
+   * @returns {Promise<object>} - {ticket, number}
+   */
+  async joinQueue(saleId, userId, ticket, expiresAt) {
+    try {
+      const [issued, number] = await this.runScript(
+        'JOIN_QUEUE',
+        [
+          this.getQueueUserKey(saleId, userId),
+          this.getQueueSeqKey(saleId),
+          this.getQueuedSalesKey(),
+          this.getQueueTicketKey(ticket),
+          this.getAdmissionKey(saleId, userId),
+        ],
+        [saleId.toString(), userId.toString(), ticket, expiresAt.getTime().toString()]
+      );
+      return { ticket: issued, number };
+    } catch (error) {
+      console.error('Error joining queue in Redis:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Admit the next batch of a waiting room, at most once per interval across all admitters
+   * @param {string} saleId - Flash sale ID
+   * @param {number} batchSize - Maximum tickets to admit
+   * @param {number} intervalMs - Milliseconds between batches
+   * @returns {Promise<number>} - Highest admitted ticket number
+   */
+  async admitQueueBatch(saleId, batchSize, intervalMs) {
+    try {
+      return await this.runScript(
+        'ADMIT_QUEUE',
+        [this.getQueueSeqKey(saleId), this.getQueueAdmittedKey(saleId), this.getQueueLastAdmitKey(saleId)],
+        [batchSize.toString(), intervalMs.toString()]
+      );
+    } catch (error) {
+      console.error('Error admitting queue batch in Redis:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a waiting room ticket's state, issuing its admission token the first time it is admitted
+   * @param {string} ticket - Ticket ID
+   * @param {string} userId - User the ticket must belong to
+   * @param {string} token - Admission token to issue if the ticket has just been admitted
+   * @param {number} admissionTtlSeconds - How long a new admission token stays valid
+   * @returns {Promise<object|null>} - null if the ticket is unknown or belongs to another user, otherwise {saleId, userId, status} plus
+   * position when status is 'waiting', or admissionToken and expiresAt when status is 'admitted'
+   */
+  async checkQueueTicket(ticket, userId, token, admissionTtlSeconds) {
+    const client = getRedisClient();
+
+    try {
+      const { saleId, userId: owner } = await client.hGetAll(this.getQueueTicketKey(ticket));
+      if (!saleId || owner !== userId.toString()) {
+        return null;
+      }
+
+      const [status, value, ttlMs] = await this.runScript(
+        'CHECK_QUEUE_TICKET',
+        [
+          this.getQueueTicketKey(ticket),
+          this.getQueueAdmittedKey(saleId),
+          this.getQueueUserKey(saleId, userId),
+          this.getAdmissionKey(saleId, userId),
+        ],
+        [token, admissionTtlSeconds.toString()]
+      );
+
+      if (status === 'missing') {
+        return null;
+      }
+      if (status === 'waiting') {
+        return { saleId, userId, status, position: value };
+      }
+      if (status === 'admitted') {
+        return { saleId, userId, status, admissionToken: value, expiresAt: new Date(Date.now() + ttlMs) };
+      }
+      return { saleId, userId, status };
+    } catch (error) {
+      console.error('Error checking queue ticket in Redis:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a user's admission token for a flash sale
+   * @param {string} saleId - Flash sale ID
+   * @param {string} userId - User ID
+   * @param {string} token - Admission token presented by the client
+   * @returns {Promise<boolean>} - Whether the token is current
+   */
+  async hasAdmission(saleId, userId, token) {
+    const client = getRedisClient();
+
+    try {
+      const current = await client.get(this.getAdmissionKey(saleId, userId));
+      return current !== null && current === token;
+    } catch (error) {
+      console.error('Error checking admission token in Redis:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the IDs of flash sales with a waiting room
+   * @returns {Promise<string[]>} - Array of sale IDs
+   */
+  async getQueuedSales() {
+    const client = getRedisClient();
+    return client.sMembers(this.getQueuedSalesKey());
+  }
+
+  /**
+   * Stop admitting a flash sale's waiting room
+   * @param {string} saleId - Flash sale ID
+   * @returns {Promise<void>}
+   */
+  async removeQueuedSale(saleId) {
+    const client = getRedisClient();
+    await client.sRem(this.getQueuedSalesKey(), saleId.toString());
+  }
+
+  /**
+   * Remember the coupon code a user applied to their cart
+   * @param {string} userId - User ID
+   * @param {string} code - Coupon code
+   * @param {number} ttlSeconds - How long the code stays applied
+   * @returns {Promise<void>}
+   */
+  async setCartCoupon(userId, code, ttlSeconds) {
+    const client = getRedisClient();
+    await client.set(this.getCartCouponKey(userId), code, { EX: ttlSeconds });
+  }
+
+  /**
+   * Get the coupon code applied to a user's cart
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} - Coupon code, or null if none is applied
+   */
+  async getCartCoupon(userId) {
+    const client = getRedisClient();
+    return client.get(this.getCartCouponKey(userId));
+  }
+
+  /**
+   * Remove the coupon applied to a user's cart
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - Whether a coupon was applied
+   */
+  async clearCartCoupon(userId) {
+    const client = getRedisClient();
+    return (await client.del(this.getCartCouponKey(userId))) > 0;
+  }
+
+  /**
+   * Add a user to a SKU's waitlist, keeping their place if they are already on it
+   * @param {string} sku - Product SKU
+   * @param {string} userId - User ID
+   * @param {number} quantity - Units the user wants
+   * @param {number} ttlSeconds - How long the waitlist is kept after the last join
+   * @returns {Promise<number>} - The user's 1-based position
+   */
+  async joinWaitlist(sku, userId, quantity, ttlSeconds) {
+    try {
+      return await this.runScript(
+        'JOIN_WAITLIST',
+        [this.getWaitlistKey(sku), this.getWaitlistQuantityKey(sku), this.getWaitlistSeqKey(sku)],
+        [userId.toString(), quantity.toString(), ttlSeconds.toString()]
+      );
+    } catch (error) {
+      console.error('Error joining waitlist in Redis:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take the first user off a SKU's waitlist
+   * @param {string} sku - Product SKU
+   * @returns {Promise<object|null>} - {userId, sequence, quantity}, or null if the waitlist is empty
+   */
+  async popWaitlist(sku) {
+    const entry = await this.runScript(
+      'POP_WAITLIST',
+      [this.getWaitlistKey(sku), this.getWaitlistQuantityKey(sku)],
+      []
+    );
+    if (entry.length === 0) {
+      return null;
+    }
+
+    const [userId, sequence, quantity] = entry;
+    return { userId, sequence: parseInt(sequence), quantity: parseInt(quantity) || 1 };
+  }
+
+  /**
+   * Put a user taken off a SKU's waitlist back in their original place
+   * Does nothing if the user has rejoined in the meantime.
+   * @param {string} sku - Product SKU
+   * @param {object} entry - {userId, sequence, quantity} as returned by popWaitlist
+   * @returns {Promise<void>}
+   */
+  async requeueWaitlist(sku, { userId, sequence, quantity }) {
+    const client = getRedisClient();
+    const added = await client.zAdd(this.getWaitlistKey(sku), { score: sequence, value: userId }, { NX: true });
+    if (added) {
+      await client.hSet(this.getWaitlistQuantityKey(sku), userId, quantity.toString());
+    }
+  }
+
+  /**
+   * Remove a user from a SKU's waitlist
+   * @param {string} sku - Product SKU
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - Whether the user was on the waitlist
+   */
+  async leaveWaitlist(sku, userId) {
+    const client = getRedisClient();
+    const [removed] = await client
+      .multi()
+      .zRem(this.getWaitlistKey(sku), userId.toString())
+      .hDel(this.getWaitlistQuantityKey(sku), userId.toString())
+      .exec();
+    return removed > 0;
+  }
+
+  /**
+   * Publish a SKU's stock snapshot to every instance streaming it
+   * @param {string} sku - Product SKU
+   * @param {object} snapshot - Stock snapshot to send
+   * @returns {Promise<void>}
+   */
+  async publishStockUpdate(sku, snapshot) {
+    const client = getRedisClient();
+    await client.publish(this.getStockChannel(sku), JSON.stringify(snapshot));
+  }
+
+  /**
+   * Count the connections subscribed to a SKU's stock updates across all instances
+   * @param {string} sku - Product SKU
+   * @returns {Promise<number>} - Number of subscribed connections
+   */
+  async countStockSubscribers(sku) {
+    const client = getRedisClient();
+    const channel = this.getStockChannel(sku);
+    const counts = await client.pubSubNumSub(channel);
+    return counts[channel] || 0;
+  }
+
+  /**
+   * Receive a SKU's stock snapshots as they are published
+   * Subscriptions share one dedicated connection, opened on first use.
+   * @param {string} sku - Product SKU
+   * @param {function} onUpdate - Called with each published snapshot
+   * @returns {Promise<void>}
+   */
+  async subscribeStockUpdates(sku, onUpdate) {
+    const subscriber = await this.getSubscriber();
+    await subscriber.subscribe(this.getStockChannel(sku), (message) => onUpdate(JSON.parse(message)));
+  }
+
+  /**
+   * Stop receiving a SKU's stock snapshots
+   * @param {string} sku - Product SKU
+   * @returns {Promise<void>}
+   */
+  async unsubscribeStockUpdates(sku) {
+    const subscriber = await this.getSubscriber();
+    await subscriber.unsubscribe(this.getStockChannel(sku));
+  }
+
+  /**
+   * Open the connection used for pub/sub subscriptions, which cannot share the command connection
+   * @private
+   */
+  getSubscriber() {
+    if (!this.subscriber) {
+      const subscriber = getRedisClient().duplicate();
+      subscriber.on('error', (err) => {
+        console.error('Redis Subscriber Error:', err);
+      });
+      this.subscriber = subscriber.connect().then(() => subscriber);
+      this.subscriber.catch(() => {
+        this.subscriber = null;
+      });
+    }
+    return this.subscriber;
+  }
+
+  /**
+   * Run a Lua script by SHA, loading it into Redis on first use or after a SCRIPT FLUSH
+   * @private
+   */
+  async runScript(name, keys, args) {
+    const client = getRedisClient();
+    let sha = this.scriptShas.get(name);
+
+    if (sha) {
+      try {
+        return await client.evalSha(sha, { keys, arguments: args });
+      } catch (error) {
+        if (!error.message || !error.message.startsWith('NOSCRIPT')) {
+          throw error;
+        }
+      }
+    }
+
+    sha = await client.scriptLoad(scripts[name]);
+    this.scriptShas.set(name, sha);
+    return client.evalSha(sha, { keys, arguments: args });
+  }
+
+  /**
+   * Run the release script for a user's holds
+   * @private
+   */
+  async runRelease(userId, items, mode) {
+    const keys = [this.getExpiredEventsKey(), this.getUserReservationsKey(userId)];
+    const args = [userId.toString(), mode];
+
+    for (const item of items) {
+      keys.push(
+        this.getReservationKey(userId, item.sku),
+        this.getReservedStockKey(item.sku),
+        this.getHoldsKey(item.sku),
+        this.getExpiryKey(item.sku),
+        this.getReservationMetaKey(userId, item.sku),
+        this.getStockKey(item.sku)
+      );
+      args.push(item.sku, item.quantity ? item.quantity.toString() : '');
+    }
+
+    return this.runScript('RELEASE_RESERVATION', keys, args);
+  }
+
+  /**
+   * Format an optional numeric script argument (empty string for none)
+   * @private
+   */
+  optionalArg(value) {
+    return value !== undefined && value !== null ? value.toString() : '';
+  }
+
   /**
    * Generate reservation key for Redis
    * @private
@@ -199,6 +779,22 @@ class RedisService {
     return `reservation:${userId}:${sku}`;
   }
 
+  /**
+   * Generate per-user reservation index key for Redis
+   * @private
+   */
+  getUserReservationsKey(userId) {
+    return `user_reservations:${userId}`;
+  }
+
+  /**
+   * Generate hold metadata key (start time and extension count) for Redis
+   * @private
+   */
+  getReservationMetaKey(userId, sku) {
+    return `reservation_meta:${userId}:${sku}`;
+  }
+
   /**
    * Generate reserved stock key for Redis
    * @private
@@ -206,6 +802,150 @@ class RedisService {
   getReservedStockKey(sku) {
     return `reserved_stock:${sku}`;
   }
+
+  /**
+   * Generate cached total stock key for Redis
+   * @private
+   */
+  getStockKey(sku) {
+    return `stock:${sku}`;
+  }
+
+  /**
+   * Generate per-SKU hold quantities key for Redis
+   * @private
+   */
+  getHoldsKey(sku) {
+    return `reservation_holds:${sku}`;
+  }
+
+  /**
+   * Generate per-SKU hold expiry index key for Redis
+   * @private
+   */
+  getExpiryKey(sku) {
+    return `reservation_expiry:${sku}`;
+  }
+
+  /**
+   * Generate key of the set of SKUs with holds
+   * @private
+   */
+  getReservedSkusKey() {
+    return 'reservation_skus';
+  }
+
+  /**
+   * Generate key of the queue of swept expired holds
+   * @private
+   */
+  getExpiredEventsKey() {
+    return 'reservation_expired_events';
+  }
+
+  /**
+   * Generate key of the sorted set of expired holds being recorded by reapers, scored by claim time
+   * @private
+   */
+  getExpiredProcessingKey() {
+    return 'reservation_expired_processing';
+  }
+
+  /**
+   * Generate waiting room ticket counter key for Redis
+   * @private
+   */
+  getQueueSeqKey(saleId) {
+    return `queue_seq:${saleId}`;
+  }
+
+  /**
+   * Generate waiting room admission cursor key for Redis
+   * @private
+   */
+  getQueueAdmittedKey(saleId) {
+    return `queue_admitted:${saleId}`;
+  }
+
+  /**
+   * Generate waiting room last batch time key for Redis
+   * @private
+   */
+  getQueueLastAdmitKey(saleId) {
+    return `queue_last_admit:${saleId}`;
+  }
+
+  /**
+   * Generate waiting room ticket key for Redis
+   * @private
+   */
+  getQueueTicketKey(ticket) {
+    return `queue_ticket:${ticket}`;
+  }
+
+  /**
+   * Generate key for a user's place in a waiting room
+   * @private
+   */
+  getQueueUserKey(saleId, userId) {
+    return `queue_user:${saleId}:${userId}`;
+  }
+
+  /**
+   * Generate admission token key for Redis
+   * @private
+   */
+  getAdmissionKey(saleId, userId) {
+    return `queue_admission:${saleId}:${userId}`;
+  }
+
+  /**
+   * Generate key for the set of sales with a waiting room
+   * @private
+   */
+  getQueuedSalesKey() {
+    return 'queue_sales';
+  }
+
+  /**
+   * Generate cart coupon key for Redis
+   * @private
+   */
+  getCartCouponKey(userId) {
+    return `cart_coupon:${userId}`;
+  }
+
+  /**
+   * Generate waitlist key for Redis
+   * @private
+   */
+  getWaitlistKey(sku) {
+    return `waitlist:${sku}`;
+  }
+
+  /**
+   * Generate waitlist quantity key for Redis
+   * @private
+   */
+  getWaitlistQuantityKey(sku) {
+    return `waitlist_quantity:${sku}`;
+  }
+
+  /**
+   * Generate waitlist sequence key for Redis
+   * @private
+   */
+  getWaitlistSeqKey(sku) {
+    return `waitlist_seq:${sku}`;
+  }
+
+  /**
+   * Generate stock update channel for Redis pub/sub
+   * @private
+   */
+  getStockChannel(sku) {
+    return `stock_updates:${sku}`;
+  }
 }
 
 module.exports = new RedisService();
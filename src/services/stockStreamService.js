@@ -0,0 +1,163 @@
+const redisService = require('./redisService');
+const productService = require('./productService');
+const flashSaleService = require('./flashSaleService');
+const { eventBus, EVENTS } = require('../events/eventBus');
+
+// Events after which a SKU's stock snapshot is republished
+const STOCK_EVENTS = [
+  EVENTS.STOCK_RESERVED,
+  EVENTS.STOCK_RELEASED,
+  EVENTS.STOCK_SOLD,
+  EVENTS.RESERVATION_EXPIRED,
+];
+
+class StockStreamService {
+  constructor() {
+    this.onChange = null;
+    this.timers = new Map();
+    this.listeners = new Map();
+  }
+
+  /**
+   * Get a SKU's current stock and flash sale state
+   * @param {string} sku - Product SKU
+   * @returns {Promise<object>} - {sku, totalStock, reservedStock, availableStock, sale, updatedAt}; sale is
+   * described by flashSaleService.getSaleState and is null when the SKU is not in a sale
+   * @throws {Error} - Error if product not found
+   */
+  async getSnapshot(sku) {
+    const status = await productService.getProductStatus(sku);
+    const sale = await flashSaleService.getSaleState(sku);
+
+    return {
+      sku: status.sku,
+      totalStock: status.totalStock,
+      reservedStock: status.reservedStock,
+      availableStock: status.availableStock,
+      sale,
+      updatedAt: new Date(),
+    };
+  }
+
+  /**
+   * Publish fresh snapshots whenever stock changes in this process
+   * @returns {void}
+   */
+  start() {
+    if (this.onChange) {
+      return;
+    }
+
+    this.onChange = ({ sku }) => {
+      this.schedulePublish(sku);
+    };
+    for (const event of STOCK_EVENTS) {
+      eventBus.on(event, this.onChange);
+    }
+    console.log('Stock stream publisher started');
+  }
+
+  /**
+   * Stop publishing snapshots
+   * @returns {void}
+   */
+  stop() {
+    if (this.onChange) {
+      for (const event of STOCK_EVENTS) {
+        eventBus.off(event, this.onChange);
+      }
+      this.onChange = null;
+    }
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Publish a SKU's snapshot at the end of the throttle window
+   * Changes arriving within the window share one snapshot, so a busy SKU costs one read per window.
+   * @param {string} sku - Product SKU
+   * @returns {void}
+   */
+  schedulePublish(sku) {
+    if (this.timers.has(sku)) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(sku);
+      this.publish(sku).catch((error) => {
+        console.error(`Error publishing stock update for SKU ${sku}:`, error);
+      });
+    }, this.getThrottleMs());
+    this.timers.set(sku, timer);
+  }
+
+  /**
+   * Publish a SKU's snapshot to every instance, if anyone is streaming it
+   * @param {string} sku - Product SKU
+   * @returns {Promise<boolean>} - Whether a snapshot was published
+   */
+  async publish(sku) {
+    if ((await redisService.countStockSubscribers(sku)) === 0) {
+      return false;
+    }
+    await redisService.publishStockUpdate(sku, await this.getSnapshot(sku));
+    return true;
+  }
+
+  /**
+   * Receive a SKU's snapshots as they are published by any instance
+   * The instance subscribes to the SKU's channel for its first listener and unsubscribes after its last.
+   * @param {string} sku - Product SKU
+   * @param {function} listener - Called with each snapshot
+   * @returns {Promise<function>} - Call to stop receiving snapshots
+   */
+  async subscribe(sku, listener) {
+    let listeners = this.listeners.get(sku);
+    if (!listeners) {
+      listeners = new Set();
+      this.listeners.set(sku, listeners);
+      try {
+        await redisService.subscribeStockUpdates(sku, (snapshot) => {
+          for (const current of this.listeners.get(sku) || []) {
+            current(snapshot);
+          }
+        });
+      } catch (error) {
+        this.listeners.delete(sku);
+        throw error;
+      }
+    }
+    listeners.add(listener);
+
+    return () => this.unsubscribe(sku, listener);
+  }
+
+  /**
+   * Remove a listener added with subscribe
+   * @private
+   */
+  unsubscribe(sku, listener) {
+    const listeners = this.listeners.get(sku);
+    if (!listeners || !listeners.delete(listener) || listeners.size > 0) {
+      return;
+    }
+
+    this.listeners.delete(sku);
+    redisService.unsubscribeStockUpdates(sku).catch((error) => {
+      console.error(`Error unsubscribing from stock updates for SKU ${sku}:`, error);
+    });
+  }
+
+  /**
+   * Read the minimum milliseconds between snapshots of a SKU from the environment
+   * @private
+   */
+  getThrottleMs() {
+    return parseInt(process.env.STOCK_STREAM_THROTTLE_MS) || 250;
+  }
+}
+
+module.exports = new StockStreamService();
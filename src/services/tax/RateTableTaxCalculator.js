@@ -0,0 +1,40 @@
+const TaxCalculator = require('./TaxCalculator');
+
+/**
+ * Tax calculator backed by a table of rates by region
+ * Regions are ISO 3166 codes: a country ('GB') or a subdivision ('US-CA'). A subdivision without its own
+ * rate uses its country's, and a region missing from the table is not taxed. Each line's tax is
+ * rounded half up to whole minor units.
+ */
+class RateTableTaxCalculator extends TaxCalculator {
+  /**
+   * @param {object} rates - Map of region code to rate as a fraction, e.g. {"US-CA": 0.0725}
+   */
+  constructor(rates) {
+    super('rate_table');
+    this.rates = rates;
+  }
+
+  async calculate({ region, lines }) {
+    const rate = this.getRate(region);
+    return lines.map((line) => ({ rate, taxAmount: Math.round(line.amount * rate) }));
+  }
+
+  /**
+   * Look up the rate for a region, falling back to its country
+   * @private
+   */
+  getRate(region) {
+    if (!region) {
+      return 0;
+    }
+    const code = region.toUpperCase();
+    if (this.rates[code] !== undefined) {
+      return this.rates[code];
+    }
+    const country = code.split('-')[0];
+    return this.rates[country] !== undefined ? this.rates[country] : 0;
+  }
+}
+
+module.exports = RateTableTaxCalculator;
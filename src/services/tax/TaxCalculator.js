@@ -0,0 +1,26 @@
+/**
+ * Tax calculator interface
+ * The cart and checkout pass the lines being bought, after discounts, and add the tax returned for
+ * each line on top of its price. Adapters extend this class.
+ */
+class TaxCalculator {
+  /**
+   * @param {string} name - Calculator name
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Work out the tax on each line
+   * @param {object} request - {region, currency, lines}; lines is an array of {sku, quantity, amount}, where
+   * amount is the line's price after discounts in integer minor units of currency
+   * @returns {Promise<object[]>} - Array of {rate, taxAmount}, in the same order as lines; taxAmount is in
+   * integer minor units
+   */
+  async calculate(request) {
+    throw new Error(`${this.name} does not implement calculate`);
+  }
+}
+
+module.exports = TaxCalculator;
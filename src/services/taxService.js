@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const RateTableTaxCalculator = require('./tax/RateTableTaxCalculator');
+
+// Calculators selectable with TAX_CALCULATOR; other adapters can be plugged in with setCalculator()
+const CALCULATORS = {
+  rate_table: () => {
+    const file = process.env.TAX_RATES_FILE || path.join(__dirname, '../config/taxRates.json');
+    return new RateTableTaxCalculator(JSON.parse(fs.readFileSync(file, 'utf8')));
+  },
+};
+
+class TaxService {
+  constructor() {
+    this.calculator = null;
+  }
+
+  /**
+   * Get the configured tax calculator, creating it on first use
+   * @returns {TaxCalculator}
+   * @throws {Error} - Error if TAX_CALCULATOR names an unknown calculator or its rate table cannot be read
+   */
+  getCalculator() {
+    if (!this.calculator) {
+      const name = process.env.TAX_CALCULATOR || 'rate_table';
+      if (!CALCULATORS[name]) {
+        throw new Error(`Unknown tax calculator: ${name}`);
+      }
+      this.calculator = CALCULATORS[name]();
+    }
+    return this.calculator;
+  }
+
+  /**
+   * Use a different tax calculator
+   * @param {TaxCalculator} calculator - Adapter implementing the TaxCalculator interface
+   */
+  setCalculator(calculator) {
+    this.calculator = calculator;
+  }
+
+  /**
+   * Get the region taxed when a request does not name one
+   * @returns {string|null} - TAX_DEFAULT_REGION, or null for no tax
+   */
+  getDefaultRegion() {
+    return process.env.TAX_DEFAULT_REGION || null;
+  }
+
+  /**
+   * Work out the tax on each line
+   * @param {object} request - {region, currency, lines}; lines is an array of {sku, quantity, amount}
+   * with amount in integer minor units
+   * @returns {Promise<object[]>} - Array of {rate, taxAmount}, in the same order as lines
+   * @throws {Error} - Error if the calculator fails or returns a non-integer amount
+   */
+  async calculate({ region, currency, lines }) {
+    const taxes = await this.getCalculator().calculate({ region, currency, lines });
+    if (taxes.length !== lines.length || taxes.some((tax) => !Number.isInteger(tax.taxAmount))) {
+      throw new Error(`Tax calculator ${this.getCalculator().name} returned an invalid result`);
+    }
+    return taxes;
+  }
+}
+
+module.exports = new TaxService();
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+class TokenService {
+
+  /**
+   * Issue a signed JWT (HS256) for a user
+   * @param {string} userId - User ID, stored as the token subject
+   * @param {object} [claims] - Extra claims to include in the payload
+   * @returns {object} - {token, expiresAt}
+   * @throws {Error} - Error if JWT_SECRET is not configured
+   */
+  issueToken(userId, claims = {}) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresIn = parseInt(process.env.JWT_EXPIRES_IN_SECONDS) || 3600;
+    const payload = { ...claims, sub: userId.toString(), iat: issuedAt, exp: issuedAt + expiresIn };
+
+    const unsigned = `${this.encode(HEADER)}.${this.encode(payload)}`;
+    return {
+      token: `${unsigned}.${this.sign(unsigned)}`,
+      expiresAt: new Date(payload.exp * 1000),
+    };
+  }
+
+
+  /**
+   * Verify a JWT's signature and expiry
+   * @param {string} token - Token from the Authorization header
+   * @returns {object} - Decoded payload, with the user ID in sub
+   * @throws {Error} - Error if the token is malformed, wrongly signed or expired
+   */
+  verifyToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw new Error('Malformed token');
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(this.sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid token signature');
+    }
+
+    let decodedHeader;
+    let claims;
+    try {
+      decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString());
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (error) {
+      throw new Error('Malformed token');
+    }
+
+    if (decodedHeader.alg !== HEADER.alg) {
+      throw new Error('Unsupported token algorithm');
+    }
+    if (!claims.sub || typeof claims.exp !== 'number') {
+      throw new Error('Malformed token');
+    }
+    if (claims.exp <= Math.floor(Date.now() / 1000)) {
+      throw new Error('Token has expired');
+    }
+
+    return claims;
+  }
+
+
+  /**
+   * Base64url-encode a JSON object
+   * @private
+   */
+  encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+  }
+
+  /**
+   * HMAC-SHA256 signature of the header and payload
+   * @private
+   */
+  sign(unsigned) {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  }
+}
+
+module.exports = new TokenService();
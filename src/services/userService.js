@@ -1,5 +1,10 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const tokenService = require('./tokenService');
+
+const scrypt = promisify(crypto.scrypt);
 
 class UserService {
 
@@ -52,13 +57,18 @@ class UserService {
  
   /**
    * Create a new user
-   * @param {object} userData - User data containing email, name, and password
+   * @param {object} userData - User data containing email, name, and password (hashed before saving).
+   * New users are always customers; use setRole to grant admin access.
    * @returns {Promise<object>} - Created user
    * @throws {Error} - Error if user with same userId already exists or if service throws an error
    */
   async createUser(userData) {
     try {
-      const user = new User(userData);
+      const { role, ...fields } = userData;
+      const user = new User({
+        ...fields,
+        password: fields.password ? await this.hashPassword(fields.password) : undefined,
+      });
       await user.save();
       return user;
     } catch (error) {
@@ -68,6 +78,61 @@ class UserService {
       throw error;
     }
   }
+
+
+  /**
+   * Set a user's role
+   * @param {string} email - Email address of user
+   * @param {string} role - 'customer' or 'admin'
+   * @returns {Promise<object>} - Updated user
+   * @throws {Error} - Error if user not found or the role is invalid
+   */
+  async setRole(email, role) {
+    const user = await this.getUserByEmail(email);
+    user.role = role;
+    await user.save();
+    return user;
+  }
+
+
+  /**
+   * Log a user in with email and password
+   * @param {string} email - Email address of user
+   * @param {string} password - Plain-text password
+   * @returns {Promise<object>} - {token, expiresAt, user}
+   * @throws {Error} - Error if the email or password is wrong
+   */
+  async login(email, password) {
+    const user = await User.findOne({ email, isActive: true }).select('+password');
+    if (!user || !user.password || !(await this.verifyPassword(password, user.password))) {
+      throw new Error('Invalid email or password');
+    }
+
+    const { token, expiresAt } = tokenService.issueToken(user._id);
+    return { token, expiresAt, user };
+  }
+
+
+  /**
+   * Hash a password with a random salt (stored as salt:hash)
+   * @private
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `${salt}:${hash.toString('hex')}`;
+  }
+
+  /**
+   * Compare a password with a stored salt:hash
+   * @private
+   */
+  async verifyPassword(password, stored) {
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
 }
 
 module.exports = new UserService();
@@ -0,0 +1,229 @@
+const InsufficientStockError = require('../errors/InsufficientStockError');
+const QueueAdmissionError = require('../errors/QueueAdmissionError');
+const redisService = require('./redisService');
+const productService = require('./productService');
+const flashSaleService = require('./flashSaleService');
+const queueService = require('./queueService');
+const userService = require('./userService');
+const cartService = require('./cartService');
+const notificationService = require('./notificationService');
+const { eventBus, EVENTS } = require('../events/eventBus');
+
+class WaitlistService {
+  constructor() {
+    this.onRelease = null;
+    this.pending = new Map();
+    this.queued = new Set();
+  }
+
+  /**
+   * Join a SKU's waitlist
+   * Joining again updates the quantity but keeps the user's place.
+   * @param {string} userId - User ID
+   * @param {string} sku - Product SKU
+   * @param {number} quantity - Units the user wants
+   * @param {string} [admissionToken] - Waiting room admission token, required for SKUs in a running flash sale
+   * @returns {Promise<object>} - {userId, sku, quantity, position, offerWindowSeconds}
+   * @throws {QueueAdmissionError} - Error if a flash sale SKU is waitlisted without a valid admission token
+   * @throws {Error} - Error if user or product not found, or enough stock is available to reserve now
+   */
+  async joinWaitlist(userId, sku, quantity, admissionToken = null) {
+    const userExists = await userService.userExists(userId);
+    if (!userExists) {
+      throw new Error('User not found');
+    }
+
+    const { availableStock } = await productService.getProductStatus(sku);
+    if (availableStock >= quantity) {
+      throw new Error(`SKU ${sku} has ${availableStock} units available; reserve them instead`);
+    }
+
+    // Offers skip the waiting room, so flash sale SKUs need an admission to join
+    const flashSale = await flashSaleService.getSaleForReservation(sku);
+    if (flashSale && !(await queueService.isAdmitted(flashSale.sale._id, userId, admissionToken))) {
+      throw new QueueAdmissionError({ sku, saleId: flashSale.sale._id.toString() });
+    }
+
+    const position = await redisService.joinWaitlist(sku, userId, quantity, this.getWaitlistTtlSeconds());
+
+    return {
+      userId,
+      sku,
+      quantity,
+      position,
+      offerWindowSeconds: this.getOfferTtlSeconds(),
+    };
+  }
+
+  /**
+   * Leave a SKU's waitlist
+   * @param {string} userId - User ID
+   * @param {string} sku - Product SKU
+   * @returns {Promise<void>}
+   * @throws {Error} - Error if the user is not on the waitlist
+   */
+  async leaveWaitlist(userId, sku) {
+    const removed = await redisService.leaveWaitlist(sku, userId);
+    if (!removed) {
+      throw new Error('Not on the waitlist for this SKU');
+    }
+  }
+
+  /**
+   * Offer released stock to waitlisted users whenever holds expire or stock is released
+   * @returns {void}
+   */
+  start() {
+    if (this.onRelease) {
+      return;
+    }
+
+    this.onRelease = ({ sku }) => {
+      this.scheduleOffers(sku);
+    };
+    eventBus.on(EVENTS.RESERVATION_EXPIRED, this.onRelease);
+    eventBus.on(EVENTS.STOCK_RELEASED, this.onRelease);
+    console.log('Waitlist offers started');
+  }
+
+  /**
+   * Stop listening for released stock
+   * @returns {void}
+   */
+  stop() {
+    if (this.onRelease) {
+      eventBus.off(EVENTS.RESERVATION_EXPIRED, this.onRelease);
+      eventBus.off(EVENTS.STOCK_RELEASED, this.onRelease);
+      this.onRelease = null;
+    }
+  }
+
+  /**
+   * Queue an offer run for a SKU
+   * Runs for the same SKU take turns, and releases arriving while one is waiting share it.
+   * @param {string} sku - Product SKU
+   * @returns {Promise<object[]>} - Offers made (see offerReleasedStock)
+   */
+  scheduleOffers(sku) {
+    if (this.queued.has(sku)) {
+      return this.pending.get(sku);
+    }
+    this.queued.add(sku);
+
+    const run = (this.pending.get(sku) || Promise.resolve())
+      .then(() => {
+        this.queued.delete(sku);
+        return this.offerReleasedStock(sku);
+      })
+      .catch((error) => {
+        console.error(`Error offering released stock for SKU ${sku}:`, error);
+        return [];
+      });
+
+    this.pending.set(sku, run);
+    run.then(() => {
+      if (this.pending.get(sku) === run) {
+        this.pending.delete(sku);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Offer a SKU's available stock to its waitlist in order
+   * Each offer is a hold in the user's cart that lasts the offer window, so nobody else can take the
+   * units; if the user does not check out, the hold expires and the units go to the next user.
+   * A user is offered up to the quantity they asked for and leaves the waitlist. Users who cannot
+   * hold the units (purchase limits, a cart in another currency) are skipped.
+   * @param {string} sku - Product SKU
+   * @returns {Promise<object[]>} - Array of {userId, sku, quantity, unitPrice, currency, expiresAt} offers
+   */
+  async offerReleasedStock(sku) {
+    const offers = [];
+    const ttlSeconds = this.getOfferTtlSeconds();
+    let { availableStock } = await productService.getProductStatus(sku);
+
+    while (availableStock > 0) {
+      const entry = await redisService.popWaitlist(sku);
+      if (!entry) {
+        break;
+      }
+
+      const quantity = Math.min(entry.quantity, availableStock);
+      try {
+        // An offer renews a hold the user already had to at least the offer window, and never shortens it
+        const result = await cartService.reserveItems(
+          entry.userId,
+          [{ sku, quantity }],
+          ttlSeconds,
+          null,
+          { waitlistOffer: true }
+        );
+        const [item] = result.reservedItems;
+        const hold = await this.getHold(entry.userId, sku);
+
+        const offer = {
+          userId: entry.userId,
+          sku,
+          quantity,
+          unitPrice: item.unitPrice,
+          currency: item.currency,
+          expiresAt: hold ? hold.expiresAt : new Date(Date.now() + ttlSeconds * 1000),
+        };
+        offers.push(offer);
+        availableStock -= quantity;
+        await this.notifyOffer(offer);
+      } catch (error) {
+        if (error instanceof InsufficientStockError) {
+          // Less is left than we read (e.g. a flash sale allocation); keep the user's place and retry with what is left
+          await redisService.requeueWaitlist(sku, entry);
+          availableStock = Math.min(error.items[0].available, quantity - 1);
+          continue;
+        }
+        console.error(`Skipping waitlisted user ${entry.userId} for SKU ${sku}:`, error.message);
+      }
+    }
+
+    return offers;
+  }
+
+  /**
+   * Tell a user about their offer
+   * The units are already held, so a failed notification is logged rather than thrown.
+   * @private
+   */
+  async notifyOffer(offer) {
+    try {
+      await notificationService.notify({ type: 'waitlist.offer', ...offer });
+    } catch (error) {
+      console.error(`Error notifying user ${offer.userId} of waitlist offer:`, error);
+    }
+  }
+
+  /**
+   * Find a user's hold on a SKU
+   * @private
+   */
+  async getHold(userId, sku) {
+    const reservations = await redisService.getUserReservations(userId);
+    return reservations.find((reservation) => reservation.sku === sku) || null;
+  }
+
+  /**
+   * Read how long a waitlist offer is held for the user from the environment
+   * @private
+   */
+  getOfferTtlSeconds() {
+    return parseInt(process.env.WAITLIST_OFFER_TTL_SECONDS) || 120;
+  }
+
+  /**
+   * Read how long a waitlist is kept after the last join from the environment
+   * @private
+   */
+  getWaitlistTtlSeconds() {
+    return parseInt(process.env.WAITLIST_TTL_SECONDS) || 86400;
+  }
+}
+
+module.exports = new WaitlistService();
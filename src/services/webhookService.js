@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const WebhookSignatureError = require('../errors/WebhookSignatureError');
+const orderService = require('./orderService');
+const couponService = require('./couponService');
+const redisService = require('./redisService');
+const { eventBus, EVENTS } = require('../events/eventBus');
+
+// Order status each payment event type settles a pending order into
+const EVENT_OUTCOMES = {
+  'payment.captured': 'paid',
+  'payment.failed': 'failed',
+};
+
+class WebhookService {
+
+  /**
+   * Build the X-Payment-Signature header for a webhook body
+   * The header is `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`, keyed with PAYMENT_WEBHOOK_SECRET.
+   * @param {string} body - Exact request body that will be sent
+   * @param {number} [timestamp] - Signing time in unix seconds (defaults to now)
+   * @returns {string} - Signature header value
+   */
+  signPayload(body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${this.computeSignature(body, timestamp)}`;
+  }
+
+  /**
+   * Check a webhook's signature header against its raw body
+   * Signatures older or newer than PAYMENT_WEBHOOK_TOLERANCE_SECONDS are rejected, so captured requests cannot be replayed later.
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {string} header - X-Payment-Signature header value
+   * @returns {void}
+   * @throws {WebhookSignatureError} - Error if the header is missing, malformed, stale or does not match
+   */
+  verifySignature(rawBody, header) {
+    if (!header) {
+      throw new WebhookSignatureError('Missing X-Payment-Signature header');
+    }
+
+    const parts = {};
+    for (const part of header.split(',')) {
+      const [key, value] = part.split('=');
+      parts[key.trim()] = value;
+    }
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) {
+      throw new WebhookSignatureError('Malformed X-Payment-Signature header');
+    }
+
+    const tolerance = parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300;
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) {
+      throw new WebhookSignatureError('Webhook signature timestamp is outside the tolerance window');
+    }
+
+    const expected = Buffer.from(this.computeSignature((rawBody || '').toString(), timestamp));
+    const actual = Buffer.from(parts.v1);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new WebhookSignatureError('Invalid webhook signature');
+    }
+  }
+
+  /**
+   * Apply a payment event to the order it refers to
+   * A pending order is moved to paid (its holds are converted into the sale) or failed (its stock and
+   * any coupon redemption are given back and its holds released). Each event ID is processed once;
+   * retries are acknowledged without doing anything. Events for unknown references, settled orders
+   * or other types are recorded as ignored.
+   * @param {object} event - {id, type, data: {reference, reason}}
+   * @returns {Promise<object>} - {eventId, duplicate, outcome, orderId}
+   * @throws {OrderTransitionError} - Error if the order changed status while the event was applied
+   */
+  async handlePaymentEvent({ id: eventId, type, data = {} }) {
+    const reference = data.reference || null;
+    const order = reference ? await Order.findOne({ 'payment.reference': reference }) : null;
+    const outcome = order && order.status === 'pending' && EVENT_OUTCOMES[type]
+      ? EVENT_OUTCOMES[type]
+      : 'ignored';
+    const orderId = order ? order._id : null;
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Recording the event first makes a duplicate abort the transaction before anything changes
+        await PaymentEvent.create([{ eventId, type, reference, orderId, outcome }], { session });
+
+        if (outcome === 'paid') {
+          await orderService.transitionOrder(orderId, 'paid', {
+            reason: `Payment captured (event ${eventId})`,
+            session,
+            set: { 'payment.status': 'captured' },
+          });
+        } else if (outcome === 'failed') {
+          await orderService.transitionOrder(orderId, 'failed', {
+            reason: `Payment failed (event ${eventId})`,
+            session,
+            set: { 'payment.status': 'failed', 'payment.failureReason': data.reason || 'Payment failed' },
+          });
+          await orderService.restoreItems(orderId, order.items, { session });
+          await couponService.releaseRedemption(orderId, session);
+        }
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return { eventId, duplicate: true, outcome: null, orderId };
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    if (outcome !== 'ignored') {
+      await this.settleReservations(order, outcome);
+    }
+    return { eventId, duplicate: false, outcome, orderId };
+  }
+
+
+  /**
+   * Convert the order's holds into the sale, or release them when the payment failed
+   * The order is already settled, so a Redis failure is logged rather than thrown; the holds then expire on their own.
+   * @private
+   */
+  async settleReservations(order, outcome) {
+    const userId = order.userId.toString();
+    const items = order.items.map((item) => ({ sku: item.sku, quantity: item.quantity }));
+
+    try {
+      if (outcome === 'paid') {
+        await redisService.convertReservations(userId, items);
+        for (const item of items) {
+          eventBus.emit(EVENTS.STOCK_SOLD, { userId, sku: item.sku, quantity: item.quantity });
+        }
+      } else {
+        for (const item of items) {
+          const released = await redisService.cancelReservation(userId, item.sku, item.quantity);
+          if (released > 0) {
+            eventBus.emit(EVENTS.STOCK_RELEASED, { sku: item.sku, quantity: released, reason: 'cancelled' });
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`Error settling reservations for order ${order._id}:`, error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  computeSignature(body, timestamp) {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+}
+
+module.exports = new WebhookService();
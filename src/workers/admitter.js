@@ -0,0 +1,30 @@
+require('dotenv').config();
+const connectDB = require('../config/database');
+const { connectRedis } = require('../config/redis');
+const queueService = require('../services/queueService');
+
+/**
+ * Standalone waiting room admitter
+ * Run with `npm run admitter` and set QUEUE_ADMITTER_IN_PROCESS=false on the API servers
+ */
+const startWorker = async () => {
+  try {
+    await connectDB();
+    await connectRedis();
+
+    queueService.start(parseInt(process.env.QUEUE_ADMIT_INTERVAL_MS) || 5000);
+  } catch (error) {
+    console.error('Failed to start queue admitter:', error);
+    process.exit(1);
+  }
+};
+
+const shutdown = () => {
+  queueService.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+startWorker();
@@ -0,0 +1,37 @@
+require('dotenv').config();
+const connectDB = require('../config/database');
+const { connectRedis } = require('../config/redis');
+const reaperService = require('../services/reaperService');
+const waitlistService = require('../services/waitlistService');
+const stockStreamService = require('../services/stockStreamService');
+
+/**
+ * Standalone reservation reaper
+ * Run with `npm run reaper` and set RESERVATION_REAPER_IN_PROCESS=false on the API servers
+ */
+const startWorker = async () => {
+  try {
+    await connectDB();
+    await connectRedis();
+
+    // Expired holds are published in this process, so offer their stock to waitlisted users and stream it from here
+    waitlistService.start();
+    stockStreamService.start();
+    reaperService.start(parseInt(process.env.RESERVATION_REAPER_INTERVAL_MS) || 5000);
+  } catch (error) {
+    console.error('Failed to start reservation reaper:', error);
+    process.exit(1);
+  }
+};
+
+const shutdown = () => {
+  reaperService.stop();
+  waitlistService.stop();
+  stockStreamService.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+startWorker();
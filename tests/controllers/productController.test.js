@@ -0,0 +1,146 @@
+const express = require('express');
+const http = require('http');
+const request = require('supertest');
+
+jest.mock('../../src/services/productService', () => ({ restockProduct: jest.fn() }));
+jest.mock('../../src/services/stockStreamService', () => ({
+  getSnapshot: jest.fn(),
+  subscribe: jest.fn(),
+}));
+
+const productService = require('../../src/services/productService');
+const stockStreamService = require('../../src/services/stockStreamService');
+const productController = require('../../src/controllers/productController');
+const { productValidations } = require('../../src/middleware/validation');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'admin-1' };
+  next();
+});
+app.post('/products/:sku/restock', productController.restockProduct.bind(productController));
+app.get(
+  '/products/:sku/stream',
+  productValidations.getProductStatus,
+  productController.streamStatus.bind(productController)
+);
+app.use(errorHandler);
+
+describe('restockProduct', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('restocks the product for the admin', async () => {
+    productService.restockProduct.mockResolvedValue({ sku: 'FLASH-001', totalStock: 15 });
+
+    const res = await request(app).post('/products/FLASH-001/restock').send({ quantity: 5 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ sku: 'FLASH-001', totalStock: 15 });
+    expect(productService.restockProduct).toHaveBeenCalledWith('FLASH-001', 5, 'admin-1');
+  });
+
+  it('answers 404 for a missing product', async () => {
+    productService.restockProduct.mockRejectedValue(new Error('Product not found'));
+
+    const res = await request(app).post('/products/NOPE/restock').send({ quantity: 5 });
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Product not found');
+  });
+
+  it('passes any other failure to the error handler', async () => {
+    productService.restockProduct.mockRejectedValue(new Error('Transaction numbers are only allowed on a replica set'));
+
+    const res = await request(app).post('/products/FLASH-001/restock').send({ quantity: 5 });
+
+    expect(res.status).toBe(500);
+    expect(res.body.success).toBe(false);
+  });
+});
+
+describe('streamStatus', () => {
+  const snapshot = (availableStock) => ({ sku: 'FLASH-001', totalStock: 10, reservedStock: 10 - availableStock, availableStock, sale: null });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rejects a blank SKU before opening a stream', async () => {
+    const res = await request(app).get('/products/%20/stream');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('SKU is required');
+    expect(stockStreamService.getSnapshot).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 for a missing product', async () => {
+    stockStreamService.getSnapshot.mockRejectedValue(new Error('Product not found'));
+
+    const res = await request(app).get('/products/NOPE/stream');
+
+    expect(res.status).toBe(404);
+    expect(stockStreamService.subscribe).not.toHaveBeenCalled();
+  });
+
+  it('sends the snapshot, then each update, and stops listening when the client leaves', async () => {
+    let publish;
+    const stop = jest.fn();
+    let stopped;
+    const clientGone = new Promise((resolve) => {
+      stopped = resolve;
+    });
+    stop.mockImplementation(stopped);
+    stockStreamService.getSnapshot.mockResolvedValue(snapshot(4));
+    stockStreamService.subscribe.mockImplementation(async (sku, listener) => {
+      publish = listener;
+      return stop;
+    });
+    const server = app.listen(0);
+
+    try {
+      let response;
+      const events = await new Promise((resolve, reject) => {
+        const received = [];
+        const req = http.get({ port: server.address().port, path: '/products/FLASH-001/stream' }, (res) => {
+          response = res;
+          res.setEncoding('utf8');
+          let buffer = '';
+          res.on('data', (chunk) => {
+            buffer += chunk;
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+            received.push(...messages);
+            if (received.length === 1) {
+              publish(snapshot(3));
+            }
+            if (received.length === 2) {
+              req.destroy();
+              resolve(received);
+            }
+          });
+        });
+        req.on('error', (error) => {
+          if (received.length < 2) {
+            reject(error);
+          }
+        });
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(events).toEqual([
+        `event: stock\ndata: ${JSON.stringify(snapshot(4))}`,
+        `event: stock\ndata: ${JSON.stringify(snapshot(3))}`,
+      ]);
+      expect(stockStreamService.subscribe).toHaveBeenCalledWith('FLASH-001', expect.any(Function));
+      await clientGone;
+      expect(stop).toHaveBeenCalledTimes(1);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Checkout and order changes run in transactions, so this must point at a replica set
+const uri = process.env.MONGODB_TEST_URI;
+
+/**
+ * Suites that need a running MongoDB are skipped unless MONGODB_TEST_URI is set
+ */
+const describeWithMongo = uri ? describe : describe.skip;
+
+/**
+ * Connect before the suite to a database of this Jest worker's own, start every test from empty
+ * collections and drop the database afterwards
+ */
+const useTestMongo = () => {
+  beforeAll(async () => {
+    await mongoose.connect(uri, { dbName: `flash-deal-test-${process.env.JEST_WORKER_ID || 1}` });
+    // Collections and unique indexes must exist before a transaction writes to them
+    await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+  });
+
+  beforeEach(async () => {
+    // Through the driver, since the inventory ledger's middleware refuses deletes
+    await Promise.all(Object.values(mongoose.models).map((model) => model.collection.deleteMany({})));
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+};
+
+module.exports = { describeWithMongo, useTestMongo };
@@ -0,0 +1,50 @@
+const redis = require('redis');
+
+// Each Jest worker gets its own logical database, so suites running in parallel do not flush each other's keys
+const url = process.env.REDIS_TEST_URL;
+const database = parseInt(process.env.JEST_WORKER_ID) || 1;
+
+let client = null;
+
+/**
+ * Stand-in for src/config/redis, connected to the test database
+ * Use with jest.mock('../../src/config/redis', () => require('../helpers/redis').redisConfig)
+ */
+const redisConfig = {
+  connectRedis: async () => {
+    client = redis.createClient({ url, database });
+    await client.connect();
+    return client;
+  },
+  getRedisClient: () => {
+    if (!client) {
+      throw new Error('Redis client not initialized. Call connectRedis() first.');
+    }
+    return client;
+  },
+};
+
+/**
+ * Suites that need a running Redis are skipped unless REDIS_TEST_URL is set
+ */
+const describeWithRedis = url ? describe : describe.skip;
+
+/**
+ * Connect before the suite, start every test from an empty database and disconnect afterwards
+ */
+const useTestRedis = () => {
+  beforeAll(async () => {
+    await redisConfig.connectRedis();
+  });
+
+  beforeEach(async () => {
+    await client.flushDb();
+  });
+
+  afterAll(async () => {
+    await client.quit();
+    client = null;
+  });
+};
+
+module.exports = { redisConfig, describeWithRedis, useTestRedis };
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+const authenticate = require('../../src/middleware/auth');
+const tokenService = require('../../src/services/tokenService');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+const otherUserId = '64b7f0c2a1b2c3d4e5f60719';
+
+/**
+ * Build an app that echoes req.user behind the authentication middleware
+ */
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  const echo = (req, res) => res.json({ user: req.user });
+  app.get('/cart/:userId', authenticate, echo);
+  app.post('/checkout', authenticate, echo);
+  return app;
+};
+
+/**
+ * Sign a token with the given header and payload, bypassing tokenService's checks
+ */
+const forgeToken = (header, payload, secret = process.env.JWT_SECRET) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode(header)}.${encode(payload)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+};
+
+describe('authenticate', () => {
+  const app = buildApp();
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_SECRET;
+    delete process.env.AUTH_LEGACY_MODE;
+    delete process.env.JWT_EXPIRES_IN_SECONDS;
+  });
+
+  it('takes the user from a valid token', async () => {
+    const { token } = tokenService.issueToken(userId);
+
+    const res = await request(app).post('/checkout').set('Authorization', `Bearer ${token}`).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual({ id: userId });
+  });
+
+  it('accepts a userId in the path or body that matches the token', async () => {
+    const { token } = tokenService.issueToken(userId);
+
+    const cart = await request(app).get(`/cart/${userId}`).set('Authorization', `Bearer ${token}`);
+    const checkout = await request(app).post('/checkout').set('Authorization', `Bearer ${token}`).send({ userId });
+
+    expect(cart.status).toBe(200);
+    expect(checkout.status).toBe(200);
+  });
+
+  it('rejects a userId in the path or body that belongs to someone else with 403', async () => {
+    const { token } = tokenService.issueToken(userId);
+
+    const cart = await request(app).get(`/cart/${otherUserId}`).set('Authorization', `Bearer ${token}`);
+    const checkout = await request(app)
+      .post('/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ userId: otherUserId });
+
+    expect(cart.status).toBe(403);
+    expect(checkout.status).toBe(403);
+    expect(checkout.body.message).toBe('You can only access your own cart and orders');
+  });
+
+  it('rejects requests without a token with 401', async () => {
+    const res = await request(app).post('/checkout').send({ userId });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Authentication required');
+  });
+
+  it('rejects other authorization schemes', async () => {
+    const res = await request(app).post('/checkout').set('Authorization', `Basic ${userId}`).send({});
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Authorization header must use the Bearer scheme');
+  });
+
+  it('rejects a token signed with another secret or changed after signing', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const forged = forgeToken({ alg: 'HS256', typ: 'JWT' }, { sub: userId, iat: now, exp: now + 60 }, 'wrong-secret');
+    const { token } = tokenService.issueToken(userId);
+    const [header, , signature] = token.split('.');
+    const payload = Buffer.from(JSON.stringify({ sub: otherUserId, iat: now, exp: now + 60 })).toString('base64url');
+
+    const wrongSecret = await request(app).post('/checkout').set('Authorization', `Bearer ${forged}`).send({});
+    const tampered = await request(app)
+      .post('/checkout')
+      .set('Authorization', `Bearer ${header}.${payload}.${signature}`)
+      .send({});
+
+    expect(wrongSecret.status).toBe(401);
+    expect(wrongSecret.body.message).toBe('Invalid token signature');
+    expect(tampered.status).toBe(401);
+    expect(tampered.body.message).toBe('Invalid token signature');
+  });
+
+  it('rejects expired tokens and tokens using another algorithm', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const expired = forgeToken({ alg: 'HS256', typ: 'JWT' }, { sub: userId, iat: now - 120, exp: now - 60 });
+    const otherAlg = forgeToken({ alg: 'none', typ: 'JWT' }, { sub: userId, iat: now, exp: now + 60 });
+
+    const expiredRes = await request(app).post('/checkout').set('Authorization', `Bearer ${expired}`).send({});
+    const otherAlgRes = await request(app).post('/checkout').set('Authorization', `Bearer ${otherAlg}`).send({});
+
+    expect(expiredRes.body.message).toBe('Token has expired');
+    expect(otherAlgRes.body.message).toBe('Unsupported token algorithm');
+    expect([expiredRes.status, otherAlgRes.status]).toEqual([401, 401]);
+  });
+
+  it('falls back to the userId in the request only in legacy mode', async () => {
+    process.env.AUTH_LEGACY_MODE = 'true';
+
+    const res = await request(app).get(`/cart/${userId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual({ id: userId, legacy: true });
+  });
+});
@@ -0,0 +1,168 @@
+const express = require('express');
+const http = require('http');
+const request = require('supertest');
+
+const store = new Map();
+const redisClient = {
+  async set(key, value, options = {}) {
+    if (options.NX && store.has(key)) {
+      return null;
+    }
+    store.set(key, value);
+    return 'OK';
+  },
+  async get(key) {
+    return store.has(key) ? store.get(key) : null;
+  },
+  async del(key) {
+    return store.delete(key) ? 1 : 0;
+  },
+};
+
+jest.mock('../../src/config/redis', () => ({
+  getRedisClient: () => redisClient,
+}));
+
+const idempotency = require('../../src/middleware/idempotency');
+
+/**
+ * Build an app whose POST /orders handler is the given function, behind the idempotency middleware
+ */
+const buildApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  });
+  app.post('/orders', idempotency, handler);
+  return app;
+};
+
+describe('idempotency middleware', () => {
+  beforeEach(() => {
+    store.clear();
+  });
+
+  it('replays the stored response for a retry without running the handler again', async () => {
+    let calls = 0;
+    const app = buildApp((req, res) => {
+      calls += 1;
+      res.status(201).json({ success: true, data: { orderId: `order-${calls}` } });
+    });
+
+    const first = await request(app).post('/orders').set('Idempotency-Key', 'key-1').send({ sku: 'A' });
+    const retry = await request(app).post('/orders').set('Idempotency-Key', 'key-1').send({ sku: 'A' });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  it('rejects a retry with 409 while the original request is still running', async () => {
+    let started;
+    const handlerStarted = new Promise((resolve) => {
+      started = resolve;
+    });
+    let finish;
+    const handlerFinished = new Promise((resolve) => {
+      finish = resolve;
+    });
+    const app = buildApp(async (req, res) => {
+      started();
+      await handlerFinished;
+      res.status(201).json({ success: true });
+    });
+
+    const original = request(app).post('/orders').set('Idempotency-Key', 'key-2').send({ sku: 'A' }).then((res) => res);
+    await handlerStarted;
+
+    const retry = await request(app).post('/orders').set('Idempotency-Key', 'key-2').send({ sku: 'A' });
+    expect(retry.status).toBe(409);
+
+    finish();
+    expect((await original).status).toBe(201);
+  });
+
+  it('keeps the key in progress after the client disconnects, then stores the response', async () => {
+    let started;
+    const handlerStarted = new Promise((resolve) => {
+      started = resolve;
+    });
+    let closed;
+    const clientGone = new Promise((resolve) => {
+      closed = resolve;
+    });
+    let finish;
+    const handlerFinished = new Promise((resolve) => {
+      finish = resolve;
+    });
+    const app = buildApp(async (req, res) => {
+      res.on('close', closed);
+      started();
+      await handlerFinished;
+      res.status(201).json({ success: true, data: { orderId: 'order-1' } });
+    });
+    const server = app.listen(0);
+
+    try {
+      const body = JSON.stringify({ sku: 'A' });
+      const original = http.request({
+        port: server.address().port,
+        method: 'POST',
+        path: '/orders',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'key-5' },
+      });
+      original.on('error', () => {});
+      original.end(body);
+      await handlerStarted;
+      original.destroy();
+      await clientGone;
+
+      const during = await request(server).post('/orders').set('Idempotency-Key', 'key-5').send({ sku: 'A' });
+      expect(during.status).toBe(409);
+
+      finish();
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const after = await request(server).post('/orders').set('Idempotency-Key', 'key-5').send({ sku: 'A' });
+      expect(after.status).toBe(201);
+      expect(after.body).toEqual({ success: true, data: { orderId: 'order-1' } });
+      expect(after.headers['idempotent-replayed']).toBe('true');
+    } finally {
+      server.close();
+    }
+  });
+
+  it('rejects a key reused with a different payload with 422', async () => {
+    const app = buildApp((req, res) => {
+      res.status(201).json({ success: true });
+    });
+
+    await request(app).post('/orders').set('Idempotency-Key', 'key-3').send({ sku: 'A' });
+    const reused = await request(app).post('/orders').set('Idempotency-Key', 'key-3').send({ sku: 'B' });
+
+    expect(reused.status).toBe(422);
+  });
+
+  it('does not store server errors, so the request can be retried with the same key', async () => {
+    let calls = 0;
+    const app = buildApp((req, res) => {
+      calls += 1;
+      if (calls === 1) {
+        return res.status(502).json({ success: false, message: 'Payment provider failed' });
+      }
+      res.status(201).json({ success: true });
+    });
+
+    const first = await request(app).post('/orders').set('Idempotency-Key', 'key-4').send({ sku: 'A' });
+    const retry = await request(app).post('/orders').set('Idempotency-Key', 'key-4').send({ sku: 'A' });
+
+    expect(first.status).toBe(502);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(2);
+  });
+});
@@ -0,0 +1,62 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/services/userService', () => ({ getUserById: jest.fn() }));
+
+const userService = require('../../src/services/userService');
+const requireRole = require('../../src/middleware/requireRole');
+
+/**
+ * Build an app whose admin route runs requireRole('admin') for the given req.user
+ */
+const buildApp = (user) => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.post('/admin', requireRole('admin'), (req, res) => res.status(201).json({ success: true }));
+  return app;
+};
+
+describe('requireRole', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lets users with the role through', async () => {
+    userService.getUserById.mockResolvedValue({ role: 'admin' });
+
+    const res = await request(buildApp({ id: 'admin-1' })).post('/admin');
+
+    expect(res.status).toBe(201);
+    expect(userService.getUserById).toHaveBeenCalledWith('admin-1');
+  });
+
+  it('rejects users without the role with 403', async () => {
+    userService.getUserById.mockResolvedValue({ role: 'customer' });
+
+    const res = await request(buildApp({ id: 'user-1' })).post('/admin');
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('This action requires the admin role');
+  });
+
+  it('never grants a role to a user identified through legacy mode', async () => {
+    userService.getUserById.mockResolvedValue({ role: 'admin' });
+
+    const res = await request(buildApp({ id: 'admin-1', legacy: true })).post('/admin');
+
+    expect(res.status).toBe(401);
+    expect(userService.getUserById).not.toHaveBeenCalled();
+  });
+
+  it('rejects a token for a user that no longer exists with 401', async () => {
+    userService.getUserById.mockRejectedValue(new Error('User not found'));
+
+    const res = await request(buildApp({ id: 'deleted-1' })).post('/admin');
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('User not found');
+  });
+});
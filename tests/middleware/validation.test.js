@@ -0,0 +1,44 @@
+const express = require('express');
+const request = require('supertest');
+const { validationResult } = require('express-validator');
+const { cartValidations } = require('../../src/middleware/validation');
+
+/**
+ * Build an app that runs the given validations and echoes the sanitized body, or the errors
+ */
+const buildApp = (validations) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/', validations, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    res.json(req.body);
+  });
+  return app;
+};
+
+describe('validation', () => {
+  describe('cartValidations.reserveItems', () => {
+    const app = buildApp(cartValidations.reserveItems);
+
+    it('converts quantities sent as strings to integers', async () => {
+      const res = await request(app)
+        .post('/')
+        .send({ items: [{ sku: 'FLASH-001', quantity: '2' }, { sku: 'FLASH-001', quantity: '3' }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.items).toEqual([{ sku: 'FLASH-001', quantity: 2 }, { sku: 'FLASH-001', quantity: 3 }]);
+    });
+
+    it('rejects quantities that are not positive integers', async () => {
+      const res = await request(app)
+        .post('/')
+        .send({ items: [{ sku: 'FLASH-001', quantity: '0' }, { sku: 'FLASH-002', quantity: '1.5' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map((error) => error.path)).toEqual(['items[0].quantity', 'items[1].quantity']);
+    });
+  });
+});
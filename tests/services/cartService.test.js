@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/redis', () => require('../helpers/redis').redisConfig);
+jest.mock('../../src/models/Order', () => ({ aggregate: jest.fn() }));
+jest.mock('../../src/services/userService', () => ({ userExists: jest.fn() }));
+jest.mock('../../src/services/productService', () => ({ getProductBySku: jest.fn() }));
+jest.mock('../../src/services/flashSaleService', () => ({
+  getSaleForReservation: jest.fn(),
+  getSaleItem: jest.fn(),
+}));
+jest.mock('../../src/services/queueService', () => ({ isAdmitted: jest.fn() }));
+
+const { describeWithRedis, useTestRedis } = require('../helpers/redis');
+const Order = require('../../src/models/Order');
+const InsufficientStockError = require('../../src/errors/InsufficientStockError');
+const PurchaseLimitError = require('../../src/errors/PurchaseLimitError');
+const QueueAdmissionError = require('../../src/errors/QueueAdmissionError');
+const userService = require('../../src/services/userService');
+const productService = require('../../src/services/productService');
+const flashSaleService = require('../../src/services/flashSaleService');
+const queueService = require('../../src/services/queueService');
+const redisService = require('../../src/services/redisService');
+const cartService = require('../../src/services/cartService');
+
+/**
+ * Build a product as returned by productService.getProductBySku
+ */
+const product = (sku, totalStock) => ({
+  _id: new mongoose.Types.ObjectId(),
+  sku,
+  name: `Product ${sku}`,
+  price: 4999,
+  currency: 'USD',
+  totalStock,
+  reservationPolicy: { maxHoldSeconds: 3600, maxExtensions: 2 },
+  purchaseLimit: {},
+});
+
+describeWithRedis('cartService', () => {
+  useTestRedis();
+
+  let products;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    products = new Map();
+    userService.userExists.mockResolvedValue(true);
+    productService.getProductBySku.mockImplementation(async (sku) => products.get(sku));
+    flashSaleService.getSaleForReservation.mockResolvedValue(null);
+    Order.aggregate.mockResolvedValue([]);
+  });
+
+  describe('reserveItems', () => {
+    it('merges duplicate SKUs into one hold', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      products.set('FLASH-001', product('FLASH-001', 5));
+
+      const result = await cartService.reserveItems(
+        userId,
+        [{ sku: 'FLASH-001', quantity: 2 }, { sku: 'FLASH-001', quantity: 3 }],
+        600
+      );
+
+      expect(result.reservedItems).toEqual([expect.objectContaining({ sku: 'FLASH-001', quantity: 5 })]);
+      expect(await redisService.getReservedQuantity(userId, 'FLASH-001')).toBe(5);
+    });
+
+    it('checks the stock against the merged quantity of duplicate SKUs', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      products.set('FLASH-001', product('FLASH-001', 4));
+
+      const error = await cartService
+        .reserveItems(userId, [{ sku: 'FLASH-001', quantity: 2 }, { sku: 'FLASH-001', quantity: 3 }], 600)
+        .catch((err) => err);
+
+      expect(error).toBeInstanceOf(InsufficientStockError);
+      expect(error.items).toEqual([{ sku: 'FLASH-001', requested: 5, available: 4 }]);
+      expect(await redisService.getReservedQuantity(userId, 'FLASH-001')).toBe(0);
+    });
+  });
+
+  describe('reserveItems in a flash sale', () => {
+    const saleId = new mongoose.Types.ObjectId();
+    beforeEach(() => {
+      queueService.isAdmitted.mockResolvedValue(true);
+      flashSaleService.getSaleForReservation.mockResolvedValue({
+        sale: { _id: saleId, maxPerUser: null },
+        item: { sku: 'FLASH-001', dealPrice: 2999, allocatedQuantity: 10, soldQuantity: 7 },
+      });
+    });
+
+    it('locks the deal price and records the sale on the hold', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      products.set('FLASH-001', product('FLASH-001', 50));
+
+      const result = await cartService.reserveItems(userId, [{ sku: 'FLASH-001', quantity: 2 }], 600, 'token');
+
+      expect(result.reservedItems).toEqual([
+        { sku: 'FLASH-001', quantity: 2, unitPrice: 2999, currency: 'USD', saleId: saleId.toString() },
+      ]);
+      expect(queueService.isAdmitted).toHaveBeenCalledWith(saleId, userId, 'token');
+      expect(await redisService.getUserReservations(userId)).toEqual([
+        expect.objectContaining({ sku: 'FLASH-001', unitPrice: 2999, saleId: saleId.toString() }),
+      ]);
+    });
+
+    it('holds no more than what is left of the sale\'s allocation', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      products.set('FLASH-001', product('FLASH-001', 50));
+
+      const error = await cartService
+        .reserveItems(userId, [{ sku: 'FLASH-001', quantity: 4 }], 600, 'token')
+        .catch((err) => err);
+
+      expect(error).toBeInstanceOf(InsufficientStockError);
+      expect(error.items).toEqual([{ sku: 'FLASH-001', requested: 4, available: 3 }]);
+    });
+
+    it('refuses users the waiting room has not admitted', async () => {
+      products.set('FLASH-001', product('FLASH-001', 50));
+      queueService.isAdmitted.mockResolvedValue(false);
+
+      await expect(
+        cartService.reserveItems(new mongoose.Types.ObjectId().toString(), [{ sku: 'FLASH-001', quantity: 1 }], 600)
+      ).rejects.toBeInstanceOf(QueueAdmissionError);
+    });
+  });
+
+  describe('purchase limits', () => {
+    const limited = (sku, purchaseLimit) => ({ ...product(sku, 50), purchaseLimit });
+
+    it('counts the user\'s active holds against the per-SKU limit', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      products.set('FLASH-001', limited('FLASH-001', { perUser: 3 }));
+      await cartService.reserveItems(userId, [{ sku: 'FLASH-001', quantity: 2 }], 600);
+
+      const error = await cartService
+        .reserveItems(userId, [{ sku: 'FLASH-001', quantity: 2 }], 600)
+        .catch((err) => err);
+
+      expect(error).toBeInstanceOf(PurchaseLimitError);
+      expect(error).toMatchObject({ sku: 'FLASH-001', limit: 'per_sku', remainingAllowance: 1, statusCode: 422 });
+      expect(await redisService.getReservedQuantity(userId, 'FLASH-001')).toBe(2);
+    });
+
+    it('counts units the user has already bought', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      products.set('FLASH-001', limited('FLASH-001', { perUser: 3 }));
+      Order.aggregate.mockResolvedValue([{ _id: null, quantity: 2 }]);
+
+      const error = await cartService
+        .reserveItems(userId, [{ sku: 'FLASH-001', quantity: 2 }], 600)
+        .catch((err) => err);
+
+      expect(error).toMatchObject({ limit: 'per_sku', remainingAllowance: 1 });
+      const [[pipeline]] = Order.aggregate.mock.calls;
+      expect(pipeline[0].$match).toMatchObject({ status: { $in: ['paid', 'fulfilled'] }, 'items.sku': 'FLASH-001' });
+    });
+
+    it('reports the tighter of the per-SKU and rolling window limits', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      products.set('FLASH-001', limited('FLASH-001', { perUser: 10, perWindow: 2, windowSeconds: 3600 }));
+      Order.aggregate
+        .mockResolvedValueOnce([{ _id: null, quantity: 4 }])
+        .mockResolvedValueOnce([{ _id: null, quantity: 1 }]);
+
+      const error = await cartService
+        .reserveItems(userId, [{ sku: 'FLASH-001', quantity: 2 }], 600)
+        .catch((err) => err);
+
+      expect(error).toMatchObject({ limit: 'per_window', remainingAllowance: 1 });
+      expect(Order.aggregate.mock.calls[1][0][0].$match.createdAt.$gte).toBeInstanceOf(Date);
+    });
+
+    it('lets only one of two concurrent reserves through the per-SKU limit', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      products.set('FLASH-001', limited('FLASH-001', { perUser: 3 }));
+
+      const results = await Promise.allSettled([
+        cartService.reserveItems(userId, [{ sku: 'FLASH-001', quantity: 2 }], 600),
+        cartService.reserveItems(userId, [{ sku: 'FLASH-001', quantity: 2 }], 600),
+      ]);
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find((result) => result.status === 'rejected').reason).toBeInstanceOf(PurchaseLimitError);
+      expect(await redisService.getReservedQuantity(userId, 'FLASH-001')).toBe(2);
+    });
+
+    it('caps the user\'s holds across every SKU of a sale', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      const saleId = new mongoose.Types.ObjectId();
+      products.set('FLASH-001', product('FLASH-001', 50));
+      products.set('FLASH-002', product('FLASH-002', 50));
+      queueService.isAdmitted.mockResolvedValue(true);
+      flashSaleService.getSaleForReservation.mockImplementation(async (sku) => ({
+        sale: { _id: saleId, maxPerUser: 3 },
+        item: { sku, dealPrice: 2999, allocatedQuantity: 50, soldQuantity: 0 },
+      }));
+      await cartService.reserveItems(userId, [{ sku: 'FLASH-001', quantity: 2 }], 600, 'token');
+
+      const error = await cartService
+        .reserveItems(userId, [{ sku: 'FLASH-002', quantity: 2 }], 600, 'token')
+        .catch((err) => err);
+
+      expect(error).toMatchObject({ sku: 'FLASH-002', limit: 'per_sale', remainingAllowance: 1 });
+      expect(await redisService.getReservedQuantity(userId, 'FLASH-002')).toBe(0);
+    });
+  });
+
+  describe('extendReservations', () => {
+    it('extends every held SKU when none are given and reports what is left of each policy', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      products.set('FLASH-001', product('FLASH-001', 5));
+      products.set('FLASH-002', { ...product('FLASH-002', 5), reservationPolicy: { maxHoldSeconds: 3600, maxExtensions: 0 } });
+      await cartService.reserveItems(userId, [{ sku: 'FLASH-001', quantity: 1 }, { sku: 'FLASH-002', quantity: 1 }], 60);
+
+      const result = await cartService.extendReservations(userId, undefined, 600);
+
+      expect(result.message).toBe('Reservations extended successfully');
+      expect(result.items).toEqual(expect.arrayContaining([
+        { sku: 'FLASH-001', extended: true, expiresAt: expect.any(Date), extensionsRemaining: 1 },
+        {
+          sku: 'FLASH-002',
+          extended: false,
+          expiresAt: expect.any(Date),
+          extensionsRemaining: 0,
+          message: 'Maximum number of extensions reached',
+        },
+      ]));
+      expect(result.items).toHaveLength(2);
+    });
+
+    it('refuses when the user holds nothing', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+
+      await expect(cartService.extendReservations(userId, [], 600)).rejects.toThrow('No active reservations to extend');
+    });
+  });
+
+  describe('getUserCart', () => {
+    it('returns when each hold expires and when the cart does', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      products.set('FLASH-001', product('FLASH-001', 5));
+      products.set('FLASH-002', product('FLASH-002', 5));
+      await cartService.reserveItems(userId, [{ sku: 'FLASH-001', quantity: 1 }], 600);
+      await cartService.reserveItems(userId, [{ sku: 'FLASH-002', quantity: 2 }], 60);
+
+      const cart = await cartService.getUserCart(userId);
+
+      const bySku = Object.fromEntries(cart.items.map((line) => [line.sku, line]));
+      expect(bySku['FLASH-001'].secondsRemaining).toBeGreaterThan(590);
+      expect(bySku['FLASH-001'].secondsRemaining).toBeLessThanOrEqual(600);
+      expect(bySku['FLASH-002'].secondsRemaining).toBeGreaterThan(50);
+      expect(bySku['FLASH-002'].secondsRemaining).toBeLessThanOrEqual(60);
+      expect(bySku['FLASH-002'].expiresAt).toBeInstanceOf(Date);
+      expect(cart.cartExpiresAt).toEqual(bySku['FLASH-002'].expiresAt);
+      expect(cart.totalItems).toBe(3);
+    });
+
+    it('has no expiry when the cart is empty', async () => {
+      const cart = await cartService.getUserCart(new mongoose.Types.ObjectId().toString());
+
+      expect(cart.items).toEqual([]);
+      expect(cart.cartExpiresAt).toBeNull();
+    });
+  });
+
+  describe('locked prices', () => {
+    it('keeps the price a hold was reserved at and flags a live price change', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      products.set('FLASH-001', product('FLASH-001', 5));
+      await cartService.reserveItems(userId, [{ sku: 'FLASH-001', quantity: 2 }], 600);
+      products.set('FLASH-001', { ...product('FLASH-001', 5), price: 5999 });
+
+      const cart = await cartService.getUserCart(userId);
+
+      expect(cart.items).toEqual([expect.objectContaining({
+        sku: 'FLASH-001',
+        price: 4999,
+        livePrice: 5999,
+        priceChanged: true,
+        subtotal: 9998,
+      })]);
+      expect(cart.totalAmount).toBe(9998);
+      expect(cart.priceChanged).toBe(true);
+    });
+
+    it('compares a sale hold with the sale\'s current deal price', async () => {
+      const userId = new mongoose.Types.ObjectId().toString();
+      const saleId = new mongoose.Types.ObjectId();
+      products.set('FLASH-001', product('FLASH-001', 50));
+      queueService.isAdmitted.mockResolvedValue(true);
+      flashSaleService.getSaleForReservation.mockResolvedValue({
+        sale: { _id: saleId, maxPerUser: null },
+        item: { sku: 'FLASH-001', dealPrice: 2999, allocatedQuantity: 10, soldQuantity: 0 },
+      });
+      await cartService.reserveItems(userId, [{ sku: 'FLASH-001', quantity: 1 }], 600, 'token');
+      flashSaleService.getSaleItem.mockResolvedValue({ sku: 'FLASH-001', dealPrice: 2999 });
+
+      const unchanged = await cartService.getUserCart(userId);
+      flashSaleService.getSaleItem.mockResolvedValue({ sku: 'FLASH-001', dealPrice: 1999 });
+      const changed = await cartService.getUserCart(userId);
+
+      expect(flashSaleService.getSaleItem).toHaveBeenCalledWith(saleId.toString(), 'FLASH-001');
+      expect(unchanged.items[0]).toMatchObject({ price: 2999, livePrice: 2999, priceChanged: false, saleId: saleId.toString() });
+      expect(changed.items[0]).toMatchObject({ price: 2999, livePrice: 1999, priceChanged: true });
+    });
+  });
+});
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/models/Order', () => {
+  const Order = jest.fn(function Order(doc) {
+    Object.assign(this, doc);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Order.updateOne = jest.fn();
+  return Order;
+});
+jest.mock('../../src/services/userService', () => ({ userExists: jest.fn() }));
+jest.mock('../../src/services/cartService', () => ({ getUserCart: jest.fn() }));
+jest.mock('../../src/services/redisService', () => ({
+  getReservedQuantity: jest.fn(),
+  getCartCoupon: jest.fn(),
+  releaseReservations: jest.fn(),
+  clearCartCoupon: jest.fn(),
+}));
+jest.mock('../../src/services/pricingService', () => ({ priceLines: jest.fn() }));
+jest.mock('../../src/services/paymentService', () => ({
+  authorize: jest.fn(),
+  capture: jest.fn(),
+  void: jest.fn(),
+  refund: jest.fn(),
+}));
+jest.mock('../../src/services/productService', () => ({ reduceStockBulk: jest.fn() }));
+jest.mock('../../src/services/flashSaleService', () => ({ recordSold: jest.fn() }));
+jest.mock('../../src/services/orderService', () => ({
+  transitionOrder: jest.fn(),
+  restoreItems: jest.fn(),
+}));
+jest.mock('../../src/services/couponService', () => ({
+  redeem: jest.fn(),
+  releaseRedemption: jest.fn(),
+}));
+
+const Order = require('../../src/models/Order');
+const PaymentError = require('../../src/errors/PaymentError');
+const InsufficientStockError = require('../../src/errors/InsufficientStockError');
+const userService = require('../../src/services/userService');
+const cartService = require('../../src/services/cartService');
+const redisService = require('../../src/services/redisService');
+const pricingService = require('../../src/services/pricingService');
+const paymentService = require('../../src/services/paymentService');
+const productService = require('../../src/services/productService');
+const orderService = require('../../src/services/orderService');
+const couponService = require('../../src/services/couponService');
+const checkoutService = require('../../src/services/checkoutService');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const line = {
+  productId: new mongoose.Types.ObjectId(),
+  sku: 'FLASH-001',
+  name: 'Flash Deal Product',
+  quantity: 2,
+  price: 4999,
+  currency: 'USD',
+  saleId: null,
+};
+
+describe('checkout', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (fn) => fn(),
+      endSession: async () => {},
+    });
+
+    userService.userExists.mockResolvedValue(true);
+    cartService.getUserCart.mockResolvedValue({ items: [line] });
+    redisService.getReservedQuantity.mockResolvedValue(2);
+    redisService.getCartCoupon.mockResolvedValue(null);
+    pricingService.priceLines.mockResolvedValue({
+      currency: 'USD',
+      lines: [{ ...line, subtotal: 9998, discountAmount: 0, taxRate: 0, taxAmount: 0, total: 9998 }],
+      subtotal: 9998,
+      discountAmount: 0,
+      taxAmount: 0,
+      taxRegion: 'NONE',
+      totalAmount: 9998,
+      quote: null,
+    });
+    productService.reduceStockBulk.mockResolvedValue();
+    paymentService.authorize.mockResolvedValue({ provider: 'mock', reference: 'mock_ref_1' });
+    paymentService.capture.mockResolvedValue({ status: 'captured' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('voids the payment and rolls the order back when capture fails, keeping the holds', async () => {
+    paymentService.capture.mockRejectedValue(
+      new PaymentError({ reason: 'failed', operation: 'capture', message: 'Gateway unavailable' })
+    );
+
+    await expect(checkoutService.processCheckout(userId)).rejects.toThrow('Gateway unavailable');
+
+    expect(productService.reduceStockBulk).toHaveBeenCalledTimes(1);
+    expect(paymentService.void).toHaveBeenCalledWith('mock_ref_1');
+
+    const { orderId } = productService.reduceStockBulk.mock.calls[0][2];
+    expect(orderService.transitionOrder).toHaveBeenCalledWith(orderId, 'cancelled', expect.objectContaining({
+      reason: 'Payment capture failed: Gateway unavailable',
+      set: { 'payment.status': 'voided', 'payment.failureReason': 'Gateway unavailable' },
+    }));
+    expect(orderService.restoreItems).toHaveBeenCalledWith(
+      orderId,
+      [expect.objectContaining({ sku: 'FLASH-001', quantity: 2 })],
+      expect.anything()
+    );
+    expect(couponService.releaseRedemption).toHaveBeenCalledWith(orderId, expect.anything());
+
+    expect(redisService.releaseReservations).not.toHaveBeenCalled();
+    expect(orderService.transitionOrder).not.toHaveBeenCalledWith(orderId, 'paid', expect.anything());
+  });
+
+  it('records a failed void on the cancelled order, with the authorization left in place', async () => {
+    paymentService.capture.mockRejectedValue(
+      new PaymentError({ reason: 'failed', operation: 'capture', message: 'Gateway unavailable' })
+    );
+    paymentService.void.mockRejectedValue(
+      new PaymentError({ reason: 'failed', operation: 'void', message: 'Void rejected' })
+    );
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(checkoutService.processCheckout(userId)).rejects.toThrow('Gateway unavailable');
+
+    const { orderId } = productService.reduceStockBulk.mock.calls[0][2];
+    expect(orderService.transitionOrder).toHaveBeenCalledWith(orderId, 'cancelled', expect.objectContaining({
+      set: {
+        'payment.status': 'authorized',
+        'payment.failureReason': 'Gateway unavailable; Void failed: Void rejected',
+      },
+    }));
+  });
+
+  it('leaves a timed-out capture processing for the webhook instead of voiding it', async () => {
+    paymentService.capture.mockRejectedValue(new PaymentError({ reason: 'timeout', operation: 'capture' }));
+    Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await checkoutService.processCheckout(userId);
+
+    expect(result).toMatchObject({ success: true, status: 'pending', payment: { status: 'processing' } });
+    expect(Order.updateOne).toHaveBeenCalledWith(
+      { _id: result.orderId, 'payment.status': 'authorized' },
+      { $set: { 'payment.status': 'processing' } }
+    );
+    expect(paymentService.void).not.toHaveBeenCalled();
+    expect(orderService.transitionOrder).not.toHaveBeenCalled();
+    expect(orderService.restoreItems).not.toHaveBeenCalled();
+    expect(redisService.releaseReservations).not.toHaveBeenCalled();
+  });
+
+  it('charges the locked price and reports a changed live price', async () => {
+    cartService.getUserCart.mockResolvedValue({ items: [{ ...line, livePrice: 5999, priceChanged: true }] });
+
+    const result = await checkoutService.processCheckout(userId);
+
+    expect(pricingService.priceLines).toHaveBeenCalledWith(
+      userId,
+      [expect.objectContaining({ sku: 'FLASH-001', price: 4999 })],
+      expect.objectContaining({ strict: true })
+    );
+    expect(paymentService.authorize).toHaveBeenCalledWith(expect.objectContaining({ amount: 9998 }));
+    expect(result).toMatchObject({ priceChanged: true, totalAmount: 9998 });
+    expect(result.items).toEqual([expect.objectContaining({ price: 4999 })]);
+  });
+
+  it('voids the payment without capturing when the order transaction aborts', async () => {
+    productService.reduceStockBulk.mockRejectedValue(
+      new InsufficientStockError([{ sku: 'FLASH-001', requested: 2, available: 1 }])
+    );
+
+    await expect(checkoutService.processCheckout(userId)).rejects.toBeInstanceOf(InsufficientStockError);
+
+    expect(paymentService.void).toHaveBeenCalledWith('mock_ref_1');
+    expect(paymentService.capture).not.toHaveBeenCalled();
+    expect(orderService.restoreItems).not.toHaveBeenCalled();
+    expect(redisService.releaseReservations).not.toHaveBeenCalled();
+  });
+
+  it('releases the holds once the payment is captured', async () => {
+    const result = await checkoutService.processCheckout(userId);
+
+    expect(result).toMatchObject({ success: true, status: 'paid', totalAmount: 9998 });
+    expect(orderService.transitionOrder).toHaveBeenCalledWith(result.orderId, 'paid', expect.objectContaining({
+      set: { 'payment.status': 'captured' },
+    }));
+    expect(redisService.releaseReservations).toHaveBeenCalledWith(
+      userId,
+      [expect.objectContaining({ sku: 'FLASH-001', quantity: 2 })]
+    );
+    expect(paymentService.void).not.toHaveBeenCalled();
+    expect(orderService.restoreItems).not.toHaveBeenCalled();
+  });
+
+  describe('partial checkout', () => {
+    const other = { ...line, productId: new mongoose.Types.ObjectId(), sku: 'FLASH-002', quantity: 3, price: 1999 };
+
+    beforeEach(() => {
+      cartService.getUserCart.mockResolvedValue({ items: [line, other] });
+      redisService.getReservedQuantity.mockImplementation(async (id, sku) => (sku === 'FLASH-002' ? 3 : 2));
+      pricingService.priceLines.mockImplementation(async (id, lines) => {
+        const priced = lines.map((item) => {
+          const subtotal = item.price * item.quantity;
+          return { ...item, subtotal, discountAmount: 0, taxRate: 0, taxAmount: 0, total: subtotal };
+        });
+        const totalAmount = priced.reduce((sum, item) => sum + item.total, 0);
+        return {
+          currency: 'USD',
+          lines: priced,
+          subtotal: totalAmount,
+          discountAmount: 0,
+          taxAmount: 0,
+          taxRegion: 'NONE',
+          totalAmount,
+          quote: null,
+        };
+      });
+    });
+
+    it('buys only the chosen lines and releases only what was bought', async () => {
+      const result = await checkoutService.processCheckout(userId, [{ sku: 'FLASH-002', quantity: 2 }]);
+
+      expect(result).toMatchObject({ status: 'paid', totalAmount: 3998 });
+      expect(result.items).toEqual([expect.objectContaining({ sku: 'FLASH-002', quantity: 2 })]);
+      expect(paymentService.authorize).toHaveBeenCalledWith(expect.objectContaining({ amount: 3998 }));
+      expect(redisService.releaseReservations).toHaveBeenCalledWith(
+        userId,
+        [expect.objectContaining({ sku: 'FLASH-002', quantity: 2 })]
+      );
+    });
+
+    it('buys the whole hold of a line when no quantity is given', async () => {
+      const result = await checkoutService.processCheckout(userId, [{ sku: 'FLASH-001' }]);
+
+      expect(result.items).toEqual([expect.objectContaining({ sku: 'FLASH-001', quantity: 2 })]);
+    });
+
+    it('refuses more than the user holds', async () => {
+      await expect(checkoutService.processCheckout(userId, [{ sku: 'FLASH-002', quantity: 4 }]))
+        .rejects.toThrow('Checkout validation failed: Quantity mismatch for FLASH-002. Reserved: 3, Requested: 4');
+
+      expect(paymentService.authorize).not.toHaveBeenCalled();
+    });
+
+    it('refuses SKUs that are not in the cart or are named twice', async () => {
+      await expect(checkoutService.processCheckout(userId, [{ sku: 'FLASH-003', quantity: 1 }]))
+        .rejects.toThrow('No reservation found for FLASH-003');
+      await expect(checkoutService.processCheckout(userId, [{ sku: 'FLASH-001' }, { sku: 'FLASH-001', quantity: 1 }]))
+        .rejects.toThrow('Each SKU can only appear once in items');
+
+      expect(paymentService.authorize).not.toHaveBeenCalled();
+    });
+  });
+});
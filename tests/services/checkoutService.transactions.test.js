@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/services/userService', () => ({ userExists: jest.fn() }));
+jest.mock('../../src/services/cartService', () => ({ getUserCart: jest.fn() }));
+jest.mock('../../src/services/redisService', () => ({
+  getReservedQuantity: jest.fn(),
+  getCartCoupon: jest.fn(),
+  releaseReservations: jest.fn(),
+  clearCartCoupon: jest.fn(),
+  adjustCachedStock: jest.fn(),
+}));
+jest.mock('../../src/services/paymentService', () => ({
+  authorize: jest.fn(),
+  capture: jest.fn(),
+  void: jest.fn(),
+  refund: jest.fn(),
+}));
+
+const { describeWithMongo, useTestMongo } = require('../helpers/mongo');
+const Order = require('../../src/models/Order');
+const Product = require('../../src/models/Product');
+const InventoryMovement = require('../../src/models/InventoryMovement');
+const InsufficientStockError = require('../../src/errors/InsufficientStockError');
+const userService = require('../../src/services/userService');
+const cartService = require('../../src/services/cartService');
+const redisService = require('../../src/services/redisService');
+const paymentService = require('../../src/services/paymentService');
+const productService = require('../../src/services/productService');
+const checkoutService = require('../../src/services/checkoutService');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+/**
+ * Create a product and return it as a cart line for the given quantity
+ */
+const cartLine = async (sku, totalStock, quantity) => {
+  const product = await Product.create({ name: `Product ${sku}`, sku, totalStock, price: 4999, currency: 'USD' });
+  return {
+    productId: product._id,
+    sku,
+    name: product.name,
+    quantity,
+    price: product.price,
+    currency: 'USD',
+    saleId: null,
+  };
+};
+
+const stockOf = async (sku) => (await Product.findOne({ sku })).totalStock;
+
+describeWithMongo('checkout transactions', () => {
+  useTestMongo();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    userService.userExists.mockResolvedValue(true);
+    redisService.getReservedQuantity.mockResolvedValue(10);
+    redisService.getCartCoupon.mockResolvedValue(null);
+    redisService.releaseReservations.mockResolvedValue(true);
+    paymentService.authorize.mockResolvedValue({ provider: 'mock', reference: 'mock_ref_1' });
+    paymentService.capture.mockResolvedValue({ status: 'captured' });
+    paymentService.refund.mockResolvedValue();
+  });
+
+  it('commits the order, stock and ledger together', async () => {
+    cartService.getUserCart.mockResolvedValue({ items: [await cartLine('FLASH-001', 5, 2)] });
+
+    const result = await checkoutService.processCheckout(userId);
+
+    const order = await Order.findById(result.orderId);
+    expect(order.status).toBe('paid');
+    expect(order.payment.status).toBe('captured');
+    expect(await stockOf('FLASH-001')).toBe(3);
+    expect(await InventoryMovement.find({ orderId: result.orderId }).lean()).toEqual([
+      expect.objectContaining({ sku: 'FLASH-001', type: 'checkout', delta: -2, balance: 3 }),
+    ]);
+  });
+
+  it('leaves no order behind when a SKU runs out', async () => {
+    cartService.getUserCart.mockResolvedValue({
+      items: [await cartLine('FLASH-001', 5, 2), await cartLine('FLASH-002', 1, 2)],
+    });
+
+    await expect(checkoutService.processCheckout(userId)).rejects.toBeInstanceOf(InsufficientStockError);
+
+    expect(await Order.countDocuments()).toBe(0);
+    expect(await stockOf('FLASH-001')).toBe(5);
+    expect(await InventoryMovement.countDocuments()).toBe(0);
+    expect(paymentService.void).toHaveBeenCalledWith('mock_ref_1');
+    expect(paymentService.capture).not.toHaveBeenCalled();
+  });
+
+  it('rolls back the order and the stock decrement when the stock write fails midway', async () => {
+    cartService.getUserCart.mockResolvedValue({
+      items: [await cartLine('FLASH-001', 5, 2), await cartLine('FLASH-002', 5, 1)],
+    });
+    jest.spyOn(productService, 'recordMovements').mockRejectedValueOnce(new Error('Ledger write failed'));
+
+    await expect(checkoutService.processCheckout(userId)).rejects.toThrow('Ledger write failed');
+
+    expect(await Order.countDocuments()).toBe(0);
+    expect(await stockOf('FLASH-001')).toBe(5);
+    expect(await stockOf('FLASH-002')).toBe(5);
+    expect(paymentService.void).toHaveBeenCalledWith('mock_ref_1');
+    expect(redisService.releaseReservations).not.toHaveBeenCalled();
+  });
+
+  it('refunds and restores the stock when the holds cannot be released after commit', async () => {
+    cartService.getUserCart.mockResolvedValue({ items: [await cartLine('FLASH-001', 5, 2)] });
+    redisService.releaseReservations.mockRejectedValue(new Error('Redis unavailable'));
+
+    await expect(checkoutService.processCheckout(userId)).rejects.toThrow(
+      'Checkout failed while releasing reservations: Redis unavailable'
+    );
+
+    const order = await Order.findOne({ userId });
+    expect(order.status).toBe('cancelled');
+    expect(order.payment.status).toBe('refunded');
+    expect(paymentService.refund).toHaveBeenCalledWith('mock_ref_1', order.totalAmount);
+    expect(await stockOf('FLASH-001')).toBe(5);
+    const movements = await InventoryMovement.find({ orderId: order._id }).sort({ _id: 1 }).lean();
+    expect(movements.map((movement) => movement.type)).toEqual(['checkout', 'cancellation']);
+  });
+
+  it('keeps the order cancelled with the payment captured when the refund fails too', async () => {
+    cartService.getUserCart.mockResolvedValue({ items: [await cartLine('FLASH-001', 5, 2)] });
+    redisService.releaseReservations.mockRejectedValue(new Error('Redis unavailable'));
+    paymentService.refund.mockRejectedValue(new Error('Gateway unavailable'));
+
+    await expect(checkoutService.processCheckout(userId)).rejects.toThrow('Redis unavailable');
+
+    const order = await Order.findOne({ userId });
+    expect(order.status).toBe('cancelled');
+    expect(order.payment.status).toBe('captured');
+    expect(order.payment.failureReason).toBe('Refund failed: Gateway unavailable');
+    expect(await stockOf('FLASH-001')).toBe(5);
+  });
+});
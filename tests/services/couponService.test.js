@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+const { describeWithMongo, useTestMongo } = require('../helpers/mongo');
+const Coupon = require('../../src/models/Coupon');
+const CouponRedemption = require('../../src/models/CouponRedemption');
+const CouponError = require('../../src/errors/CouponError');
+const couponService = require('../../src/services/couponService');
+
+const userId = new mongoose.Types.ObjectId();
+
+const createCoupon = (overrides = {}) => Coupon.create({
+  code: 'FLASH10',
+  type: 'percentage',
+  value: 10,
+  currency: 'USD',
+  ...overrides,
+});
+
+/**
+ * Redeem a coupon for a new order in its own transaction, as checkout does
+ */
+const redeemInTransaction = async (coupon, user = userId) => {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => couponService.redeem(
+      coupon,
+      { userId: user, orderId: new mongoose.Types.ObjectId(), discountAmount: 500, currency: 'USD' },
+      session
+    ));
+  } finally {
+    await session.endSession();
+  }
+};
+
+const lines = [
+  { sku: 'FLASH-001', saleId: null, price: 4999, quantity: 2 },
+  { sku: 'FLASH-002', saleId: null, price: 1999, quantity: 1 },
+];
+
+describeWithMongo('couponService', () => {
+  useTestMongo();
+
+  describe('checkCoupon', () => {
+    it('discounts only the lines in the coupon\'s scope', async () => {
+      const coupon = await createCoupon({ scope: { skus: ['FLASH-001'] } });
+
+      const quote = await couponService.checkCoupon(coupon, userId, lines, 'USD');
+
+      expect(quote).toEqual({ discountAmount: 1000, skus: ['FLASH-001'] });
+    });
+
+    it('never discounts a fixed coupon past the eligible subtotal', async () => {
+      const coupon = await createCoupon({ type: 'fixed', value: 5000, scope: { skus: ['FLASH-002'] } });
+
+      const quote = await couponService.checkCoupon(coupon, userId, lines, 'USD');
+
+      expect(quote.discountAmount).toBe(1999);
+    });
+
+    it.each([
+      ['min_spend', { minSpend: 20000 }, 'USD'],
+      ['not_started', { startTime: new Date(Date.now() + 60000) }, 'USD'],
+      ['expired', { endTime: new Date(Date.now() - 60000) }, 'USD'],
+      ['not_applicable', { scope: { skus: ['FLASH-003'] } }, 'USD'],
+      ['currency', { type: 'fixed', value: 500 }, 'EUR'],
+    ])('refuses a coupon with reason %s', async (reason, overrides, currency) => {
+      const coupon = await createCoupon(overrides);
+
+      const error = await couponService.checkCoupon(coupon, userId, lines, currency).catch((err) => err);
+
+      expect(error).toBeInstanceOf(CouponError);
+      expect(error.reason).toBe(reason);
+    });
+  });
+
+  describe('redeem', () => {
+    it('never redeems a limited coupon more times than allowed when checkouts race', async () => {
+      const coupon = await createCoupon({ maxRedemptions: 3 });
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 10 }, () => redeemInTransaction(coupon, new mongoose.Types.ObjectId()))
+      );
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(3);
+      results
+        .filter((result) => result.status === 'rejected')
+        .forEach(({ reason }) => expect(reason).toMatchObject({ reason: 'exhausted' }));
+      expect((await Coupon.findById(coupon._id)).redemptionCount).toBe(3);
+      expect(await CouponRedemption.countDocuments({ couponId: coupon._id })).toBe(3);
+    });
+
+    it('holds each user to their own limit when they check out twice at once', async () => {
+      const coupon = await createCoupon({ maxRedemptionsPerUser: 1 });
+
+      const results = await Promise.allSettled(Array.from({ length: 5 }, () => redeemInTransaction(coupon)));
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      results
+        .filter((result) => result.status === 'rejected')
+        .forEach(({ reason }) => expect(reason).toMatchObject({ reason: 'user_limit' }));
+      expect((await Coupon.findById(coupon._id)).redemptionCount).toBe(1);
+      expect(await CouponRedemption.countDocuments({ couponId: coupon._id, userId })).toBe(1);
+    });
+
+    it('refuses a coupon deactivated after it was applied', async () => {
+      const coupon = await createCoupon();
+      await Coupon.updateOne({ _id: coupon._id }, { isActive: false });
+
+      await expect(redeemInTransaction(coupon)).rejects.toMatchObject({ reason: 'inactive' });
+    });
+  });
+
+  describe('releaseRedemption', () => {
+    it('gives the redemption back to the coupon', async () => {
+      const coupon = await createCoupon({ maxRedemptions: 1 });
+      const orderId = new mongoose.Types.ObjectId();
+      await CouponRedemption.create({ couponId: coupon._id, userId, orderId, discountAmount: 500, currency: 'USD' });
+      await Coupon.updateOne({ _id: coupon._id }, { redemptionCount: 1 });
+
+      await couponService.releaseRedemption(orderId, null);
+
+      expect((await Coupon.findById(coupon._id)).redemptionCount).toBe(0);
+      expect(await CouponRedemption.countDocuments({ orderId })).toBe(0);
+      await expect(redeemInTransaction(coupon)).resolves.toBeUndefined();
+    });
+  });
+});
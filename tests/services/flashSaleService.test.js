@@ -0,0 +1,141 @@
+jest.mock('../../src/services/redisService', () => ({
+  setCachedStock: jest.fn(),
+  getTotalReservedStock: jest.fn(),
+  adjustCachedStock: jest.fn(),
+}));
+
+const { describeWithMongo, useTestMongo } = require('../helpers/mongo');
+const Product = require('../../src/models/Product');
+const FlashSale = require('../../src/models/FlashSale');
+const InsufficientStockError = require('../../src/errors/InsufficientStockError');
+const flashSaleService = require('../../src/services/flashSaleService');
+
+const HOUR = 60 * 60 * 1000;
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR);
+
+const createProduct = (sku, currency = 'USD') => Product.create({
+  name: `Product ${sku}`,
+  sku,
+  totalStock: 100,
+  price: 4999,
+  currency,
+});
+
+/**
+ * Create a sale of FLASH-001 at 2999 with 10 units allocated, running between the given offsets in hours
+ */
+const createSale = (startHours, endHours, overrides = {}) => flashSaleService.createSale({
+  name: 'Midnight Madness',
+  startTime: hoursFromNow(startHours),
+  endTime: hoursFromNow(endHours),
+  items: [{ sku: 'FLASH-001', dealPrice: 2999, allocatedQuantity: 10 }],
+  ...overrides,
+});
+
+describeWithMongo('flashSaleService', () => {
+  useTestMongo();
+
+  beforeEach(async () => {
+    await createProduct('FLASH-001');
+  });
+
+  describe('createSale', () => {
+    it('takes the currency of its products', async () => {
+      const sale = await createSale(-1, 1);
+
+      expect(sale.currency).toBe('USD');
+      expect(sale.items[0]).toMatchObject({ sku: 'FLASH-001', dealPrice: 2999, allocatedQuantity: 10, soldQuantity: 0 });
+    });
+
+    it('rejects a window that ends before it starts', async () => {
+      await expect(createSale(2, 1)).rejects.toThrow('End time must be after start time');
+    });
+
+    it('rejects a SKU that is already in an overlapping sale', async () => {
+      await createSale(-1, 2);
+
+      await expect(createSale(1, 3, { name: 'Encore' })).rejects.toThrow(
+        'One or more SKUs are already in the overlapping flash sale "Midnight Madness"'
+      );
+      await expect(createSale(2, 3, { name: 'Encore' })).resolves.toBeDefined();
+    });
+
+    it('rejects products priced in different currencies', async () => {
+      await createProduct('FLASH-EUR', 'EUR');
+
+      await expect(createSale(-1, 1, {
+        items: [
+          { sku: 'FLASH-001', dealPrice: 2999, allocatedQuantity: 10 },
+          { sku: 'FLASH-EUR', dealPrice: 2999, allocatedQuantity: 10 },
+        ],
+      })).rejects.toThrow('Every product in a flash sale must be priced in the same currency');
+    });
+  });
+
+  describe('getSaleForReservation', () => {
+    it('returns the running sale with the SKU\'s deal', async () => {
+      const sale = await createSale(-1, 1);
+
+      const result = await flashSaleService.getSaleForReservation('FLASH-001');
+
+      expect(result.sale._id).toEqual(sale._id);
+      expect(result.item).toMatchObject({ sku: 'FLASH-001', dealPrice: 2999 });
+    });
+
+    it('refuses reservations before the sale starts', async () => {
+      await createSale(1, 2);
+
+      await expect(flashSaleService.getSaleForReservation('FLASH-001')).rejects.toThrow(
+        /SKU FLASH-001 can only be reserved during its flash sale/
+      );
+    });
+
+    it('ignores sales that have ended or were deleted', async () => {
+      await createSale(-2, -1);
+      const deleted = await createSale(-1, 1);
+      await flashSaleService.deleteSale(deleted._id.toString());
+
+      expect(await flashSaleService.getSaleForReservation('FLASH-001')).toBeNull();
+    });
+  });
+
+  describe('recordSold', () => {
+    it('never sells past the allocation when checkouts race', async () => {
+      const sale = await createSale(-1, 1);
+      const line = { saleId: sale._id, sku: 'FLASH-001', quantity: 3 };
+
+      const results = await Promise.allSettled(Array.from({ length: 5 }, () => flashSaleService.recordSold([line])));
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(3);
+      const rejected = results.filter((result) => result.status === 'rejected');
+      rejected.forEach(({ reason }) => expect(reason).toBeInstanceOf(InsufficientStockError));
+      expect(rejected[0].reason.items).toEqual([{ sku: 'FLASH-001', requested: 3, available: 1 }]);
+      expect((await FlashSale.findById(sale._id)).items[0].soldQuantity).toBe(9);
+    });
+
+    it('takes units back off the sold count when a checkout is undone', async () => {
+      const sale = await createSale(-1, 1);
+      await flashSaleService.recordSold([{ saleId: sale._id, sku: 'FLASH-001', quantity: 4 }]);
+
+      await flashSaleService.recordSold([{ saleId: sale._id, sku: 'FLASH-001', quantity: -4 }]);
+
+      expect((await FlashSale.findById(sale._id)).items[0].soldQuantity).toBe(0);
+    });
+  });
+
+  describe('updateSale', () => {
+    it('keeps sold quantities and refuses to allocate fewer units than were sold', async () => {
+      const sale = await createSale(-1, 1);
+      await flashSaleService.recordSold([{ saleId: sale._id, sku: 'FLASH-001', quantity: 6 }]);
+
+      const updated = await flashSaleService.updateSale(sale._id.toString(), {
+        items: [{ sku: 'FLASH-001', dealPrice: 2499, allocatedQuantity: 8 }],
+      });
+      expect(updated.items[0]).toMatchObject({ dealPrice: 2499, allocatedQuantity: 8, soldQuantity: 6 });
+
+      await expect(flashSaleService.updateSale(sale._id.toString(), {
+        items: [{ sku: 'FLASH-001', dealPrice: 2499, allocatedQuantity: 5 }],
+      })).rejects.toThrow('Allocated quantity for FLASH-001 cannot be below the 6 units already sold');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const moneyService = require('../../src/services/moneyService');
+
+describe('moneyService', () => {
+  describe('toMinorUnits', () => {
+    it('converts with each currency\'s own number of decimals', () => {
+      expect(moneyService.toMinorUnits(19.99, 'USD')).toBe(1999);
+      expect(moneyService.toMinorUnits(1999, 'JPY')).toBe(1999);
+      expect(moneyService.toMinorUnits(1.234, 'BHD')).toBe(1234);
+    });
+
+    it('rounds away float error instead of truncating it', () => {
+      // 0.29 * 100 is 28.999999999999996 in floating point
+      expect(moneyService.toMinorUnits(0.29, 'USD')).toBe(29);
+      expect(moneyService.toMinorUnits(4.35, 'EUR')).toBe(435);
+    });
+
+    it('refuses currencies it does not know', () => {
+      expect(() => moneyService.toMinorUnits(1, 'XYZ')).toThrow('Unsupported currency: XYZ');
+    });
+  });
+
+  describe('allocate', () => {
+    it('splits an amount in proportion to the weights, adding up exactly', () => {
+      expect(moneyService.allocate(100, [1, 1, 1])).toEqual([34, 33, 33]);
+      expect(moneyService.allocate(1000, [9998, 1999])).toEqual([833, 167]);
+    });
+
+    it('gives rounding leftovers to the largest remainders', () => {
+      expect(moneyService.allocate(10, [1, 2, 3])).toEqual([2, 3, 5]);
+    });
+
+    it('gives nothing to lines with no weight', () => {
+      expect(moneyService.allocate(500, [0, 4999, 0])).toEqual([0, 500, 0]);
+      expect(moneyService.allocate(500, [0, 0])).toEqual([0, 0]);
+    });
+
+    it('always adds up to the amount', () => {
+      const weights = [4999, 1999, 2999, 1, 7];
+      for (const amount of [0, 1, 7, 999, 1234, 10005]) {
+        expect(moneyService.allocate(amount, weights).reduce((sum, share) => sum + share, 0)).toBe(amount);
+      }
+    });
+  });
+});
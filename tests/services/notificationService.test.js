@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileNotifier = require('../../src/services/notifications/FileNotifier');
+const LogNotifier = require('../../src/services/notifications/LogNotifier');
+const notificationService = require('../../src/services/notificationService');
+
+const offer = { type: 'waitlist.offer', userId: 'user-1', sku: 'FLASH-001', quantity: 1 };
+
+describe('notificationService', () => {
+  afterEach(() => {
+    notificationService.setNotifier(null);
+    delete process.env.NOTIFIER;
+    delete process.env.NOTIFIER_FILE;
+    jest.restoreAllMocks();
+  });
+
+  it('logs notifications by default', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await notificationService.notify(offer);
+
+    expect(notificationService.getNotifier()).toBeInstanceOf(LogNotifier);
+    expect(console.log).toHaveBeenCalledWith('Notification for user user-1:', JSON.stringify(offer));
+  });
+
+  it('appends each notification to NOTIFIER_FILE as a line of JSON', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'notifications-'));
+    process.env.NOTIFIER = 'file';
+    process.env.NOTIFIER_FILE = path.join(dir, 'notifications.log');
+
+    try {
+      await notificationService.notify(offer);
+      await notificationService.notify({ ...offer, userId: 'user-2' });
+
+      expect(notificationService.getNotifier()).toBeInstanceOf(FileNotifier);
+      const lines = (await fs.promises.readFile(process.env.NOTIFIER_FILE, 'utf8')).trim().split('\n').map(JSON.parse);
+      expect(lines).toEqual([
+        { ...offer, sentAt: expect.any(String) },
+        { ...offer, userId: 'user-2', sentAt: expect.any(String) },
+      ]);
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('sends through a notifier plugged in with setNotifier', async () => {
+    const notifier = { notify: jest.fn().mockResolvedValue() };
+    notificationService.setNotifier(notifier);
+
+    await notificationService.notify(offer);
+
+    expect(notifier.notify).toHaveBeenCalledWith(offer);
+  });
+
+  it('refuses an unknown NOTIFIER', () => {
+    process.env.NOTIFIER = 'pigeon';
+
+    expect(() => notificationService.getNotifier()).toThrow('Unknown notifier: pigeon');
+  });
+});
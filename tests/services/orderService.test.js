@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/services/redisService', () => ({ adjustCachedStock: jest.fn() }));
+jest.mock('../../src/services/paymentService', () => ({ refund: jest.fn() }));
+jest.mock('../../src/services/userService', () => ({ getUserById: jest.fn() }));
+
+const { describeWithMongo, useTestMongo } = require('../helpers/mongo');
+const Order = require('../../src/models/Order');
+const Product = require('../../src/models/Product');
+const InventoryMovement = require('../../src/models/InventoryMovement');
+const OrderTransitionError = require('../../src/errors/OrderTransitionError');
+const paymentService = require('../../src/services/paymentService');
+const redisService = require('../../src/services/redisService');
+const orderService = require('../../src/services/orderService');
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+
+/**
+ * Create an order for a product placed at the given time, as checkout would record it
+ */
+const placeOrder = async ({ product, quantity = 1, user = userId, status = 'paid', payment = null, createdAt = new Date() }) => {
+  const subtotal = product.price * quantity;
+  const order = await Order.create({
+    userId: user,
+    items: [{
+      productId: product._id,
+      sku: product.sku,
+      name: product.name,
+      quantity,
+      price: product.price,
+      subtotal,
+      discountAmount: 0,
+      taxRate: 0,
+      taxAmount: 0,
+      total: subtotal,
+    }],
+    currency: 'USD',
+    subtotal,
+    totalAmount: subtotal,
+    status,
+    payment,
+  });
+  await Order.collection.updateOne({ _id: order._id }, { $set: { createdAt } });
+  return order;
+};
+
+describeWithMongo('orderService', () => {
+  useTestMongo();
+
+  let product;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    product = await Product.create({ name: 'Flash Deal Product', sku: 'FLASH-001', totalStock: 10, price: 4999, currency: 'USD' });
+  });
+
+  describe('getUserOrders', () => {
+    it('pages through the user\'s own orders, newest first', async () => {
+      for (let day = 1; day <= 5; day++) {
+        await placeOrder({ product, quantity: day, createdAt: new Date(`2026-01-0${day}T12:00:00Z`) });
+      }
+      await placeOrder({ product, user: otherUserId });
+
+      const result = await orderService.getUserOrders(userId.toString(), { page: 2, limit: 2 });
+
+      expect(result).toMatchObject({ page: 2, limit: 2, total: 5, totalPages: 3 });
+      expect(result.orders.map((order) => order.totalItems)).toEqual([3, 2]);
+      result.orders.forEach((order) => expect(order.userId).toEqual(userId));
+    });
+
+    it('filters by status and by an inclusive date range', async () => {
+      await placeOrder({ product, createdAt: new Date('2026-01-01T00:00:00Z') });
+      await placeOrder({ product, quantity: 2, createdAt: new Date('2026-01-02T00:00:00Z') });
+      await placeOrder({ product, quantity: 3, status: 'cancelled', createdAt: new Date('2026-01-02T12:00:00Z') });
+      await placeOrder({ product, quantity: 4, createdAt: new Date('2026-01-03T00:00:00Z') });
+
+      const result = await orderService.getUserOrders(userId.toString(), {
+        status: 'paid',
+        from: new Date('2026-01-02T00:00:00Z'),
+        to: new Date('2026-01-03T00:00:00Z'),
+      });
+
+      expect(result.total).toBe(2);
+      expect(result.orders.map((order) => order.totalItems)).toEqual([4, 2]);
+    });
+  });
+
+  describe('getOrderById', () => {
+    it('returns the line items with the totals captured at purchase', async () => {
+      const order = await placeOrder({ product, quantity: 2 });
+      await Product.updateOne({ _id: product._id }, { name: 'Renamed Product', price: 1 });
+
+      const result = await orderService.getOrderById(order._id.toString(), userId.toString());
+
+      expect(result).toMatchObject({ orderId: order._id, status: 'paid', totalItems: 2, subtotal: 9998, totalAmount: 9998 });
+      expect(result.items).toEqual([expect.objectContaining({
+        sku: 'FLASH-001',
+        name: 'Flash Deal Product',
+        price: 4999,
+        quantity: 2,
+        subtotal: 9998,
+        total: 9998,
+      })]);
+    });
+
+    it('falls back to the product name and price for orders placed before lines were recorded', async () => {
+      const order = await placeOrder({ product, quantity: 2 });
+      await Order.collection.updateOne({ _id: order._id }, {
+        $set: { subtotal: null, 'items.0.name': null, 'items.0.subtotal': null, 'items.0.total': null },
+      });
+
+      const result = await orderService.getOrderById(order._id.toString(), userId.toString());
+
+      expect(result.subtotal).toBe(9998);
+      expect(result.items[0]).toMatchObject({ name: 'Flash Deal Product', subtotal: 9998, discountAmount: 0, total: 9998 });
+    });
+
+    it('reports another user\'s order as not found', async () => {
+      const order = await placeOrder({ product, user: otherUserId });
+
+      await expect(orderService.getOrderById(order._id.toString(), userId.toString()))
+        .rejects.toThrow('Order not found');
+    });
+  });
+
+  describe('cancelOrder', () => {
+    const stockOf = async (sku) => (await Product.findOne({ sku })).totalStock;
+
+    it('returns a pending order\'s units to stock', async () => {
+      const order = await placeOrder({
+        product,
+        quantity: 3,
+        status: 'pending',
+        payment: { provider: 'mock', status: 'failed', reference: 'mock_ref_1', amount: 14997 },
+      });
+
+      const result = await orderService.cancelOrder(order._id, userId);
+
+      expect(result.status).toBe('cancelled');
+      expect(await stockOf('FLASH-001')).toBe(13);
+      expect(await InventoryMovement.find({ orderId: order._id }).lean()).toEqual([
+        expect.objectContaining({ type: 'cancellation', delta: 3, balance: 13 }),
+      ]);
+      expect(redisService.adjustCachedStock).toHaveBeenCalledWith('FLASH-001', 3);
+      expect(paymentService.refund).not.toHaveBeenCalled();
+    });
+
+    it('refunds a paid order before returning its units to stock', async () => {
+      const order = await placeOrder({
+        product,
+        quantity: 2,
+        payment: { provider: 'mock', status: 'captured', reference: 'mock_ref_1', amount: 9998 },
+      });
+
+      const result = await orderService.cancelOrder(order._id, userId);
+
+      expect(paymentService.refund).toHaveBeenCalledWith('mock_ref_1', 9998);
+      expect(result.status).toBe('cancelled');
+      expect(result.payment.status).toBe('refunded');
+      expect(await stockOf('FLASH-001')).toBe(12);
+    });
+
+    it('refuses to cancel an order whose payment is still being captured', async () => {
+      const order = await placeOrder({
+        product,
+        status: 'pending',
+        payment: { provider: 'mock', status: 'processing', reference: 'mock_ref_1', amount: 4999 },
+      });
+
+      await expect(orderService.cancelOrder(order._id, userId)).rejects.toBeInstanceOf(OrderTransitionError);
+
+      expect((await Order.findById(order._id)).status).toBe('pending');
+      expect(await stockOf('FLASH-001')).toBe(10);
+    });
+
+    it('does not restock an order cancelled twice', async () => {
+      const order = await placeOrder({ product, quantity: 2, status: 'pending' });
+
+      await orderService.cancelOrder(order._id, userId);
+      await expect(orderService.cancelOrder(order._id, userId)).rejects.toBeInstanceOf(OrderTransitionError);
+
+      expect(await stockOf('FLASH-001')).toBe(12);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('../../src/services/couponService', () => ({ quoteCoupon: jest.fn() }));
+
+const CouponError = require('../../src/errors/CouponError');
+const couponService = require('../../src/services/couponService');
+const taxService = require('../../src/services/taxService');
+const pricingService = require('../../src/services/pricingService');
+
+const lines = [
+  { sku: 'FLASH-001', saleId: null, price: 4999, quantity: 2, currency: 'USD' },
+  { sku: 'FLASH-002', saleId: null, price: 1999, quantity: 1, currency: 'USD' },
+  { sku: 'FLASH-003', saleId: null, price: 333, quantity: 3, currency: 'USD' },
+];
+
+/**
+ * Check that the line amounts add up exactly to the totals
+ */
+const expectLinesToAddUp = (pricing) => {
+  const sum = (field) => pricing.lines.reduce((total, line) => total + line[field], 0);
+  expect(sum('subtotal')).toBe(pricing.subtotal);
+  expect(sum('discountAmount')).toBe(pricing.discountAmount);
+  expect(sum('taxAmount')).toBe(pricing.taxAmount);
+  expect(sum('total')).toBe(pricing.totalAmount);
+  expect(pricing.totalAmount).toBe(pricing.subtotal - pricing.discountAmount + pricing.taxAmount);
+};
+
+describe('pricingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.TAX_DEFAULT_REGION;
+  });
+
+  it('taxes each line at the region\'s rate in whole minor units', async () => {
+    const pricing = await pricingService.priceLines('user-1', lines, { region: 'US-CA' });
+
+    expect(pricing.lines.map(({ subtotal, taxRate, taxAmount }) => ({ subtotal, taxRate, taxAmount }))).toEqual([
+      { subtotal: 9998, taxRate: 0.0725, taxAmount: 725 },
+      { subtotal: 1999, taxRate: 0.0725, taxAmount: 145 },
+      { subtotal: 999, taxRate: 0.0725, taxAmount: 72 },
+    ]);
+    expect(pricing).toMatchObject({ currency: 'USD', taxRegion: 'US-CA', subtotal: 12996, taxAmount: 942, totalAmount: 13938 });
+    expectLinesToAddUp(pricing);
+  });
+
+  it('uses the country\'s rate for a subdivision without its own, and no tax for unknown regions', async () => {
+    const british = await pricingService.priceLines('user-1', lines, { region: 'GB-SCT' });
+    const untaxed = await pricingService.priceLines('user-1', lines, { region: 'ZZ' });
+
+    expect(british.lines.every((line) => line.taxRate === 0.2)).toBe(true);
+    expect(untaxed.taxAmount).toBe(0);
+    expect(untaxed.totalAmount).toBe(untaxed.subtotal);
+  });
+
+  it('falls back to TAX_DEFAULT_REGION when no region is given', async () => {
+    process.env.TAX_DEFAULT_REGION = 'DE';
+
+    const pricing = await pricingService.priceLines('user-1', lines);
+
+    expect(pricing.taxRegion).toBe('DE');
+    expect(pricing.lines[0].taxRate).toBe(0.19);
+  });
+
+  it('spreads a coupon over its lines by subtotal and taxes each line after its discount', async () => {
+    couponService.quoteCoupon.mockResolvedValue({
+      coupon: { code: 'SAVE10', description: '10 off' },
+      discountAmount: 1000,
+      skus: ['FLASH-001', 'FLASH-003'],
+    });
+
+    const pricing = await pricingService.priceLines('user-1', lines, { couponCode: 'SAVE10', region: 'US-NY' });
+
+    expect(pricing.lines.map(({ discountAmount, taxAmount }) => ({ discountAmount, taxAmount }))).toEqual([
+      { discountAmount: 909, taxAmount: 364 },
+      { discountAmount: 0, taxAmount: 80 },
+      { discountAmount: 91, taxAmount: 36 },
+    ]);
+    expect(pricing.discounts).toEqual([{ code: 'SAVE10', description: '10 off', skus: ['FLASH-001', 'FLASH-003'], amount: 1000 }]);
+    expect(pricing.coupon).toEqual({ code: 'SAVE10', applied: true });
+    expectLinesToAddUp(pricing);
+  });
+
+  it('reports a coupon that does not apply instead of failing, unless strict', async () => {
+    couponService.quoteCoupon.mockRejectedValue(new CouponError({ code: 'SAVE10', reason: 'expired' }));
+
+    const pricing = await pricingService.priceLines('user-1', lines, { couponCode: 'SAVE10' });
+
+    expect(pricing.coupon).toEqual({ code: 'SAVE10', applied: false, message: 'Coupon SAVE10 has expired' });
+    expect(pricing.discountAmount).toBe(0);
+    await expect(pricingService.priceLines('user-1', lines, { couponCode: 'SAVE10', strict: true }))
+      .rejects.toBeInstanceOf(CouponError);
+  });
+
+  it('refuses lines priced in different currencies', async () => {
+    await expect(pricingService.priceLines('user-1', [lines[0], { ...lines[1], currency: 'EUR' }]))
+      .rejects.toThrow('Items priced in different currencies cannot be bought together');
+  });
+
+  it('refuses a tax calculator that returns fractional amounts', async () => {
+    const calculator = taxService.getCalculator();
+    taxService.setCalculator({ name: 'broken', calculate: async ({ lines: taxed }) => taxed.map(() => ({ rate: 0.1, taxAmount: 0.5 })) });
+
+    try {
+      await expect(pricingService.priceLines('user-1', lines)).rejects.toThrow('Tax calculator broken returned an invalid result');
+    } finally {
+      taxService.setCalculator(calculator);
+    }
+  });
+});
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/services/redisService', () => ({
+  setCachedStock: jest.fn(),
+  getTotalReservedStock: jest.fn(),
+  adjustCachedStock: jest.fn(),
+  reduceCachedStock: jest.fn(),
+}));
+
+const { describeWithMongo, useTestMongo } = require('../helpers/mongo');
+const Product = require('../../src/models/Product');
+const InventoryMovement = require('../../src/models/InventoryMovement');
+const InsufficientStockError = require('../../src/errors/InsufficientStockError');
+const productService = require('../../src/services/productService');
+
+const createProduct = (sku, totalStock) => Product.create({
+  name: `Product ${sku}`,
+  sku,
+  totalStock,
+  price: 4999,
+  currency: 'USD',
+});
+
+const stockOf = async (sku) => (await Product.findOne({ sku })).totalStock;
+
+/**
+ * Run a function in a MongoDB transaction, as checkout does
+ */
+const inTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => fn(session));
+  } finally {
+    await session.endSession();
+  }
+};
+
+describeWithMongo('productService', () => {
+  useTestMongo();
+
+  describe('reduceStock', () => {
+    it('never takes stock below zero when checkouts race', async () => {
+      await createProduct('FLASH-001', 5);
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 10 }, () => productService.reduceStock('FLASH-001', 1))
+      );
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(5);
+      const rejected = results.filter((result) => result.status === 'rejected');
+      expect(rejected).toHaveLength(5);
+      rejected.forEach(({ reason }) => expect(reason).toBeInstanceOf(InsufficientStockError));
+      expect(await stockOf('FLASH-001')).toBe(0);
+      expect(await InventoryMovement.countDocuments({ sku: 'FLASH-001', type: 'checkout' })).toBe(5);
+    });
+
+    it('reports the SKU that ran out with what is left', async () => {
+      await createProduct('FLASH-001', 2);
+
+      const error = await productService.reduceStock('FLASH-001', 3).catch((err) => err);
+
+      expect(error).toBeInstanceOf(InsufficientStockError);
+      expect(error.items).toEqual([{ sku: 'FLASH-001', requested: 3, available: 2 }]);
+      expect(await stockOf('FLASH-001')).toBe(2);
+    });
+  });
+
+  describe('reduceStockBulk', () => {
+    it('decrements every SKU of an order, merging repeated lines', async () => {
+      await createProduct('FLASH-001', 5);
+      await createProduct('FLASH-002', 5);
+
+      await inTransaction((session) => productService.reduceStockBulk(
+        [{ sku: 'FLASH-001', quantity: 1 }, { sku: 'FLASH-002', quantity: 2 }, { sku: 'FLASH-001', quantity: 2 }],
+        session
+      ));
+
+      expect(await stockOf('FLASH-001')).toBe(2);
+      expect(await stockOf('FLASH-002')).toBe(3);
+      const movements = await InventoryMovement.find({ type: 'checkout' }).sort({ sku: 1 }).lean();
+      expect(movements).toEqual([
+        expect.objectContaining({ sku: 'FLASH-001', delta: -3, balance: 2 }),
+        expect.objectContaining({ sku: 'FLASH-002', delta: -2, balance: 3 }),
+      ]);
+    });
+
+    it('lists every SKU that ran out and changes nothing', async () => {
+      await createProduct('FLASH-001', 1);
+      await createProduct('FLASH-002', 5);
+      await createProduct('FLASH-003', 0);
+
+      const error = await inTransaction((session) => productService.reduceStockBulk(
+        [{ sku: 'FLASH-001', quantity: 2 }, { sku: 'FLASH-002', quantity: 2 }, { sku: 'FLASH-003', quantity: 1 }],
+        session
+      )).catch((err) => err);
+
+      expect(error).toBeInstanceOf(InsufficientStockError);
+      expect(error.items).toEqual([
+        { sku: 'FLASH-001', requested: 2, available: 1 },
+        { sku: 'FLASH-003', requested: 1, available: 0 },
+      ]);
+      expect(await stockOf('FLASH-002')).toBe(5);
+      expect(await InventoryMovement.countDocuments({ type: 'checkout' })).toBe(0);
+    });
+  });
+
+  describe('inventory ledger', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const orderId = new mongoose.Types.ObjectId();
+
+    it('records every stock change with the balance it left', async () => {
+      await productService.createProduct({ name: 'Flash Deal Product', sku: 'FLASH-001', totalStock: 10, price: 4999 }, userId);
+      await productService.restockProduct('FLASH-001', 5, userId);
+      await productService.reduceStock('FLASH-001', 3, null, { orderId, userId });
+      await productService.restoreStock('FLASH-001', 3, null, { orderId, userId });
+
+      const { movements } = await productService.getLedger('FLASH-001');
+
+      expect(movements.map(({ type, delta, balance }) => ({ type, delta, balance }))).toEqual([
+        { type: 'cancellation', delta: 3, balance: 15 },
+        { type: 'checkout', delta: -3, balance: 12 },
+        { type: 'restock', delta: 5, balance: 15 },
+        { type: 'creation', delta: 10, balance: 10 },
+      ]);
+      expect(movements[0].orderId).toEqual(orderId);
+      expect(movements[3].userId).toEqual(userId);
+      expect(await stockOf('FLASH-001')).toBe(15);
+    });
+
+    it('pages through the movements newest first', async () => {
+      await productService.createProduct({ name: 'Flash Deal Product', sku: 'FLASH-001', totalStock: 10, price: 4999 });
+      for (let i = 1; i <= 4; i++) {
+        await productService.restockProduct('FLASH-001', i);
+      }
+
+      const ledger = await productService.getLedger('FLASH-001', { page: 2, limit: 2 });
+
+      expect(ledger).toMatchObject({ sku: 'FLASH-001', page: 2, limit: 2, total: 5, totalPages: 3 });
+      expect(ledger.movements.map(({ delta }) => delta)).toEqual([2, 1]);
+    });
+
+    it('refuses to edit or delete a movement', async () => {
+      await productService.createProduct({ name: 'Flash Deal Product', sku: 'FLASH-001', totalStock: 10, price: 4999 });
+      const movement = await InventoryMovement.findOne({ sku: 'FLASH-001' });
+
+      await expect(InventoryMovement.updateOne({ _id: movement._id }, { delta: 99 }))
+        .rejects.toThrow('Inventory movements are append-only');
+      await expect(InventoryMovement.deleteOne({ _id: movement._id }))
+        .rejects.toThrow('Inventory movements are append-only');
+      movement.delta = 99;
+      await expect(movement.save()).rejects.toThrow('Inventory movements are append-only');
+      expect(await InventoryMovement.countDocuments({ sku: 'FLASH-001', delta: 10 })).toBe(1);
+    });
+
+    it('reports drift between totalStock and the ledger', async () => {
+      await productService.createProduct({ name: 'Flash Deal Product', sku: 'FLASH-001', totalStock: 10, price: 4999 });
+      await productService.createProduct({ name: 'Flash Deal Product', sku: 'FLASH-002', totalStock: 5, price: 4999 });
+      await productService.reduceStock('FLASH-001', 4);
+      // A write that bypasses the ledger
+      await Product.collection.updateOne({ sku: 'FLASH-002' }, { $inc: { totalStock: 2 } });
+      await createProduct('FLASH-003', 3);
+
+      const report = await productService.reconcileInventory();
+
+      expect(report.sort((a, b) => a.sku.localeCompare(b.sku))).toEqual([
+        { sku: 'FLASH-001', totalStock: 6, ledgerStock: 6, movements: 2, drift: 0 },
+        { sku: 'FLASH-002', totalStock: 7, ledgerStock: 5, movements: 1, drift: 2 },
+        { sku: 'FLASH-003', totalStock: 3, ledgerStock: 0, movements: 0, drift: 3 },
+      ]);
+    });
+
+    it('gives an opening balance only to products without movements', async () => {
+      await productService.createProduct({ name: 'Flash Deal Product', sku: 'FLASH-001', totalStock: 10, price: 4999 });
+      await createProduct('FLASH-002', 3);
+
+      expect(await productService.recordOpeningBalances()).toEqual(['FLASH-002']);
+      expect(await productService.recordOpeningBalances()).toEqual([]);
+
+      const report = await productService.reconcileInventory();
+      report.forEach(({ drift }) => expect(drift).toBe(0));
+      expect(await InventoryMovement.countDocuments({ sku: 'FLASH-001' })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/redis', () => require('../helpers/redis').redisConfig);
+jest.mock('../../src/services/userService', () => ({ userExists: jest.fn() }));
+jest.mock('../../src/services/flashSaleService', () => ({ getSaleById: jest.fn() }));
+
+const { describeWithRedis, useTestRedis } = require('../helpers/redis');
+const userService = require('../../src/services/userService');
+const flashSaleService = require('../../src/services/flashSaleService');
+const redisService = require('../../src/services/redisService');
+const queueService = require('../../src/services/queueService');
+
+const HOUR = 60 * 60 * 1000;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const newUserId = () => new mongoose.Types.ObjectId().toString();
+
+describeWithRedis('queueService', () => {
+  useTestRedis();
+
+  let sale;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.QUEUE_ADMIT_BATCH_SIZE = '2';
+    process.env.QUEUE_ADMIT_INTERVAL_MS = '5000';
+    sale = {
+      _id: new mongoose.Types.ObjectId(),
+      startTime: new Date(Date.now() - HOUR),
+      endTime: new Date(Date.now() + HOUR),
+    };
+    userService.userExists.mockResolvedValue(true);
+    flashSaleService.getSaleById.mockImplementation(async () => sale);
+  });
+
+  afterEach(() => {
+    delete process.env.QUEUE_ADMIT_BATCH_SIZE;
+    delete process.env.QUEUE_ADMIT_INTERVAL_MS;
+    delete process.env.QUEUE_ADMISSION_TTL_SECONDS;
+  });
+
+  const joinAll = (userIds) => userIds.reduce(
+    (previous, userId) => previous.then(async (tickets) => [...tickets, await queueService.joinQueue(userId, sale._id)]),
+    Promise.resolve([])
+  );
+
+  it('issues tickets in arrival order with an estimated wait, and the same ticket on a second join', async () => {
+    const [alice, bob, carol] = [newUserId(), newUserId(), newUserId()];
+    const tickets = await joinAll([alice, bob, carol]);
+
+    expect(tickets.map(({ status, position }) => ({ status, position }))).toEqual([
+      { status: 'waiting', position: 1 },
+      { status: 'waiting', position: 2 },
+      { status: 'waiting', position: 3 },
+    ]);
+    expect(tickets[2].estimatedWaitSeconds).toBe(10);
+
+    const again = await queueService.joinQueue(bob, sale._id);
+    expect(again).toMatchObject({ ticket: tickets[1].ticket, position: 2 });
+  });
+
+  it('admits a batch per run and hands out admission tokens only to its ticket holders', async () => {
+    const [alice, bob, carol] = [newUserId(), newUserId(), newUserId()];
+    const tickets = await joinAll([alice, bob, carol]);
+
+    expect(await queueService.runOnce()).toEqual([{ saleId: sale._id.toString(), admittedThrough: 2 }]);
+
+    const admitted = await queueService.getTicketStatus(tickets[0].ticket, alice);
+    expect(admitted).toMatchObject({ status: 'admitted', admissionToken: expect.any(String) });
+    expect(await queueService.getTicketStatus(tickets[2].ticket, carol)).toMatchObject({ status: 'waiting', position: 1 });
+
+    expect(await queueService.isAdmitted(sale._id, alice, admitted.admissionToken)).toBe(true);
+    expect(await queueService.isAdmitted(sale._id, bob, admitted.admissionToken)).toBe(false);
+    expect(await queueService.isAdmitted(sale._id, alice, 'forged')).toBe(false);
+    await expect(queueService.getTicketStatus(tickets[0].ticket, bob)).rejects.toThrow('Ticket not found');
+  });
+
+  it('admits at most one batch per interval however many admitters run', async () => {
+    process.env.QUEUE_ADMIT_INTERVAL_MS = '200';
+    await joinAll(Array.from({ length: 6 }, newUserId));
+    const saleId = sale._id.toString();
+
+    const first = await Promise.all([queueService.runOnce(), redisService.admitQueueBatch(saleId, 2, 200)]);
+    expect(first).toEqual([[{ saleId, admittedThrough: 2 }], 2]);
+
+    // A run a little early still gets the next batch rather than skipping a whole interval
+    await sleep(150);
+    expect(await redisService.admitQueueBatch(saleId, 2, 200)).toBe(4);
+    expect(await redisService.admitQueueBatch(saleId, 2, 200)).toBe(4);
+  });
+
+  it('skips sales that have not started and drops ended ones', async () => {
+    await joinAll([newUserId()]);
+    sale.startTime = new Date(Date.now() + HOUR);
+    sale.endTime = new Date(Date.now() + 2 * HOUR);
+
+    expect(await queueService.runOnce()).toEqual([]);
+    expect(await redisService.getQueuedSales()).toEqual([sale._id.toString()]);
+
+    sale.startTime = new Date(Date.now() - 2 * HOUR);
+    sale.endTime = new Date(Date.now() - HOUR);
+    expect(await queueService.runOnce()).toEqual([]);
+    expect(await redisService.getQueuedSales()).toEqual([]);
+  });
+
+  it('expires an unused admission and gives a new ticket on rejoin', async () => {
+    process.env.QUEUE_ADMISSION_TTL_SECONDS = '1';
+    const userId = newUserId();
+    const [ticket] = await joinAll([userId]);
+    await queueService.runOnce();
+    await queueService.getTicketStatus(ticket.ticket, userId);
+
+    await sleep(1100);
+
+    expect(await queueService.getTicketStatus(ticket.ticket, userId)).toMatchObject({ status: 'expired' });
+    const rejoined = await queueService.joinQueue(userId, sale._id);
+    expect(rejoined.ticket).not.toBe(ticket.ticket);
+    expect(rejoined).toMatchObject({ status: 'waiting', position: 1 });
+  });
+});
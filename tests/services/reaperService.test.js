@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/redis', () => require('../helpers/redis').redisConfig);
+jest.mock('../../src/models/ReservationAudit', () => ({ insertMany: jest.fn() }));
+
+const { describeWithRedis, useTestRedis, redisConfig } = require('../helpers/redis');
+const ReservationAudit = require('../../src/models/ReservationAudit');
+const redisService = require('../../src/services/redisService');
+const reaperService = require('../../src/services/reaperService');
+const { eventBus, EVENTS } = require('../../src/events/eventBus');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Give a new user a one-second hold on a SKU and wait for it to lapse
+ */
+const expireHold = async (sku, quantity) => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  await redisService.reserveItems(
+    userId,
+    [{ sku, quantity, totalStock: 10, maxHoldSeconds: 3600, details: {} }],
+    1
+  );
+  await sleep(1100);
+  return userId;
+};
+
+const processing = () => redisConfig.getRedisClient().zCard('reservation_expired_processing');
+
+describeWithRedis('reaperService', () => {
+  useTestRedis();
+
+  let expired;
+  const onExpired = (hold) => expired.push(hold);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ReservationAudit.insertMany.mockResolvedValue([]);
+    expired = [];
+    eventBus.on(EVENTS.RESERVATION_EXPIRED, onExpired);
+  });
+
+  afterEach(() => {
+    eventBus.off(EVENTS.RESERVATION_EXPIRED, onExpired);
+    delete process.env.RESERVATION_REAPER_LEASE_MS;
+  });
+
+  it('records each expired hold once and clears it from the processing set', async () => {
+    const userId = await expireHold('FLASH-001', 2);
+
+    const processed = await reaperService.runOnce();
+    const again = await reaperService.runOnce();
+
+    expect(processed).toEqual([expect.objectContaining({ sku: 'FLASH-001', userId, quantity: 2 })]);
+    expect(processed[0]).not.toHaveProperty('entry');
+    expect(again).toEqual([]);
+    expect(ReservationAudit.insertMany).toHaveBeenCalledTimes(1);
+    expect(ReservationAudit.insertMany.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ userId, sku: 'FLASH-001', quantity: 2, event: 'expired' }),
+    ]);
+    expect(expired).toEqual([expect.objectContaining({ userId, sku: 'FLASH-001', quantity: 2 })]);
+    expect(await processing()).toBe(0);
+  });
+
+  it('puts a batch back on the queue when its audit records cannot be written', async () => {
+    const userId = await expireHold('FLASH-001', 1);
+    ReservationAudit.insertMany.mockRejectedValueOnce(new Error('MongoDB unavailable'));
+
+    await expect(reaperService.runOnce()).rejects.toThrow('MongoDB unavailable');
+    expect(expired).toEqual([]);
+    expect(await processing()).toBe(0);
+
+    const processed = await reaperService.runOnce();
+
+    expect(processed).toEqual([expect.objectContaining({ sku: 'FLASH-001', userId, quantity: 1 })]);
+    expect(expired).toHaveLength(1);
+  });
+
+  it('recovers holds a stopped reaper claimed once their lease runs out, and not before', async () => {
+    const userId = await expireHold('FLASH-001', 3);
+    await redisService.sweepExpiredReservations('FLASH-001');
+    // A reaper claims the hold and stops before recording it
+    const [claimed] = await redisService.claimExpiredReservations(10);
+    expect(claimed).toEqual(expect.objectContaining({ userId }));
+
+    expect(await reaperService.runOnce()).toEqual([]);
+    expect(await processing()).toBe(1);
+
+    process.env.RESERVATION_REAPER_LEASE_MS = '50';
+    await sleep(60);
+    const processed = await reaperService.runOnce();
+
+    expect(processed).toEqual([expect.objectContaining({ sku: 'FLASH-001', userId, quantity: 3 })]);
+    expect(ReservationAudit.insertMany).toHaveBeenCalledTimes(1);
+    expect(await processing()).toBe(0);
+  });
+});
@@ -0,0 +1,288 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/redis', () => require('../helpers/redis').redisConfig);
+
+const { describeWithRedis, useTestRedis, redisConfig } = require('../helpers/redis');
+const redisService = require('../../src/services/redisService');
+
+const newUserId = () => new mongoose.Types.ObjectId().toString();
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Build an item for redisService.reserveItems
+ */
+const item = (sku, quantity, totalStock, overrides = {}) => ({
+  sku,
+  quantity,
+  totalStock,
+  maxHoldSeconds: 3600,
+  details: { saleId: null, unitPrice: 4999, currency: 'USD' },
+  ...overrides,
+});
+
+describeWithRedis('redisService', () => {
+  useTestRedis();
+
+  describe('reserveItems', () => {
+    it('never reserves more than the stock when many users reserve at once', async () => {
+      const userIds = Array.from({ length: 20 }, newUserId);
+
+      const results = await Promise.all(
+        userIds.map((userId) => redisService.reserveItems(userId, [item('FLASH-001', 1, 5)], 600))
+      );
+
+      expect(results.filter((result) => result.success)).toHaveLength(5);
+      expect(results.filter((result) => !result.success)).toEqual(
+        Array(15).fill({ success: false, reason: 'stock', sku: 'FLASH-001', availableStock: 0 })
+      );
+      expect(await redisService.getTotalReservedStock('FLASH-001')).toBe(5);
+    });
+
+    it('reserves nothing when one SKU in the request is short', async () => {
+      const userId = newUserId();
+
+      const result = await redisService.reserveItems(
+        userId,
+        [item('FLASH-001', 2, 10), item('FLASH-002', 3, 2)],
+        600
+      );
+
+      expect(result).toEqual({ success: false, reason: 'stock', sku: 'FLASH-002', availableStock: 2 });
+      expect(await redisService.getReservedQuantity(userId, 'FLASH-001')).toBe(0);
+      expect(await redisService.getTotalReservedStock('FLASH-001')).toBe(0);
+      expect(await redisService.getUserReservations(userId)).toEqual([]);
+    });
+
+    it('adds to an existing hold and counts it against the stock', async () => {
+      const userId = newUserId();
+
+      await redisService.reserveItems(userId, [item('FLASH-001', 2, 5)], 600);
+      const topUp = await redisService.reserveItems(userId, [item('FLASH-001', 2, 5)], 600);
+      const overLimit = await redisService.reserveItems(userId, [item('FLASH-001', 2, 5)], 600);
+
+      expect(topUp).toEqual({ success: true });
+      expect(overLimit).toEqual({ success: false, reason: 'stock', sku: 'FLASH-001', availableStock: 1 });
+      expect(await redisService.getReservedQuantity(userId, 'FLASH-001')).toBe(4);
+      expect(await redisService.getUserReservations(userId)).toEqual([
+        expect.objectContaining({ sku: 'FLASH-001', quantity: 4 }),
+      ]);
+    });
+  });
+
+  describe('hold expiry', () => {
+    it('keeps the expiry of a hold the user adds to', async () => {
+      const userId = newUserId();
+      await redisService.reserveItems(userId, [item('FLASH-001', 1, 5)], 600);
+      const [before] = await redisService.getUserReservations(userId);
+
+      await sleep(20);
+      await redisService.reserveItems(userId, [item('FLASH-001', 2, 5)], 600);
+
+      const [after] = await redisService.getUserReservations(userId);
+      expect(after.quantity).toBe(3);
+      expect(after.expiresAt).toEqual(before.expiresAt);
+    });
+
+    it('renews a hold to at least the new ttl when asked, without shortening it', async () => {
+      const userId = newUserId();
+      await redisService.reserveItems(userId, [item('FLASH-001', 1, 5)], 60);
+      const [before] = await redisService.getUserReservations(userId);
+
+      await redisService.reserveItems(userId, [item('FLASH-001', 1, 5)], 600, { renew: true });
+      const [renewed] = await redisService.getUserReservations(userId);
+      await redisService.reserveItems(userId, [item('FLASH-001', 1, 5)], 30, { renew: true });
+      const [after] = await redisService.getUserReservations(userId);
+
+      expect(renewed.expiresAt.getTime()).toBeGreaterThanOrEqual(before.expiresAt.getTime() + 540 * 1000);
+      expect(after.expiresAt).toEqual(renewed.expiresAt);
+      expect(after.quantity).toBe(3);
+    });
+  });
+
+  describe('extendReservations', () => {
+    const policy = (overrides = {}) => ({ sku: 'FLASH-001', maxExtensions: 2, maxHoldSeconds: 3600, ...overrides });
+
+    it('pushes the hold to ttlSeconds from now until the extensions run out', async () => {
+      const userId = newUserId();
+      await redisService.reserveItems(userId, [item('FLASH-001', 1, 5)], 60);
+
+      const before = Date.now();
+      const [first] = await redisService.extendReservations(userId, [policy()], 600);
+      const [second] = await redisService.extendReservations(userId, [policy()], 900);
+      const [third] = await redisService.extendReservations(userId, [policy()], 1200);
+
+      expect(first).toMatchObject({ sku: 'FLASH-001', status: 'extended', extensions: 1 });
+      expect(first.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 600 * 1000);
+      expect(second).toMatchObject({ status: 'extended', extensions: 2 });
+      expect(third).toEqual({ sku: 'FLASH-001', status: 'max_extensions', expiresAt: second.expiresAt, extensions: 2 });
+
+      const [hold] = await redisService.getUserReservations(userId);
+      expect(hold.expiresAt).toEqual(second.expiresAt);
+    });
+
+    it('never extends a hold past its maximum hold time', async () => {
+      const userId = newUserId();
+      await redisService.reserveItems(userId, [item('FLASH-001', 1, 5, { maxHoldSeconds: 700 })], 600);
+      const [hold] = await redisService.getUserReservations(userId);
+
+      const [capped] = await redisService.extendReservations(userId, [policy({ maxHoldSeconds: 700 })], 900);
+      const [refused] = await redisService.extendReservations(userId, [policy({ maxHoldSeconds: 700 })], 900);
+
+      expect(capped.status).toBe('extended');
+      expect(capped.expiresAt.getTime()).toBeLessThanOrEqual(hold.expiresAt.getTime() + 100 * 1000);
+      expect(capped.expiresAt.getTime()).toBeGreaterThan(hold.expiresAt.getTime());
+      expect(refused).toEqual({ sku: 'FLASH-001', status: 'max_hold', expiresAt: capped.expiresAt, extensions: 1 });
+    });
+
+    it('reports SKUs the user holds nothing of as not found', async () => {
+      const [alice, bob] = [newUserId(), newUserId()];
+      await redisService.reserveItems(alice, [item('FLASH-001', 1, 5)], 60);
+
+      const results = await redisService.extendReservations(bob, [policy(), policy({ sku: 'FLASH-002' })], 600);
+
+      expect(results).toEqual([
+        { sku: 'FLASH-001', status: 'not_found', expiresAt: null, extensions: 0 },
+        { sku: 'FLASH-002', status: 'not_found', expiresAt: null, extensions: 0 },
+      ]);
+    });
+  });
+
+  describe('sweepExpiredReservations', () => {
+    it('returns lapsed holds to the available stock and queues them for the reaper', async () => {
+      const [alice, bob] = [newUserId(), newUserId()];
+      await redisService.reserveItems(alice, [item('FLASH-001', 3, 5)], 1);
+      await redisService.reserveItems(bob, [item('FLASH-001', 1, 5)], 600);
+
+      await sleep(1100);
+
+      expect(await redisService.sweepExpiredReservations('FLASH-001')).toBe(1);
+      expect(await redisService.reserveItems(newUserId(), [item('FLASH-001', 4, 5)], 600)).toEqual({ success: true });
+      expect(await redisService.claimExpiredReservations(10)).toEqual([
+        expect.objectContaining({ sku: 'FLASH-001', userId: alice, quantity: 3 }),
+      ]);
+    });
+
+    it('leaves live holds in place', async () => {
+      const userId = newUserId();
+      await redisService.reserveItems(userId, [item('FLASH-001', 2, 5)], 600);
+
+      expect(await redisService.sweepExpiredReservations('FLASH-001')).toBe(2);
+      expect(await redisService.getReservedQuantity(userId, 'FLASH-001')).toBe(2);
+      expect(await redisService.claimExpiredReservations(10)).toEqual([]);
+    });
+  });
+
+  describe('getUserReservations', () => {
+    it('drops lapsed holds from the index and keeps live ones', async () => {
+      const userId = newUserId();
+      await redisService.reserveItems(userId, [item('FLASH-001', 1, 5)], 1);
+      await redisService.reserveItems(userId, [item('FLASH-002', 2, 5)], 600);
+
+      await sleep(1100);
+      const reservations = await redisService.getUserReservations(userId);
+
+      expect(reservations).toEqual([
+        expect.objectContaining({ sku: 'FLASH-002', quantity: 2, unitPrice: 4999, currency: 'USD' }),
+      ]);
+      const index = await redisConfig.getRedisClient().hGetAll(`user_reservations:${userId}`);
+      expect(Object.keys(index)).toEqual(['FLASH-002']);
+    });
+
+    it('keeps a hold reserved again after it lapsed', async () => {
+      const userId = newUserId();
+      await redisService.reserveItems(userId, [item('FLASH-001', 1, 5)], 1);
+      await redisService.reserveItems(userId, [item('FLASH-002', 1, 5)], 600);
+      await sleep(1100);
+
+      await redisService.reserveItems(userId, [item('FLASH-001', 3, 5)], 600);
+      const reservations = await redisService.getUserReservations(userId);
+
+      expect(reservations).toHaveLength(2);
+      expect(reservations).toEqual(expect.arrayContaining([
+        expect.objectContaining({ sku: 'FLASH-001', quantity: 3 }),
+        expect.objectContaining({ sku: 'FLASH-002', quantity: 1 }),
+      ]));
+    });
+
+    it('finds SKUs that contain colons', async () => {
+      const userId = newUserId();
+      await redisService.reserveItems(userId, [item('BUNDLE:A:B', 1, 5)], 600);
+
+      expect(await redisService.getUserReservations(userId)).toEqual([
+        expect.objectContaining({ sku: 'BUNDLE:A:B', quantity: 1 }),
+      ]);
+    });
+  });
+
+  describe('rebuildUserReservationIndex', () => {
+    it('indexes holds made before the index existed', async () => {
+      const userId = newUserId();
+      const client = redisConfig.getRedisClient();
+      await client.set(`reservation:${userId}:BUNDLE:A:B`, '2', { PX: 600 * 1000 });
+      await client.set(`reservation:${userId}:FLASH-001`, '1', { PX: 600 * 1000 });
+
+      expect(await redisService.rebuildUserReservationIndex()).toBe(2);
+      expect(await redisService.getUserReservations(userId)).toEqual(expect.arrayContaining([
+        expect.objectContaining({ sku: 'BUNDLE:A:B', quantity: 2 }),
+        expect.objectContaining({ sku: 'FLASH-001', quantity: 1 }),
+      ]));
+    });
+  });
+
+  describe('releasing holds', () => {
+    it('cancels only the calling user\'s hold', async () => {
+      const [alice, bob] = [newUserId(), newUserId()];
+      await redisService.reserveItems(alice, [item('FLASH-001', 2, 5)], 600);
+      await redisService.reserveItems(bob, [item('FLASH-001', 3, 5)], 600);
+
+      const cancelled = await redisService.cancelReservation(alice, 'FLASH-001');
+
+      expect(cancelled).toBe(2);
+      expect(await redisService.getReservedQuantity(alice, 'FLASH-001')).toBe(0);
+      expect(await redisService.getReservedQuantity(bob, 'FLASH-001')).toBe(3);
+      expect(await redisService.getTotalReservedStock('FLASH-001')).toBe(3);
+    });
+
+    it('refuses to release more than the user holds, even when others hold enough', async () => {
+      const [alice, bob] = [newUserId(), newUserId()];
+      await redisService.reserveItems(alice, [item('FLASH-001', 1, 5)], 600);
+      await redisService.reserveItems(bob, [item('FLASH-001', 3, 5)], 600);
+
+      await expect(
+        redisService.releaseReservations(alice, [{ sku: 'FLASH-001', quantity: 2 }])
+      ).rejects.toThrow('Cannot release more than reserved for FLASH-001. Reserved: 1');
+
+      expect(await redisService.getReservedQuantity(alice, 'FLASH-001')).toBe(1);
+      expect(await redisService.getReservedQuantity(bob, 'FLASH-001')).toBe(3);
+      expect(await redisService.getTotalReservedStock('FLASH-001')).toBe(4);
+    });
+
+    it('releases every SKU of a purchase and takes the units off the cached stock', async () => {
+      const userId = newUserId();
+      await redisService.reserveItems(userId, [item('FLASH-001', 2, 5), item('FLASH-002', 1, 5)], 600);
+
+      await redisService.releaseReservations(userId, [
+        { sku: 'FLASH-001', quantity: 2 },
+        { sku: 'FLASH-002', quantity: 1 },
+      ]);
+
+      expect(await redisService.getTotalReservedStock('FLASH-001')).toBe(0);
+      expect(await redisService.getTotalReservedStock('FLASH-002')).toBe(0);
+      expect(await redisService.getUserReservations(userId)).toEqual([]);
+      const stock = await redisService.reserveItems(newUserId(), [item('FLASH-001', 4, 5)], 600);
+      expect(stock).toEqual({ success: false, reason: 'stock', sku: 'FLASH-001', availableStock: 3 });
+    });
+
+    it('releases part of a hold and leaves the rest of the cart held', async () => {
+      const userId = newUserId();
+      await redisService.reserveItems(userId, [item('FLASH-001', 3, 5), item('FLASH-002', 1, 5)], 600);
+
+      await redisService.releaseReservations(userId, [{ sku: 'FLASH-001', quantity: 2 }]);
+
+      expect(await redisService.getReservedQuantity(userId, 'FLASH-001')).toBe(1);
+      expect(await redisService.getReservedQuantity(userId, 'FLASH-002')).toBe(1);
+      expect(await redisService.getTotalReservedStock('FLASH-001')).toBe(1);
+      expect((await redisService.getUserReservations(userId)).map(({ sku }) => sku).sort()).toEqual(['FLASH-001', 'FLASH-002']);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/redis', () => require('../helpers/redis').redisConfig);
+jest.mock('../../src/services/productService', () => ({ getProductStatus: jest.fn() }));
+jest.mock('../../src/services/flashSaleService', () => ({ getSaleState: jest.fn() }));
+
+const { describeWithRedis, useTestRedis } = require('../helpers/redis');
+const productService = require('../../src/services/productService');
+const flashSaleService = require('../../src/services/flashSaleService');
+const redisService = require('../../src/services/redisService');
+const stockStreamService = require('../../src/services/stockStreamService');
+const { eventBus, EVENTS } = require('../../src/events/eventBus');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Pub/sub channels are shared by every database on the server, so each test streams a SKU of its own
+ */
+const newSku = () => `STREAM-${new mongoose.Types.ObjectId()}`;
+
+/**
+ * Resolve with the next snapshot a listener receives
+ */
+const nextSnapshot = (listener) => new Promise((resolve) => {
+  listener.mockImplementationOnce(resolve);
+});
+
+describeWithRedis('stockStreamService', () => {
+  useTestRedis();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    productService.getProductStatus.mockImplementation(async (sku) => ({
+      sku,
+      totalStock: 10,
+      reservedStock: 4,
+      availableStock: 6,
+    }));
+    flashSaleService.getSaleState.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    stockStreamService.stop();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    if (redisService.subscriber) {
+      await (await redisService.subscriber).quit();
+    }
+  });
+
+  it('publishes nothing while nobody is streaming the SKU', async () => {
+    expect(await stockStreamService.publish(newSku())).toBe(false);
+    expect(productService.getProductStatus).not.toHaveBeenCalled();
+  });
+
+  it('fans a published snapshot out to every listener through one subscription', async () => {
+    const sku = newSku();
+    const [first, second] = [jest.fn(), jest.fn()];
+    const stopFirst = await stockStreamService.subscribe(sku, first);
+    const stopSecond = await stockStreamService.subscribe(sku, second);
+    expect(await redisService.countStockSubscribers(sku)).toBe(1);
+
+    const received = Promise.all([nextSnapshot(first), nextSnapshot(second)]);
+    expect(await stockStreamService.publish(sku)).toBe(true);
+
+    const [snapshot] = await received;
+    expect(snapshot).toMatchObject({ sku, totalStock: 10, reservedStock: 4, availableStock: 6, sale: null });
+    expect(second).toHaveBeenCalledWith(snapshot);
+
+    stopFirst();
+    expect(await redisService.countStockSubscribers(sku)).toBe(1);
+    stopSecond();
+    await sleep(20);
+    expect(await redisService.countStockSubscribers(sku)).toBe(0);
+  });
+
+  it('sends one snapshot for a burst of stock changes', async () => {
+    process.env.STOCK_STREAM_THROTTLE_MS = '50';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const sku = newSku();
+    const listener = jest.fn();
+    await stockStreamService.subscribe(sku, listener);
+    stockStreamService.start();
+
+    try {
+      const received = nextSnapshot(listener);
+      eventBus.emit(EVENTS.STOCK_RESERVED, { sku, quantity: 1 });
+      eventBus.emit(EVENTS.STOCK_RELEASED, { sku, quantity: 1 });
+      eventBus.emit(EVENTS.STOCK_SOLD, { sku, quantity: 2 });
+      eventBus.emit(EVENTS.RESERVATION_EXPIRED, { sku, quantity: 1 });
+
+      await received;
+      await sleep(100);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(productService.getProductStatus).toHaveBeenCalledTimes(1);
+    } finally {
+      delete process.env.STOCK_STREAM_THROTTLE_MS;
+    }
+  });
+});
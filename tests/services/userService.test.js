@@ -0,0 +1,48 @@
+jest.mock('../../src/models/User', () => ({ findOne: jest.fn() }));
+
+const User = require('../../src/models/User');
+const tokenService = require('../../src/services/tokenService');
+const userService = require('../../src/services/userService');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+/**
+ * Make User.findOne(...).select('+password') resolve to the given user
+ */
+const findsUser = (user) => {
+  User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+};
+
+describe('userService.login', () => {
+  let password;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    password = await userService.hashPassword('correct horse');
+  });
+
+  afterAll(() => {
+    delete process.env.JWT_SECRET;
+  });
+
+  it('issues a token for the user when the password matches', async () => {
+    findsUser({ _id: userId, email: 'jo@example.com', password });
+
+    const result = await userService.login('jo@example.com', 'correct horse');
+
+    expect(User.findOne).toHaveBeenCalledWith({ email: 'jo@example.com', isActive: true });
+    expect(tokenService.verifyToken(result.token).sub).toBe(userId);
+    expect(result.expiresAt).toBeInstanceOf(Date);
+  });
+
+  it('rejects a wrong password, an unknown email and a user without a password alike', async () => {
+    findsUser({ _id: userId, email: 'jo@example.com', password });
+    await expect(userService.login('jo@example.com', 'wrong')).rejects.toThrow('Invalid email or password');
+
+    findsUser(null);
+    await expect(userService.login('nobody@example.com', 'correct horse')).rejects.toThrow('Invalid email or password');
+
+    findsUser({ _id: userId, email: 'legacy@example.com', password: undefined });
+    await expect(userService.login('legacy@example.com', 'correct horse')).rejects.toThrow('Invalid email or password');
+  });
+});
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/config/redis', () => require('../helpers/redis').redisConfig);
+jest.mock('../../src/models/Order', () => ({ aggregate: jest.fn() }));
+jest.mock('../../src/services/userService', () => ({ userExists: jest.fn() }));
+jest.mock('../../src/services/productService', () => ({
+  getProductBySku: jest.fn(),
+  getProductStatus: jest.fn(),
+}));
+jest.mock('../../src/services/flashSaleService', () => ({ getSaleForReservation: jest.fn() }));
+jest.mock('../../src/services/queueService', () => ({ isAdmitted: jest.fn() }));
+jest.mock('../../src/services/notificationService', () => ({ notify: jest.fn() }));
+
+const { describeWithRedis, useTestRedis } = require('../helpers/redis');
+const Order = require('../../src/models/Order');
+const userService = require('../../src/services/userService');
+const productService = require('../../src/services/productService');
+const flashSaleService = require('../../src/services/flashSaleService');
+const notificationService = require('../../src/services/notificationService');
+const redisService = require('../../src/services/redisService');
+const cartService = require('../../src/services/cartService');
+const waitlistService = require('../../src/services/waitlistService');
+
+const newUserId = () => new mongoose.Types.ObjectId().toString();
+
+const product = {
+  _id: new mongoose.Types.ObjectId(),
+  sku: 'FLASH-001',
+  name: 'Flash Deal Product',
+  price: 4999,
+  currency: 'USD',
+  totalStock: 3,
+  reservationPolicy: { maxHoldSeconds: 3600, maxExtensions: 2 },
+  purchaseLimit: {},
+};
+
+describeWithRedis('waitlistService', () => {
+  useTestRedis();
+
+  let holder;
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    userService.userExists.mockResolvedValue(true);
+    productService.getProductBySku.mockResolvedValue(product);
+    // Available stock as productService works it out, from the holds in Redis
+    productService.getProductStatus.mockImplementation(async () => ({
+      availableStock: Math.max(0, product.totalStock - (await redisService.getTotalReservedStock('FLASH-001'))),
+    }));
+    flashSaleService.getSaleForReservation.mockResolvedValue(null);
+    notificationService.notify.mockResolvedValue();
+    Order.aggregate.mockResolvedValue([]);
+
+    // Someone holds all the stock, so others have to wait
+    holder = newUserId();
+    await cartService.reserveItems(holder, [{ sku: 'FLASH-001', quantity: 3 }], 600);
+  });
+
+  afterEach(() => {
+    waitlistService.stop();
+    jest.restoreAllMocks();
+  });
+
+  describe('joinWaitlist', () => {
+    it('refuses to waitlist what can be reserved right away', async () => {
+      await cartService.cancelReservation(holder, [{ sku: 'FLASH-001', quantity: 2 }]);
+
+      await expect(waitlistService.joinWaitlist(newUserId(), 'FLASH-001', 2))
+        .rejects.toThrow('SKU FLASH-001 has 2 units available; reserve them instead');
+    });
+
+    it('keeps a user\'s place when they join again with another quantity', async () => {
+      const [alice, bob] = [newUserId(), newUserId()];
+
+      expect((await waitlistService.joinWaitlist(alice, 'FLASH-001', 1)).position).toBe(1);
+      expect((await waitlistService.joinWaitlist(bob, 'FLASH-001', 1)).position).toBe(2);
+      expect((await waitlistService.joinWaitlist(alice, 'FLASH-001', 2)).position).toBe(1);
+
+      expect(await redisService.popWaitlist('FLASH-001')).toMatchObject({ userId: alice, quantity: 2 });
+    });
+  });
+
+  describe('offerReleasedStock', () => {
+    it('offers released units to waitlisted users in order, as holds in their carts', async () => {
+      const [alice, bob, carol] = [newUserId(), newUserId(), newUserId()];
+      await waitlistService.joinWaitlist(alice, 'FLASH-001', 2);
+      await waitlistService.joinWaitlist(bob, 'FLASH-001', 2);
+      await waitlistService.joinWaitlist(carol, 'FLASH-001', 1);
+      await redisService.cancelReservation(holder, 'FLASH-001');
+
+      const offers = await waitlistService.offerReleasedStock('FLASH-001');
+
+      expect(offers).toEqual([
+        expect.objectContaining({ userId: alice, quantity: 2, unitPrice: 4999, currency: 'USD' }),
+        expect.objectContaining({ userId: bob, quantity: 1 }),
+      ]);
+      expect(await redisService.getReservedQuantity(alice, 'FLASH-001')).toBe(2);
+      expect(await redisService.getReservedQuantity(bob, 'FLASH-001')).toBe(1);
+      expect(await redisService.getReservedQuantity(carol, 'FLASH-001')).toBe(0);
+      expect(await redisService.popWaitlist('FLASH-001')).toMatchObject({ userId: carol });
+    });
+
+    it('holds an offer for the offer window and tells the user about it', async () => {
+      process.env.WAITLIST_OFFER_TTL_SECONDS = '90';
+      const alice = newUserId();
+      await waitlistService.joinWaitlist(alice, 'FLASH-001', 1);
+      await redisService.cancelReservation(holder, 'FLASH-001');
+
+      try {
+        const [offer] = await waitlistService.offerReleasedStock('FLASH-001');
+
+        const secondsLeft = (offer.expiresAt.getTime() - Date.now()) / 1000;
+        expect(secondsLeft).toBeGreaterThan(80);
+        expect(secondsLeft).toBeLessThanOrEqual(90);
+        expect(notificationService.notify).toHaveBeenCalledWith({ type: 'waitlist.offer', ...offer });
+      } finally {
+        delete process.env.WAITLIST_OFFER_TTL_SECONDS;
+      }
+    });
+
+    it('keeps the hold when the notification fails', async () => {
+      const alice = newUserId();
+      await waitlistService.joinWaitlist(alice, 'FLASH-001', 1);
+      await redisService.cancelReservation(holder, 'FLASH-001');
+      notificationService.notify.mockRejectedValue(new Error('Mail server down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const offers = await waitlistService.offerReleasedStock('FLASH-001');
+
+      expect(offers).toHaveLength(1);
+      expect(await redisService.getReservedQuantity(alice, 'FLASH-001')).toBe(1);
+    });
+
+    it('offers nothing while no stock is free', async () => {
+      const alice = newUserId();
+      await waitlistService.joinWaitlist(alice, 'FLASH-001', 1);
+
+      expect(await waitlistService.offerReleasedStock('FLASH-001')).toEqual([]);
+      expect(await redisService.popWaitlist('FLASH-001')).toMatchObject({ userId: alice });
+    });
+  });
+
+  describe('start', () => {
+    it('offers stock as soon as a reservation is cancelled', async () => {
+      const alice = newUserId();
+      await waitlistService.joinWaitlist(alice, 'FLASH-001', 1);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      waitlistService.start();
+
+      await cartService.cancelReservation(holder, [{ sku: 'FLASH-001', quantity: 1 }]);
+      // Runs for the same SKU take turns, so this settles once the offer triggered by the cancellation has
+      await waitlistService.scheduleOffers('FLASH-001');
+
+      expect(await redisService.getReservedQuantity(alice, 'FLASH-001')).toBe(1);
+      expect(notificationService.notify).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+jest.mock('../../src/models/Order', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/models/PaymentEvent', () => ({ create: jest.fn() }));
+jest.mock('../../src/services/orderService', () => ({
+  transitionOrder: jest.fn(),
+  restoreItems: jest.fn(),
+}));
+jest.mock('../../src/services/couponService', () => ({ releaseRedemption: jest.fn() }));
+jest.mock('../../src/services/redisService', () => ({
+  convertReservations: jest.fn(),
+  cancelReservation: jest.fn(),
+}));
+
+const Order = require('../../src/models/Order');
+const PaymentEvent = require('../../src/models/PaymentEvent');
+const orderService = require('../../src/services/orderService');
+const redisService = require('../../src/services/redisService');
+const webhookService = require('../../src/services/webhookService');
+const webhookRoutes = require('../../src/routes/webhookRoutes');
+
+// Same body parsing as server.js, so the signature is checked against the raw body
+const app = express();
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+app.use('/api/webhooks', webhookRoutes);
+
+const orderId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+const sendEvent = (event, signature = webhookService.signPayload(JSON.stringify(event))) => request(app)
+  .post('/api/webhooks/payments')
+  .set('Content-Type', 'application/json')
+  .set('X-Payment-Signature', signature)
+  .send(JSON.stringify(event));
+
+describe('payment webhook', () => {
+  const event = { id: 'evt_1', type: 'payment.captured', data: { reference: 'mock_ref_1' } };
+
+  beforeAll(() => {
+    process.env.PAYMENT_WEBHOOK_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (fn) => fn(),
+      endSession: async () => {},
+    });
+
+    Order.findOne.mockResolvedValue({
+      _id: orderId,
+      userId,
+      status: 'pending',
+      items: [{ sku: 'FLASH-001', quantity: 2 }],
+    });
+
+    // Event IDs are unique in MongoDB, so a second insert fails with a duplicate key error
+    const recorded = new Set();
+    PaymentEvent.create.mockImplementation(async ([{ eventId }]) => {
+      if (recorded.has(eventId)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      recorded.add(eventId);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('settles the order once and acknowledges a redelivered event as a duplicate', async () => {
+    const first = await sendEvent(event);
+    const redelivered = await sendEvent(event);
+
+    expect(first.status).toBe(200);
+    expect(first.body.data).toMatchObject({ eventId: 'evt_1', duplicate: false, outcome: 'paid' });
+    expect(redelivered.status).toBe(200);
+    expect(redelivered.body.data).toMatchObject({ eventId: 'evt_1', duplicate: true });
+    expect(redelivered.body.message).toBe('Event already processed');
+
+    expect(orderService.transitionOrder).toHaveBeenCalledTimes(1);
+    expect(orderService.transitionOrder).toHaveBeenCalledWith(orderId, 'paid', expect.objectContaining({
+      set: { 'payment.status': 'captured' },
+    }));
+    expect(redisService.convertReservations).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects an event without a signature', async () => {
+    const res = await request(app).post('/api/webhooks/payments').send(event);
+
+    expect(res.status).toBe(401);
+    expect(Order.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects an event signed with another secret', async () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const forged = crypto
+      .createHmac('sha256', 'wrong-secret')
+      .update(`${timestamp}.${JSON.stringify(event)}`)
+      .digest('hex');
+
+    const res = await sendEvent(event, `t=${timestamp},v1=${forged}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid webhook signature');
+    expect(Order.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects a body that was changed after signing', async () => {
+    const signature = webhookService.signPayload(JSON.stringify(event));
+
+    const res = await sendEvent({ ...event, type: 'payment.failed' }, signature);
+
+    expect(res.status).toBe(401);
+    expect(Order.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects a signature outside the tolerance window', async () => {
+    const stale = Math.floor(Date.now() / 1000) - 3600;
+
+    const res = await sendEvent(event, webhookService.signPayload(JSON.stringify(event), stale));
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Webhook signature timestamp is outside the tolerance window');
+    expect(Order.findOne).not.toHaveBeenCalled();
+  });
+});